@@ -0,0 +1,48 @@
+/**
+ * Starts the mock quiz server from the command line.
+ *
+ * Usage: npm run mock-server -- [--port 4000] [--set default] [--delay 0] [--status 500] [--malformed] [--wrong] [--drop]
+ *
+ * The question set is either the name of a file in mock-server/question-sets or a path to a
+ * JSON file in the quiz pack format, such as src/quiz-packs/sample.json.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { createMockServer } from './mock-server.js'
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '4000' },
+    set: { type: 'string', default: 'default' },
+    delay: { type: 'string' },
+    status: { type: 'string' },
+    malformed: { type: 'boolean' },
+    wrong: { type: 'boolean' },
+    drop: { type: 'boolean' }
+  }
+})
+
+const setPath = values.set.endsWith('.json')
+  ? new URL(values.set, `file://${process.cwd()}/`)
+  : new URL(`./question-sets/${values.set}.json`, import.meta.url)
+
+const questionSet = JSON.parse(await readFile(setPath, 'utf8'))
+
+const faults = {}
+if (values.delay) faults.delay = Number(values.delay)
+if (values.status) faults.status = Number(values.status)
+for (const flag of ['malformed', 'wrong', 'drop']) {
+  if (values[flag]) faults[flag] = true
+}
+
+const server = createMockServer({ questionSet, faults })
+
+server.listen(Number(values.port), () => {
+  const first = questionSet.questions[0].id
+  console.log(`Mock quiz server serving '${questionSet.id}' (${questionSet.questions.length} questions).`)
+  console.log(`First question: http://localhost:${server.address().port}/quiz/question/${first}`)
+  console.log('Press Ctrl-C to terminate...')
+})
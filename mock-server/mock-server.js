@@ -0,0 +1,322 @@
+/**
+ * A local stand-in for the courselab quiz server.
+ *
+ * Serves a question set over the same protocol as the courselab API:
+ * - GET /quiz/question/:id responds with the question and the 'nextURL' to post the answer to.
+ * - POST /quiz/answer/:id with { answer } responds with the 'nextURL' of the next question,
+ * no 'nextURL' after the last question, or 400 if the answer is wrong. A body that is not a
+ * JSON object is answered with 422, since 400 would read as a wrong answer to the client.
+ * Answers are checked with the answer evaluator of the client, so a question set can
+ * configure how answers are matched just like a quiz pack.
+ * - GET /quiz/key/:id responds with the { answer } of the question. The courselab API has no
+ * such endpoint; it lets the client offer the 50/50 lifeline during development.
+ * - GET /quiz/media/:file responds with a file from mock-server/media, so that questions can
+ * refer to images and audio with URLs relative to the question, such as '../media/logo.svg'.
+ *
+ * Faults can be injected to reproduce the error paths of the client, either for a single
+ * request through query parameters (?delay=3000, ?status=500, ?malformed, ?wrong, ?drop) or
+ * for the following requests through the control endpoint (POST /__control with the same
+ * options as JSON, plus 'times' to limit how many requests are affected; DELETE resets).
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import http from 'node:http'
+import { readFile } from 'node:fs/promises'
+import { evaluateAnswer, withoutAnswer } from '../src/js/lib/answer-evaluator.js'
+
+/**
+ * The content types of the media files, by extension.
+ *
+ * @type {{[extension: string]: string}}
+ */
+const MEDIA_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav'
+}
+
+/**
+ * Faults that can be injected into a response.
+ *
+ * @typedef {object} Faults
+ * @property {number} [delay] - Milliseconds to wait before responding.
+ * @property {number} [status] - A status code to respond with instead of the real response.
+ * @property {boolean} [malformed] - Respond with a body that is not valid JSON.
+ * @property {boolean} [wrong] - Treat every answer as wrong.
+ * @property {boolean} [drop] - Close the connection without responding.
+ */
+
+/**
+ * Reads the faults requested through the query parameters of a request.
+ *
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {Faults} The requested faults.
+ */
+function faultsFromQuery (params) {
+  const faults = {}
+  if (params.has('delay')) faults.delay = Number(params.get('delay'))
+  if (params.has('status')) faults.status = Number(params.get('status'))
+  for (const flag of ['malformed', 'wrong', 'drop']) {
+    if (params.has(flag) && params.get(flag) !== 'false') faults[flag] = true
+  }
+  return faults
+}
+
+/**
+ * Writes the message of a verdict from what the matcher found out, in English like the
+ * courselab API. The client writes the same message for local quiz packs in the player's
+ * language, see verdictMessage() in src/js/lib/question-sources/local-question-source.js.
+ *
+ * @param {import('../src/js/lib/answer-evaluator.js').Verdict} verdict - The verdict.
+ * @returns {string} The message.
+ */
+function verdictMessage ({ correct, matcher, details }) {
+  if (correct) return 'Correct answer!'
+
+  let explanation = ''
+  if (matcher === 'numeric' && details.difference === null) {
+    explanation = 'That is not a number.'
+  } else if (matcher === 'set') {
+    const parts = []
+    if (details.missing > 0) parts.push(`missed ${details.missing} correct ${details.missing === 1 ? 'alternative' : 'alternatives'}`)
+    if (details.extra > 0) parts.push(`chose ${details.extra} wrong ${details.extra === 1 ? 'one' : 'ones'}`)
+    explanation = `You ${new Intl.ListFormat('en').format(parts)}.`
+  } else if (matcher === 'sequence') {
+    explanation = `${details.inPlace} of ${details.total} are in the right place.`
+  }
+  return ['Wrong answer! :(', explanation].filter(Boolean).join(' ')
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The status code.
+ * @param {object} body - The response body.
+ */
+function sendJson (res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * An error for a request the server cannot process, such as one with a malformed body.
+ *
+ * @class
+ * @augments Error
+ */
+class UnprocessableRequestError extends Error {
+  /**
+   * Creates an instance of the error.
+   *
+   * @param {string} message - What is wrong with the request.
+   * @param {object} [options] - The error options.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor (message, { cause } = {}) {
+    super(message, { cause })
+    this.name = 'UnprocessableRequestError'
+  }
+}
+
+/**
+ * Reads and parses the JSON body of a request.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} A promise that resolves with the parsed body.
+ * @throws {UnprocessableRequestError} If the body is not a JSON object.
+ */
+async function readJson (req) {
+  let body = ''
+  for await (const chunk of req) {
+    body += chunk
+  }
+
+  let data
+  try {
+    data = JSON.parse(body || '{}')
+  } catch (error) {
+    throw new UnprocessableRequestError('The body is not valid JSON.', { cause: error })
+  }
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new UnprocessableRequestError('The body is not a JSON object.')
+  }
+  return data
+}
+
+/**
+ * Sends a file from the media directory.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} name - The name of the file, without directories.
+ */
+async function sendMedia (res, name) {
+  const extension = /^[\w-]+\.(\w+)$/.exec(name)?.[1]?.toLowerCase()
+  if (!MEDIA_TYPES[extension]) {
+    sendJson(res, 404, { message: `There is no media file ${name}.` })
+    return
+  }
+
+  try {
+    const file = await readFile(new URL(`./media/${name}`, import.meta.url))
+    res.writeHead(200, { 'Content-Type': MEDIA_TYPES[extension] })
+    res.end(file)
+  } catch {
+    sendJson(res, 404, { message: `There is no media file ${name}.` })
+  }
+}
+
+/**
+ * Creates a mock quiz server for a question set.
+ *
+ * @param {object} options - The server options.
+ * @param {object} options.questionSet - The question set, in the same format as a quiz pack.
+ * @param {Faults} [options.faults] - Faults injected into every response until changed through the control endpoint.
+ * @returns {http.Server} The server, not yet listening.
+ */
+export function createMockServer ({ questionSet, faults = {} }) {
+  const questions = questionSet.questions
+  let stickyFaults = { ...faults }
+  let remaining = Infinity
+
+  /**
+   * Takes the sticky faults for one request, counting down the number of affected requests.
+   *
+   * @returns {Faults} The sticky faults.
+   */
+  const takeStickyFaults = () => {
+    if (remaining <= 0) return {}
+    remaining -= 1
+    return stickyFaults
+  }
+
+  /**
+   * Builds an absolute URL on this server.
+   *
+   * @param {http.IncomingMessage} req - The current request.
+   * @param {string} path - The path of the URL.
+   * @returns {string} The URL.
+   */
+  const urlFor = (req, path) => `http://${req.headers.host}${path}`
+
+  /**
+   * Handles the control endpoint, which sets, shows and resets the sticky faults.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  const handleControl = async (req, res) => {
+    if (req.method === 'POST') {
+      const { times, ...options } = await readJson(req)
+      stickyFaults = options
+      remaining = Number.isInteger(times) ? times : Infinity
+    } else if (req.method === 'DELETE') {
+      stickyFaults = {}
+      remaining = Infinity
+    }
+    sendJson(res, 200, { faults: stickyFaults, times: Number.isFinite(remaining) ? remaining : null })
+  }
+
+  /**
+   * Handles the quiz protocol.
+   *
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @param {string} kind - Either 'question', 'answer' or 'key'.
+   * @param {number} id - The id of the question.
+   * @param {Faults} faults - The faults to inject.
+   */
+  const handleQuiz = async (req, res, kind, id, faults) => {
+    const index = questions.findIndex(question => String(question.id) === String(id))
+    if (index === -1) {
+      sendJson(res, 404, { message: `There is no question with id ${id}.` })
+      return
+    }
+
+    const question = withoutAnswer(questions[index])
+
+    if (kind === 'question' && req.method === 'GET') {
+      sendJson(res, 200, {
+        ...question,
+        nextURL: urlFor(req, `/quiz/answer/${question.id}`),
+        message: 'You got your question! Now send me the answer via HTTP POST to the nextURL in JSON-format'
+      })
+    } else if (kind === 'key' && req.method === 'GET') {
+      sendJson(res, 200, { answer: questions[index].answer })
+    } else if (kind === 'answer' && req.method === 'POST') {
+      const { answer } = await readJson(req)
+      const verdict = evaluateAnswer(questions[index], answer)
+      if (faults.wrong || !verdict.correct) {
+        sendJson(res, 400, { message: faults.wrong ? 'Wrong answer! :(' : verdictMessage(verdict) })
+      } else if (index + 1 >= questions.length) {
+        sendJson(res, 200, { message: 'Correct answer! You made it to the end.' })
+      } else {
+        sendJson(res, 200, {
+          nextURL: urlFor(req, `/quiz/question/${questions[index + 1].id}`),
+          message: 'Correct answer!'
+        })
+      }
+    } else {
+      sendJson(res, 405, { message: `${req.method} is not allowed here.` })
+    }
+  }
+
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      res.end()
+      return
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`)
+
+    try {
+      if (url.pathname === '/__control') {
+        await handleControl(req, res)
+        return
+      }
+
+      const match = /^\/quiz\/(question|answer|key|media)\/([^/]+)$/.exec(url.pathname)
+      if (!match) {
+        sendJson(res, 404, { message: 'Not found.' })
+        return
+      }
+
+      const faults = { ...takeStickyFaults(), ...faultsFromQuery(url.searchParams) }
+
+      if (faults.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, faults.delay))
+      }
+
+      if (faults.drop) {
+        req.socket.destroy()
+      } else if (faults.status) {
+        sendJson(res, faults.status, { message: `Simulated ${faults.status} response.` })
+      } else if (faults.malformed) {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' })
+        res.end('{"id": 1, "question": "This payload is cut off')
+      } else if (match[1] === 'media') {
+        await sendMedia(res, match[2])
+      } else {
+        await handleQuiz(req, res, match[1], match[2], faults)
+      }
+    } catch (error) {
+      if (error instanceof UnprocessableRequestError) {
+        sendJson(res, 422, { message: error.message })
+      } else {
+        console.error(error)
+        sendJson(res, 500, { message: 'Internal server error.' })
+      }
+    }
+  })
+}
@@ -0,0 +1,286 @@
+import { localize, translate } from '../../lib/i18n.js'
+
+/**
+ * The kinds of feedback, with the icon and the message keys of the heading and the Continue
+ * label of each.
+ *
+ * @type {{[kind: string]: {icon: string, heading: string, continueLabel: string}}}
+ */
+const KINDS = {
+  correct: { icon: '✔', heading: 'feedback.correct', continueLabel: 'feedback.nextQuestion' },
+  victory: { icon: '🏆', heading: 'feedback.victory', continueLabel: 'feedback.showSummary' },
+  wrong: { icon: '✖', heading: 'feedback.wrong', continueLabel: 'feedback.showSummary' },
+  timeout: { icon: '⏰', heading: 'feedback.timeout', continueLabel: 'feedback.showSummary' },
+  'practice-wrong': { icon: '✖', heading: 'feedback.practiceWrong', continueLabel: 'feedback.skipQuestion' },
+  'practice-timeout': { icon: '⏰', heading: 'feedback.practiceTimeout', continueLabel: 'feedback.skipQuestion' }
+}
+
+/**
+ * The kinds of feedback that explain themselves when the quiz server has no message.
+ *
+ * @type {string[]}
+ */
+const TIMEOUT_KINDS = ['timeout', 'practice-timeout']
+
+/**
+ * The kinds of feedback after which a practice run goes on; the question can be retried.
+ *
+ * @type {string[]}
+ */
+const PRACTICE_KINDS = ['practice-wrong', 'practice-timeout']
+
+/**
+ * A custom HTML element that shows the result of an answer before the game moves on.
+ *
+ * It tells whether the answer was correct, shows the message from the quiz server and the time
+ * the question took, and looks clearly different for a correct answer, a victory, a wrong
+ * answer and a timeout. The game continues when the player clicks "Continue", or by itself
+ * after a delay if one is given.
+ *
+ * In a practice run a mistake costs a life instead of ending the run. The feedback then shows
+ * the lives left and lets the player retry the question or, if possible, skip it. It does not
+ * continue by itself.
+ *
+ * @class
+ * @augments HTMLElement
+ * @function showFeedback - Shows the feedback for an answer.
+ * @fires CustomEvent#continue - Dispatched when the game should move on, or skip the question in practice.
+ * @fires CustomEvent#retry - Dispatched when the player wants to answer the question again in practice.
+ * @example
+ * <answer-feedback></answer-feedback>
+ */
+class AnswerFeedback extends HTMLElement {
+  /**
+   * Creates an instance of the answer feedback component and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this.autoAdvanceId = null
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Renders the component and adds listeners to the Continue and Retry buttons, and translates
+   * the feedback when the locale changes.
+   */
+  connectedCallback () {
+    this.render()
+
+    this.shadowRoot.querySelector('#continue-button').addEventListener('click', () => {
+      this.continue()
+    })
+
+    this.shadowRoot.querySelector('#retry-button').addEventListener('click', () => {
+      this.retry()
+    })
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
+  }
+
+  /**
+   * Called when the element is removed from the DOM. Cancels a pending auto-advance.
+   */
+  disconnectedCallback () {
+    clearTimeout(this.autoAdvanceId)
+  }
+
+  /**
+   * Renders the feedback panel. The colours of the panel depend on the 'kind' attribute.
+   */
+  render () {
+    this.shadowRoot.innerHTML = `
+      <style>
+        #feedback {
+          max-width: 400px;
+          margin: 20px auto;
+          padding: 20px;
+          text-align: center;
+          border-radius: 10px;
+          border: 1px solid transparent;
+          box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+        }
+
+        :host([kind="correct"]) #feedback {
+          background-color: var(--quiz-color-success-bg, #d4edda);
+          color: var(--quiz-color-success-text, #155724);
+          border-color: var(--quiz-color-success-border, #c3e6cb);
+        }
+
+        :host([kind="victory"]) #feedback {
+          background-color: var(--quiz-color-info-bg, #cce5ff);
+          color: var(--quiz-color-info-text, #004085);
+          border-color: var(--quiz-color-info-border, #b8daff);
+        }
+
+        :host([kind="wrong"]) #feedback,
+        :host([kind="practice-wrong"]) #feedback {
+          background-color: var(--quiz-color-danger-bg, #f8d7da);
+          color: var(--quiz-color-danger-text, #721c24);
+          border-color: var(--quiz-color-danger-border, #f5c6cb);
+        }
+
+        :host([kind="timeout"]) #feedback,
+        :host([kind="practice-timeout"]) #feedback {
+          background-color: var(--quiz-color-warning-bg, #fff3cd);
+          color: var(--quiz-color-warning-text, #856404);
+          border-color: var(--quiz-color-warning-border, #ffeeba);
+        }
+
+        #icon {
+          font-size: 2.5rem;
+        }
+
+        h2 {
+          margin: 10px 0;
+          font-size: 1.4rem;
+        }
+
+        #auto-advance {
+          font-size: 0.9rem;
+          font-style: italic;
+        }
+
+        #lives {
+          font-size: 1.1rem;
+        }
+
+        #continue-button, #retry-button {
+          padding: 10px 20px;
+          font-size: 1rem;
+          background-color: var(--quiz-color-primary, #4a90e2);
+          color: var(--quiz-color-button-text, #ffffff);
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+          transition: background-color 0.3s ease;
+        }
+
+        #continue-button:hover, #retry-button:hover {
+          background-color: var(--quiz-color-primary-hover, #357ab7);
+        }
+
+        [hidden] {
+          display: none;
+        }
+      </style>
+      <div id="feedback" part="panel" role="status">
+        <div id="icon" aria-hidden="true"></div>
+        <h2 id="heading"></h2>
+        <p id="message"></p>
+        <p id="time"><span id="question-time"></span> <span id="total-time"></span></p>
+        <p id="lives" hidden></p>
+        <p id="auto-advance" data-i18n="feedback.autoAdvance" hidden></p>
+        <button id="retry-button" part="button" data-i18n="feedback.tryAgain" hidden></button>
+        <button id="continue-button" part="button" data-i18n="feedback.continue"></button>
+      </div>
+    `
+    translate(this.shadowRoot)
+  }
+
+  /**
+   * Shows the feedback for an answer.
+   *
+   * @param {object} feedback - The feedback to show.
+   * @param {string} feedback.kind - One of 'correct', 'victory', 'wrong' or 'timeout', or 'practice-wrong' or 'practice-timeout' when a practice run goes on.
+   * @param {string} [feedback.message] - The message from the quiz server. After a timeout without one, the player is told that the time ran out.
+   * @param {number} [feedback.questionTime] - The time the question took, in milliseconds.
+   * @param {number} [feedback.totalTime] - The total time of the game in milliseconds, shown for a victory.
+   * @param {number} [feedback.autoAdvance] - Milliseconds before continuing by itself, or 0 to wait for the player.
+   * @param {number|null} [feedback.lives] - The lives left in a practice run, or null in a ranked run.
+   * @param {boolean} [feedback.canSkip] - Whether the question can be skipped after a practice mistake.
+   */
+  showFeedback ({ kind, message = '', questionTime, totalTime, autoAdvance = 0, lives = null, canSkip = false }) {
+    clearTimeout(this.autoAdvanceId)
+
+    const { icon, heading, continueLabel } = KINDS[kind]
+    this.setAttribute('kind', kind)
+
+    this.shadowRoot.querySelector('#icon').textContent = icon
+    localize(this.shadowRoot.querySelector('#heading'), heading)
+
+    const messageElement = this.shadowRoot.querySelector('#message')
+    if (!message && TIMEOUT_KINDS.includes(kind)) {
+      localize(messageElement, 'feedback.timeoutMessage')
+    } else {
+      // The message comes from the quiz server, in its language.
+      messageElement.removeAttribute('data-i18n')
+      messageElement.textContent = message
+    }
+
+    this.showTime('#question-time', 'feedback.questionTime', questionTime)
+    this.showTime('#total-time', 'feedback.totalTime', kind === 'victory' ? totalTime : undefined)
+
+    const livesElement = this.shadowRoot.querySelector('#lives')
+    livesElement.hidden = lives === null
+    if (lives !== null) {
+      localize(livesElement, lives > 0 ? 'feedback.livesLeft' : 'feedback.noLivesLeft', { hearts: '❤'.repeat(lives) })
+    }
+
+    const goesOn = PRACTICE_KINDS.includes(kind)
+    const retryButton = this.shadowRoot.querySelector('#retry-button')
+    const continueButton = this.shadowRoot.querySelector('#continue-button')
+    retryButton.hidden = !goesOn
+    continueButton.hidden = goesOn && !canSkip
+    localize(continueButton, continueLabel)
+    if (goesOn) {
+      retryButton.focus()
+      autoAdvance = 0
+    } else {
+      continueButton.focus()
+    }
+
+    this.shadowRoot.querySelector('#auto-advance').hidden = !(autoAdvance > 0)
+    if (autoAdvance > 0) {
+      this.autoAdvanceId = setTimeout(() => this.continue(), autoAdvance)
+    }
+  }
+
+  /**
+   * Shows a time in the feedback, or nothing if it is not known.
+   *
+   * @param {string} selector - The selector of the element to show it in.
+   * @param {string} key - The key of the message with the time.
+   * @param {number} [time] - The time in milliseconds.
+   */
+  showTime (selector, key, time) {
+    const element = this.shadowRoot.querySelector(selector)
+    if (typeof time === 'number') {
+      localize(element, key, { time })
+    } else {
+      element.removeAttribute('data-i18n')
+      element.textContent = ''
+    }
+  }
+
+  /**
+   * Cancels a pending auto-advance and dispatches the 'continue' event.
+   *
+   * @fires CustomEvent#continue
+   */
+  continue () {
+    clearTimeout(this.autoAdvanceId)
+    this.autoAdvanceId = null
+
+    this.dispatchEvent(new CustomEvent('continue', {
+      bubbles: true,
+      composed: true
+    }))
+  }
+
+  /**
+   * Dispatches the 'retry' event, to answer the question again in a practice run.
+   *
+   * @fires CustomEvent#retry
+   */
+  retry () {
+    this.dispatchEvent(new CustomEvent('retry', {
+      bubbles: true,
+      composed: true
+    }))
+  }
+}
+
+customElements.define('answer-feedback', AnswerFeedback)
@@ -0,0 +1 @@
+import './answer-feedback.js'
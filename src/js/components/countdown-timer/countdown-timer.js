@@ -1,3 +1,5 @@
+import { t } from '../../lib/i18n.js'
+
 /**
  * A custom HTML element that represents a countdown timer.
  *
@@ -6,15 +8,40 @@
  * events to start and stop the timer respectively. The timer display is updated every second and
  * dispatches a 'total-time-spent' event when the timer reaches zero.
  *
+ * The time spent is measured in milliseconds with the monotonic performance.now() clock, so it
+ * does not depend on how punctually the display ticks arrive.
+ *
+ * The timer can be paused and resumed, which dispatches 'paused' and 'resumed' events. With the
+ * 'auto-pause' attribute it pauses by itself when the page is hidden, and with the
+ * 'pause-disabled' attribute it cannot be paused at all.
+ *
+ * The remaining time is announced to screen readers only when it reaches one of the thresholds
+ * in the 'announce-at' attribute, a comma-separated list of seconds (default "10,5"), so that
+ * the announcements do not drown out the question.
+ *
+ * A question with a duration of null has no time limit: the timer shows the time spent on it
+ * and never expires (see timing-policies.js).
+ *
+ * When the 'set-question' event has 'waitForMedia' set, the timer is not started until the
+ * 'media-loaded' event, so that slow images and audio do not eat into the time to answer.
+ *
+ * The display and the announcements are in the current locale (see i18n.js).
+ *
  * @class
  * @augments HTMLElement
- * @property {number} timeLeft - The remaining time in seconds.
- * @property {number} totalTimeSpent - The total time spent in seconds.
+ * @property {number} timeLeft - The remaining time in whole seconds, as displayed.
+ * @property {number} totalTimeSpent - The time spent on the current question in milliseconds, updated when the timer stops.
+ * @property {number} accumulatedTime - The time spent on all stopped questions in milliseconds.
+ * @property {number} lastTimeSpent - The time spent on the last stopped question in milliseconds.
  * @property {number|null} intervalId - The ID of the interval timer.
+ * @property {{duration: (number|null), elapsed: number}|null} pendingStart - The question timed once its media has loaded.
  * @function connectedCallback - Called when the element is added to the DOM. Sets up event listeners.
  * @function render - Renders the countdown timer component.
  * @function startTimer - Starts a countdown timer with the specified duration.
- * @function getTotalTimeSpent - Calculates the total time spent and dispatches a custom event with the total time.
+ * @function getElapsedTime - Returns the milliseconds spent on the current question so far.
+ * @function pauseTimer - Pauses the running timer.
+ * @function resumeTimer - Resumes the paused timer.
+ * @function addTime - Adds seconds to the running or paused question.
  * @function resetTotalTimeSpent - Resets the total time spent to zero.
  * @function updateDisplay - Updates the display of the countdown timer.
  * @function stopTimer - Stops the countdown timer by clearing the interval.
@@ -30,22 +57,45 @@ class CountdownTimer extends HTMLElement {
     this.attachShadow({ mode: 'open' })
     this.timeLeft = 0
     this.intervalId = null
+    this.timeoutId = null
+    this.startedAt = 0
+    this.durationMs = 0
+    this.pausedElapsed = null
     this.totalTimeSpent = 0
     this.accumulatedTime = 0
+    this.lastTimeSpent = 0
+    this.announced = new Set()
+    this.pendingStart = null
   }
 
   /**
    * Called when the element is added to the DOM.
    * Sets up event listeners for 'set-question' and 'stop-timer' events.
    *
+   * Pauses the timer when the page is hidden if the 'auto-pause' attribute is present, and
+   * catches up with a timeout that was delayed by background throttling when the page is shown.
+   *
    * @listens window#set-question
+   * @listens window#media-loaded
    * @listens window#stop-timer
+   * @listens document#visibilitychange
+   * @listens window#locale-changed
    */
   connectedCallback () {
     this.render()
     window.addEventListener('set-question', (event) => {
-      const { duration } = event.detail
-      this.startTimer(duration)
+      const { duration, elapsed, waitForMedia = false } = event.detail
+      if (waitForMedia) {
+        this.waitToStart(duration, elapsed)
+      } else {
+        this.startTimer(duration, elapsed)
+      }
+    })
+    window.addEventListener('media-loaded', () => {
+      if (this.pendingStart) {
+        const { duration, elapsed } = this.pendingStart
+        this.startTimer(duration, elapsed)
+      }
     })
     window.addEventListener('stop-timer', () => {
       this.stopTimer()
@@ -54,6 +104,48 @@ class CountdownTimer extends HTMLElement {
     window.addEventListener('try-again', () => {
       this.resetAll()
     })
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        if (this.hasAttribute('auto-pause')) {
+          this.pauseTimer()
+        }
+      } else if (this.intervalId) {
+        this.tick()
+      }
+    })
+
+    window.addEventListener('locale-changed', () => {
+      this.updateDisplay()
+    })
+  }
+
+  /**
+   * The seconds left at which the remaining time is announced, from the 'announce-at' attribute.
+   *
+   * @type {number[]}
+   */
+  get announceAt () {
+    const attribute = this.getAttribute('announce-at') ?? '10,5'
+    return attribute.split(',').map(seconds => parseInt(seconds)).filter(seconds => seconds > 0)
+  }
+
+  /**
+   * Whether the current question has no time limit.
+   *
+   * @type {boolean}
+   */
+  get untimed () {
+    return this.durationMs === Infinity
+  }
+
+  /**
+   * Whether the timer is paused.
+   *
+   * @type {boolean}
+   */
+  get paused () {
+    return this.pausedElapsed !== null
   }
 
   /**
@@ -72,17 +164,30 @@ class CountdownTimer extends HTMLElement {
         border-radius: 5px;
         font-size: 1.2rem;
         text-align: center;
-        background-color: #fff3cd;
-        color: #856404;
-        border: 1px solid #ffeeba;
-        box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
+        background-color: var(--quiz-color-warning-bg, #fff3cd);
+        color: var(--quiz-color-warning-text, #856404);
+        border: 1px solid var(--quiz-color-warning-border, #ffeeba);
+        box-shadow: 0 2px 5px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
         max-width: 200px;
         margin: 10px auto;
       }
+
+      .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+        border: 0;
+      }
       </style>
-      <div class="timer hidden" id="timer-display">
-          Time Left: ${this.timeLeft}s
+      <div class="timer hidden" id="timer-display" part="timer" role="timer" aria-live="off">
+          ${t('timer.timeLeft', { seconds: this.timeLeft })}
       </div>
+      <div id="announcer" class="visually-hidden" aria-live="assertive"></div>
     `
   }
 
@@ -91,87 +196,221 @@ class CountdownTimer extends HTMLElement {
    * If the duration is invalid, a default of 20 seconds is used.
    * Updates the display every second and dispatches a 'total-time-spent' event when the timer reaches zero.
    *
-   * @param {number} duration - The duration of the timer in seconds.
+   * A question that is resumed after a page reload starts with the time already spent on it.
+   * A duration of null starts an untimed question, whose time spent is measured and shown but
+   * never runs out.
+   *
+   * @param {number|null} duration - The duration of the timer in seconds, or null for no limit.
+   * @param {number} [elapsed] - The milliseconds already spent on the question, defaults to 0.
    */
-  startTimer (duration) {
-    if (typeof duration !== 'number' || isNaN(duration)) {
+  startTimer (duration, elapsed = 0) {
+    if (duration !== null && (typeof duration !== 'number' || isNaN(duration))) {
       console.error('Invalid duration value, using default of 20 seconds')
       duration = 20
     }
 
     this.stopTimer() // Stop the timer if it is running
-    this.timeLeft = duration // Assign duration to timeLeft
+    this.durationMs = duration === null ? Infinity : duration * 1000
+    this.startedAt = performance.now() - elapsed
+    this.timeLeft = Math.max(0, Math.ceil((this.durationMs - elapsed) / 1000))
+    // Thresholds that have already passed, or that the question starts at, are not announced.
+    this.announced = new Set(this.announceAt.filter(seconds => seconds >= this.timeLeft))
     this.updateDisplay()
+    this.scheduleTimer()
+  }
 
-    this.intervalId = setInterval(() => {
-      if (this.timeLeft > 0) {
-        this.timeLeft -= 1
-        this.totalTimeSpent += 1
-        this.updateDisplay()
-      } else {
-        this.stopTimer()
-        this.dispatchTotalTimeSpentEvent()
-      }
-    }, 1000)
+  /**
+   * Stops the timer and shows the time limit of the next question, which is started once its
+   * media has loaded.
+   *
+   * @param {number|null} duration - The duration of the timer in seconds, or null for no limit.
+   * @param {number} [elapsed] - The milliseconds already spent on the question, defaults to 0.
+   */
+  waitToStart (duration, elapsed = 0) {
+    this.stopTimer()
+    this.pendingStart = { duration, elapsed }
+    this.durationMs = duration === null ? Infinity : duration * 1000
+    this.timeLeft = Math.max(0, Math.ceil((this.durationMs - elapsed) / 1000))
+    this.updateDisplay()
   }
 
   /**
-   * Stops the countdown timer by clearing the interval.
-   * If the timer is running, it will clear the interval and set the intervalId to null.
+   * Schedules the display ticks and the timeout for the rest of the current question.
+   *
+   * The display ticks every second, while the timeout is scheduled on its own so that it
+   * fires when the time is up rather than on the first tick after that.
    */
-  stopTimer () {
-    if (this.intervalId) {
-      clearInterval(this.intervalId)
-      this.intervalId = null
-      this.accumulatedTime += this.totalTimeSpent
-      console.log(`Timer Stopped. Total Time Spent: ${this.totalTimeSpent}`)
-      console.log(`Accumulated Time: ${this.accumulatedTime}`)
+  scheduleTimer () {
+    this.intervalId = setInterval(() => this.tick(), 1000)
+    if (!this.untimed) {
+      this.timeoutId = setTimeout(() => this.expire(), this.durationMs - this.getElapsedTime())
+    }
+  }
 
-      this.totalTimeSpent = 0
+  /**
+   * Updates the time left from the clock, and expires the timer if the time is up.
+   */
+  tick () {
+    const remaining = this.durationMs - this.getElapsedTime()
+    if (remaining <= 0) {
+      this.expire()
+      return
     }
+
+    this.timeLeft = Math.ceil(remaining / 1000)
+    this.updateDisplay()
+    this.announceTimeLeft()
   }
 
   /**
-   * Accumulates the total time spent into the accumulated time.
-   * Logs the accumulated time to the console.
-   * Resets the total time spent.
+   * Announces the remaining time to screen readers when it has reached a threshold that has not
+   * been announced for this question.
    */
-  accumulateTime () {
-    this.resetTotalTimeSpent()
-    this.accumulatedTime += this.totalTimeSpent
-    console.log(`Accumulated Time: ${this.accumulatedTime}`)
+  announceTimeLeft () {
+    const threshold = this.announceAt
+      .filter(seconds => seconds >= this.timeLeft && !this.announced.has(seconds))
+      .sort((a, b) => a - b)[0]
+    if (threshold === undefined) return
+
+    // Skip the larger thresholds too, if several were passed at once.
+    this.announceAt.filter(seconds => seconds >= this.timeLeft).forEach(seconds => this.announced.add(seconds))
+    this.shadowRoot.querySelector('#announcer').textContent = t('timer.announce', { count: this.timeLeft })
   }
 
   /**
-   * Dispatches a custom event 'total-time-spent' with the total accumulated time.
-   * The event bubbles up through the DOM and is composed.
+   * Stops the timer when the time is up and dispatches the 'total-time-spent' event.
+   */
+  expire () {
+    this.timeLeft = 0
+    this.updateDisplay()
+    this.stopTimer()
+    this.dispatchTotalTimeSpentEvent()
+  }
+
+  /**
+   * Returns the milliseconds spent on the current question so far, never more than its duration.
    *
-   * @fires CustomEvent#total-time-spent
-   * @property {number} detail.totalTime - The total accumulated time.
+   * @returns {number} The elapsed time in milliseconds, or 0 if the timer is not running.
    */
-  dispatchTotalTimeSpentEvent () {
-    this.dispatchEvent(new CustomEvent('total-time-spent', {
-      detail: {
-        totalTime: this.accumulatedTime
-      },
+  getElapsedTime () {
+    if (this.pendingStart) return this.pendingStart.elapsed
+    if (this.paused) return this.pausedElapsed
+    if (!this.intervalId) return 0
+    return Math.min(performance.now() - this.startedAt, this.durationMs)
+  }
+
+  /**
+   * Pauses the running timer, keeping the time spent so far.
+   *
+   * @returns {boolean} True if the timer was paused, false if it was not running or pausing is disabled.
+   * @fires CustomEvent#paused
+   */
+  pauseTimer () {
+    if (!this.intervalId || this.hasAttribute('pause-disabled')) return false
+
+    this.pausedElapsed = this.getElapsedTime()
+    clearInterval(this.intervalId)
+    clearTimeout(this.timeoutId)
+    this.intervalId = null
+    this.timeoutId = null
+    this.updateDisplay()
+
+    this.dispatchEvent(new CustomEvent('paused', {
+      detail: { timeLeft: this.durationMs - this.pausedElapsed },
+      bubbles: true,
+      composed: true
+    }))
+    return true
+  }
+
+  /**
+   * Resumes the paused timer from where it was paused.
+   *
+   * @returns {boolean} True if the timer was resumed, false if it was not paused.
+   * @fires CustomEvent#resumed
+   */
+  resumeTimer () {
+    if (!this.paused) return false
+
+    this.startedAt = performance.now() - this.pausedElapsed
+    this.pausedElapsed = null
+    this.scheduleTimer()
+    this.updateDisplay()
+
+    this.dispatchEvent(new CustomEvent('resumed', {
+      detail: { timeLeft: this.durationMs - this.getElapsedTime() },
       bubbles: true,
       composed: true
     }))
+    return true
   }
 
   /**
-   * Calculates the total time spent and dispatches a custom event with the total time.
-   * If there is time left, it adds the remaining time to the total time spent.
-   * Dispatches a 'total-time-spent' event with the total time spent as detail.
+   * Adds seconds to the time limit of the running or paused question.
+   *
+   * @param {number} seconds - The seconds to add.
+   * @returns {boolean} True if the time was added, false if no question is timed.
    */
-  getTotalTimeSpent () {
-    if (this.timeLeft > 0) {
-      this.totalTimeSpent += this.timeLeft
+  addTime (seconds) {
+    if (this.untimed) return false
+    if (this.pendingStart) {
+      this.pendingStart.duration += seconds
+      this.timeLeft += seconds
+      this.updateDisplay()
+      return true
+    }
+    if (!this.intervalId && !this.paused) return false
+
+    this.durationMs += seconds * 1000
+    if (this.intervalId) {
+      clearTimeout(this.timeoutId)
+      this.timeoutId = setTimeout(() => this.expire(), this.durationMs - this.getElapsedTime())
     }
+    this.timeLeft = Math.ceil((this.durationMs - this.getElapsedTime()) / 1000)
+    // Thresholds that are ahead again are announced again.
+    this.announced.forEach(seconds => {
+      if (seconds < this.timeLeft) this.announced.delete(seconds)
+    })
+    this.updateDisplay()
+    return true
+  }
 
+  /**
+   * Stops the countdown timer by clearing the interval.
+   * If the timer is running or paused, it will clear the interval and set the intervalId to null,
+   * and the time spent on the question is added to the accumulated time and kept in lastTimeSpent.
+   * A timer that waits for media is not started.
+   */
+  stopTimer () {
+    this.pendingStart = null
+    if (this.intervalId || this.paused) {
+      this.totalTimeSpent = Math.round(this.getElapsedTime())
+      this.pausedElapsed = null
+
+      clearInterval(this.intervalId)
+      clearTimeout(this.timeoutId)
+      this.intervalId = null
+      this.timeoutId = null
+      this.accumulatedTime += this.totalTimeSpent
+      this.lastTimeSpent = this.totalTimeSpent
+      console.log(`Timer Stopped. Total Time Spent: ${this.totalTimeSpent} ms`)
+      console.log(`Accumulated Time: ${this.accumulatedTime} ms`)
+
+      this.totalTimeSpent = 0
+    }
+  }
+
+  /**
+   * Dispatches a custom event 'total-time-spent' with the total accumulated time.
+   * The event bubbles up through the DOM and is composed.
+   *
+   * @fires CustomEvent#total-time-spent
+   * @property {number} detail.totalTime - The total accumulated time in milliseconds.
+   */
+  dispatchTotalTimeSpentEvent () {
     this.dispatchEvent(new CustomEvent('total-time-spent', {
       detail: {
-        totalTime: this.totalTimeSpent
+        totalTime: this.accumulatedTime
       },
       bubbles: true,
       composed: true
@@ -186,10 +425,12 @@ class CountdownTimer extends HTMLElement {
   }
 
   /**
-   * Resets the total time spent to zero.
+   * Resets the accumulated time to zero.
    */
   resetAccumulatedTime () {
     this.accumulatedTime = 0
+    this.lastTimeSpent = 0
+    this.announced = new Set()
   }
 
   /**
@@ -200,6 +441,9 @@ class CountdownTimer extends HTMLElement {
     this.stopTimer()
     this.resetTotalTimeSpent()
     this.resetAccumulatedTime()
+    this.lastTimeSpent = 0
+    this.timeLeft = 0
+    this.durationMs = 0
     this.updateDisplay()
   }
 
@@ -207,12 +451,17 @@ class CountdownTimer extends HTMLElement {
    * Updates the display of the countdown timer.
    *
    * This method selects the element with the ID 'timer-display' from the shadow DOM
-   * and updates its text content to show the remaining time in seconds.
+   * and updates its text content to show the remaining time in seconds, or the time spent if
+   * the question has no time limit.
    */
   updateDisplay () {
     const timerDisplay = this.shadowRoot.querySelector('#timer-display')
-    if (timerDisplay) {
-      timerDisplay.textContent = `Time Left: ${this.timeLeft} s`
+    if (timerDisplay && this.untimed) {
+      const key = this.paused ? 'timer.pausedUntimed' : 'timer.untimed'
+      timerDisplay.textContent = t(key, { seconds: Math.floor(this.getElapsedTime() / 1000) })
+    } else if (timerDisplay) {
+      const key = this.pendingStart ? 'timer.loadingMedia' : this.paused ? 'timer.paused' : 'timer.timeLeft'
+      timerDisplay.textContent = t(key, { seconds: this.timeLeft })
     }
   }
 }
@@ -0,0 +1,121 @@
+import { localize, translate } from '../../lib/i18n.js'
+
+/**
+ * A custom HTML element that tells the player that something went wrong with the connection
+ * to the quiz server, or with the configuration of the quiz, and lets them retry or quit.
+ *
+ * @class
+ * @augments HTMLElement
+ * @function showError - Shows the panel with a message describing the error.
+ * @fires CustomEvent#retry - Dispatched when the player wants to try the failed request again.
+ * @fires CustomEvent#quit - Dispatched when the player gives up the current game.
+ * @example
+ * <error-panel></error-panel>
+ */
+class ErrorPanel extends HTMLElement {
+  /**
+   * Creates an instance of the error panel component and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Renders the panel and adds listeners to the Retry and Quit buttons, and translates the
+   * panel when the locale changes.
+   */
+  connectedCallback () {
+    this.render()
+
+    this.shadowRoot.querySelector('#retry-button').addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('retry', { bubbles: true, composed: true }))
+    })
+
+    this.shadowRoot.querySelector('#quit-button').addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('quit', { bubbles: true, composed: true }))
+    })
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
+  }
+
+  /**
+   * Renders the error panel with a heading, the error message and the Retry and Quit buttons.
+   */
+  render () {
+    this.shadowRoot.innerHTML = `
+      <style>
+        #error-panel {
+          max-width: 400px;
+          margin: 20px auto;
+          padding: 20px;
+          text-align: center;
+          background-color: var(--quiz-color-danger-bg, #f8d7da);
+          color: var(--quiz-color-danger-text, #721c24);
+          border: 1px solid var(--quiz-color-danger-border, #f5c6cb);
+          border-radius: 10px;
+          box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+        }
+
+        h2 {
+          margin-top: 0;
+          font-size: 1.3rem;
+        }
+
+        button {
+          margin: 0 5px;
+          padding: 10px 20px;
+          font-size: 1rem;
+          color: var(--quiz-color-button-text, #ffffff);
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+          transition: background-color 0.3s ease;
+        }
+
+        #retry-button {
+          background-color: var(--quiz-color-primary, #4a90e2);
+        }
+
+        #retry-button:hover {
+          background-color: var(--quiz-color-primary-hover, #357ab7);
+        }
+
+        #quit-button {
+          background-color: var(--quiz-color-secondary, #6c757d);
+        }
+
+        #quit-button:hover {
+          background-color: var(--quiz-color-secondary-hover, #5a6268);
+        }
+      </style>
+      <div id="error-panel" part="panel" role="alert">
+        <h2 id="error-heading" data-i18n="errors.heading"></h2>
+        <p id="error-message"></p>
+        <button id="retry-button" part="button" data-i18n="errors.retry"></button>
+        <button id="quit-button" part="button" data-i18n="errors.quit"></button>
+      </div>
+    `
+    translate(this.shadowRoot)
+  }
+
+  /**
+   * Shows a message describing the error.
+   *
+   * @param {string} message - The message to show.
+   * @param {object} [options] - The options of the panel.
+   * @param {string} [options.heading] - The message key of the heading.
+   * @param {boolean} [options.canQuit] - Whether to offer to quit; there is nothing to quit before a game has started.
+   */
+  showError (message, { heading = 'errors.heading', canQuit = true } = {}) {
+    localize(this.shadowRoot.querySelector('#error-heading'), heading)
+    this.shadowRoot.querySelector('#error-message').textContent = message
+    this.shadowRoot.querySelector('#quit-button').hidden = !canQuit
+    this.shadowRoot.querySelector('#retry-button').focus()
+  }
+}
+
+customElements.define('error-panel', ErrorPanel)
@@ -0,0 +1 @@
+import './error-panel.js'
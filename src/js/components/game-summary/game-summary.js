@@ -0,0 +1,313 @@
+import { t, formatNumber, translate } from '../../lib/i18n.js'
+import { formatTime } from '../../lib/format-time.js'
+import { escapeHTML } from '../../lib/rich-text.js'
+import { describeTiming, resolveTiming } from '../../lib/timing-policies.js'
+import { scoringModels } from '../../lib/scoring-models.js'
+import { totalTimeOf } from '../../lib/run-transcript.js'
+
+/**
+ * The size of the bar chart in SVG user units.
+ *
+ * @type {{width: number, height: number, top: number, bottom: number}}
+ */
+const CHART = { width: 400, height: 160, top: 14, bottom: 18 }
+
+/**
+ * A custom HTML element that sums up a finished run before the high score list.
+ *
+ * It shows how many questions the player reached, the time spent on each question as a bar
+ * chart drawn with inline SVG, the fastest and slowest questions, how the run compares with the
+ * player's personal best, and where the run ranks in its category. Scores are shown and compared
+ * in the scoring model of the run (see scoring-models.js). The summary is computed by
+ * summarizeRun() in run-summary.js.
+ *
+ * @class
+ * @augments HTMLElement
+ * @function showSummary - Shows the summary of a run.
+ * @fires CustomEvent#continue - Dispatched when the player moves on to the high score list.
+ * @example
+ * <game-summary></game-summary>
+ */
+class GameSummary extends HTMLElement {
+  /**
+   * Creates an instance of the component and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this.summary = null
+    this.transcript = null
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Renders the component, and renders it again when the locale changes.
+   */
+  connectedCallback () {
+    this.render()
+
+    window.addEventListener('locale-changed', () => {
+      this.render()
+    })
+  }
+
+  /**
+   * Shows the summary of a run and moves the focus to it.
+   *
+   * @param {object} summary - The summary, see summarizeRun() in run-summary.js.
+   * @param {object} transcript - The transcript of the run, see run-transcript.js.
+   */
+  showSummary (summary, transcript) {
+    this.summary = summary
+    this.transcript = transcript
+    this.render()
+    this.shadowRoot.querySelector('#continue-button').focus()
+  }
+
+  /**
+   * Renders the summary, or only the Continue button if there is none.
+   */
+  render () {
+    this.shadowRoot.innerHTML = `
+      <style>
+        #summary {
+          max-width: 500px;
+          margin: 20px auto;
+          padding: 20px;
+          text-align: center;
+          background-color: var(--quiz-color-surface, #f8f9fa);
+          color: var(--quiz-color-text, #333);
+          border-radius: 10px;
+          box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+        }
+
+        h2 {
+          margin-top: 0;
+        }
+
+        dl {
+          display: grid;
+          grid-template-columns: auto auto;
+          gap: 6px 20px;
+          justify-content: center;
+          text-align: left;
+        }
+
+        dt {
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        dd {
+          margin: 0;
+          font-weight: bold;
+        }
+
+        svg {
+          width: 100%;
+          height: auto;
+          margin: 10px 0;
+        }
+
+        .correct {
+          --result-color: var(--quiz-color-primary, #4a90e2);
+        }
+
+        .wrong {
+          --result-color: var(--quiz-color-danger, #d9534f);
+        }
+
+        .timeout {
+          --result-color: var(--quiz-color-warning, #ffc107);
+        }
+
+        .skipped {
+          --result-color: var(--quiz-color-secondary, #6c757d);
+        }
+
+        .bar {
+          fill: var(--result-color);
+        }
+
+        .swatch {
+          display: inline-block;
+          width: 10px;
+          height: 10px;
+          margin: 0 4px 0 10px;
+          background-color: var(--result-color);
+        }
+
+        .axis {
+          stroke: var(--quiz-color-border, #ccc);
+        }
+
+        .label {
+          font-size: 10px;
+          fill: var(--quiz-color-text-muted, #666);
+        }
+
+        .legend {
+          font-size: 0.85rem;
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        .comparison {
+          margin: 6px 0;
+        }
+
+        #continue-button {
+          margin-top: 10px;
+          padding: 10px 20px;
+          font-size: 1rem;
+          background-color: var(--quiz-color-primary, #4a90e2);
+          color: var(--quiz-color-button-text, #ffffff);
+          border: none;
+          border-radius: 5px;
+          cursor: pointer;
+        }
+
+        #continue-button:hover {
+          background-color: var(--quiz-color-primary-hover, #357ab7);
+        }
+      </style>
+      <section id="summary" part="panel" aria-labelledby="summary-heading">
+        <h2 id="summary-heading" data-i18n="summary.heading"></h2>
+        ${this.summary ? this.renderSummary() : ''}
+        <button id="continue-button" part="button" data-i18n="summary.showHighScore"></button>
+      </section>
+    `
+    translate(this.shadowRoot)
+
+    this.shadowRoot.querySelector('#continue-button').addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('continue', { bubbles: true, composed: true }))
+    })
+  }
+
+  /**
+   * Renders the figures, the chart and the comparisons of the summary.
+   *
+   * @returns {string} The HTML of the summary.
+   */
+  renderSummary () {
+    const { summary, transcript } = this
+    /**
+     * Names an attempt with its time.
+     *
+     * @param {object} attempt - The attempt.
+     * @returns {string} The description.
+     */
+    const describe = attempt => t('summary.questionTime', { number: attempt.number, time: attempt.timeSpent })
+
+    return `
+      <p>${t(`transcript.outcomes.${transcript.outcome ?? 'inProgress'}`)}</p>
+      <dl>
+        <dt>${t('summary.questionsReached')}</dt>
+        <dd>${formatNumber(summary.questionsReached)}</dd>
+        <dt>${t('summary.correctAnswers')}</dt>
+        <dd>${formatNumber(summary.correctAnswers)}</dd>
+        <dt>${t('transcript.totalTime')}</dt>
+        <dd>${formatTime(totalTimeOf(transcript) ?? 0)}</dd>
+        ${summary.score !== null && this.model.name !== 'time' ? `<dt>${t('summary.score')}</dt><dd>${this.model.format(summary.score)}</dd>` : ''}
+        ${summary.fastest ? `<dt>${t('summary.fastest')}</dt><dd>${describe(summary.fastest)}</dd>` : ''}
+        ${summary.slowest ? `<dt>${t('summary.slowest')}</dt><dd>${describe(summary.slowest)}</dd>` : ''}
+      </dl>
+      ${this.renderChart()}
+      ${this.renderComparison()}
+    `
+  }
+
+  /**
+   * Draws the time spent on each attempt as a bar chart in inline SVG. The bars are coloured by
+   * result, and each has a tooltip with the question and its time.
+   *
+   * @returns {string} The SVG of the chart, or an empty string if there are no attempts.
+   */
+  renderChart () {
+    const { attempts } = this.summary
+    if (attempts.length === 0) return ''
+
+    const { width, height, top, bottom } = CHART
+    const longest = Math.max(...attempts.map(attempt => attempt.timeSpent), 1)
+    const plotHeight = height - top - bottom
+    const slot = width / attempts.length
+    const barWidth = Math.min(Math.max(slot * 0.7, 1), 40)
+
+    const bars = attempts.map((attempt, index) => {
+      const barHeight = Math.max((attempt.timeSpent / longest) * plotHeight, 1)
+      const x = index * slot + (slot - barWidth) / 2
+      const y = top + plotHeight - barHeight
+      const tooltip = `${t('summary.questionTime', { number: attempt.number, time: attempt.timeSpent })} – ${t(`transcript.results.${attempt.result}`)}: ${attempt.text}`
+      return `
+        <rect class="bar ${attempt.result}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}">
+          <title>${escapeHTML(tooltip)}</title>
+        </rect>
+        <text class="label" x="${(x + barWidth / 2).toFixed(1)}" y="${height - 4}" text-anchor="middle">${formatNumber(attempt.number)}</text>
+      `
+    }).join('')
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="chart-title">
+        <title id="chart-title">${escapeHTML(t('summary.chartLabel', { longest: formatTime(longest) }))}</title>
+        <text class="label" x="0" y="10">${formatTime(longest)}</text>
+        <line class="axis" x1="0" y1="${top + plotHeight}" x2="${width}" y2="${top + plotHeight}"></line>
+        ${bars}
+      </svg>
+      <p class="legend">${this.renderLegend()}</p>
+    `
+  }
+
+  /**
+   * Names the colours of the results that occur in the chart.
+   *
+   * @returns {string} The HTML of the legend.
+   */
+  renderLegend () {
+    const results = new Set(this.summary.attempts.map(attempt => attempt.result))
+    return ['correct', 'wrong', 'timeout', 'skipped']
+      .filter(result => results.has(result))
+      .map(result => `<span class="swatch ${result}" aria-hidden="true"></span>${t(`transcript.results.${result}`)}`)
+      .join(' ')
+  }
+
+  /**
+   * The scoring model of the run shown.
+   *
+   * @type {object}
+   */
+  get model () {
+    return scoringModels.resolve(this.transcript?.scoringModel)
+  }
+
+  /**
+   * Describes how the run compares with the player's personal best and where it ranks.
+   *
+   * @returns {string} The HTML of the comparisons.
+   */
+  renderComparison () {
+    const { personalBest, rank } = this.summary
+    const { model } = this
+    const category = `${t(`highScore.${this.transcript.mode}`)} – ${describeTiming(resolveTiming(this.transcript.timing))} – ${t(model.label)}`
+    const lines = []
+
+    if (!rank) {
+      lines.push(t('summary.notRecorded'))
+    } else if (!personalBest) {
+      lines.push(t('summary.firstRun'))
+    } else if (personalBest.difference === 0) {
+      lines.push(t('summary.equalsBest', { best: model.format(personalBest.previous) }))
+    } else {
+      const better = model.higherIsBetter ? personalBest.difference > 0 : personalBest.difference < 0
+      lines.push(t(better ? 'summary.betterThanBest' : 'summary.worseThanBest', {
+        difference: model.format(Math.abs(personalBest.difference)),
+        best: model.format(personalBest.previous)
+      }))
+    }
+
+    if (rank) {
+      lines.push(t('summary.rank', { position: rank.position, count: rank.of, category }))
+    }
+
+    return lines.map(line => `<p class="comparison">${line}</p>`).join('')
+  }
+}
+
+customElements.define('game-summary', GameSummary)
@@ -0,0 +1 @@
+import './game-summary.js'
@@ -1,83 +1,171 @@
+import { formatTime } from '../../lib/format-time.js'
+import { highScoreStore, isSameEntry } from '../../lib/high-score-store.js'
+import { toJSON, toCSV, parseImport, ImportError } from '../../lib/score-transfer.js'
+import { LIFELINES, LIFELINE_PARAMS } from '../../lib/lifelines.js'
+import { escapeHTML } from '../../lib/rich-text.js'
+import { t, getLocale, formatDate, formatNumber } from '../../lib/i18n.js'
+import { resolveTiming, timingOf, timingKey, describeTiming } from '../../lib/timing-policies.js'
+import { scoringModels, scoringModelOf, DEFAULT_SCORING_MODEL } from '../../lib/scoring-models.js'
+import { topEntries, entriesOfDay, nicknames, playerHistory, aggregateStats, classifyNewEntry } from '../../lib/leaderboard-stats.js'
+
 /**
- * Represents a high score component that displays and manages high scores.
- * This component uses the shadow DOM and interacts with localStorage to persist high scores.
+ * The views of the leaderboard, with the message keys of the labels of their tabs.
+ *
+ * @type {{[view: string]: string}}
+ */
+const VIEWS = {
+  top: 'highScore.top',
+  today: 'highScore.today',
+  player: 'highScore.player',
+  stats: 'highScore.stats'
+}
+
+/**
+ * The leaderboard categories, by game mode, with the message keys of their labels. Practice runs
+ * are kept apart from ranked times.
+ *
+ * @type {{[mode: string]: string}}
+ */
+const CATEGORIES = {
+  ranked: 'highScore.ranked',
+  practice: 'highScore.practice'
+}
+
+/**
+ * Represents a high score component that displays the high scores.
+ * This component uses the shadow DOM and reads the high scores from the high score store.
+ * The high scores and run history can be exported as JSON or CSV, and imported from such files.
+ *
+ * Nicknames come from players and imported files, so they are always escaped.
+ *
+ * The leaderboard has tabs for the all-time top list (its length is set by the 'top' attribute,
+ * default 5), today's runs, the history of a player and aggregate statistics. The entry of the
+ * last game is highlighted, and marked if it is a new record or a new personal best.
+ * Ranked and practice runs are shown in separate categories, and runs that used lifelines are
+ * marked as assisted. Within a category, only runs with the same timing policy are compared
+ * (see timing-policies.js); the policy is chosen in a menu next to the category. Runs are also
+ * kept apart by the scoring model that produced their scores (see scoring-models.js), which
+ * decides whether the highest or the lowest score is best and how scores are shown.
+ *
+ * The leaderboard is in the current locale, with times, numbers and dates formatted by Intl, and
+ * is rendered again when the locale changes.
  *
  * @class highScore
  * @augments {HTMLElement}
  * @property {Array<object>} score - An array to store high score entries.
- * @function connectedCallback - Called when the element is added to the document's DOM. Initializes high scores from localStorage and sets up an event listener for the 'high-score' event.
- * @function render - Renders the high score list and a "Try Again" button. Updates the shadow DOM with the generated HTML.
+ * @function connectedCallback - Called when the element is added to the document's DOM. Renders the high scores and sets up an event listener for the 'high-score' event.
+ * @function render - Renders the leaderboard and a "Try Again" button. Updates the shadow DOM with the generated HTML.
+ * @function exportScores - Downloads all high score entries as a JSON or CSV file.
+ * @function importScores - Merges the entries of an exported file into the high scores.
  * @function tryAgain - Handles the "try again" action by removing the high score event listener and dispatching a custom "try-again" event.
  */
 class highScore extends HTMLElement {
   /**
    * Creates an instance of the HighScore component.
-   * Initializes the shadow DOM and sets up an empty score array.
+   * Initializes the shadow DOM, sets up an empty score array and shows the top list.
    */
   constructor () {
     super()
     this.attachShadow({ mode: 'open' })
     this.score = []
+    this.view = 'top'
+    this.category = 'ranked'
+    this.timing = resolveTiming()
+    this.scoringModel = DEFAULT_SCORING_MODEL
+    this.newEntry = null
+    this.newEntryKind = null
+    this.selectedNickname = null
+  }
+
+  /**
+   * The attributes to observe for changes.
+   *
+   * @returns {string[]} The names of the observed attributes.
+   */
+  static get observedAttributes () {
+    return ['top']
+  }
+
+  /**
+   * Called when an observed attribute changes. Renders the list again with the new length.
+   *
+   * @param {string} name - The name of the attribute.
+   * @param {string|null} oldValue - The previous value.
+   * @param {string|null} newValue - The new value.
+   */
+  attributeChangedCallback (name, oldValue, newValue) {
+    if (this.isConnected && oldValue !== newValue) {
+      this.render()
+    }
+  }
+
+  /**
+   * How many entries the top list shows, from the 'top' attribute.
+   *
+   * @type {number}
+   */
+  get topCount () {
+    return parseInt(this.getAttribute('top')) || 5
   }
 
   /**
    * Called when the element is added to the document's DOM.
-   * Initializes the high scores from localStorage and sets up an event listener
-   * for the 'high-score' event to update the high scores.
-   *
-   * - Retrieves high scores from localStorage and parses them as JSON.
-   * - Ensures the high scores are stored as an array.
-   * - Renders the high scores.
-   * - Adds an event listener for the 'high-score' event to update the high scores.
-   * - Prevents saving duplicate entries (same nickname and score).
-   * - Adds new high score entries and keeps only the top 5 scores.
-   * - Sorts the high scores in ascending order.
-   * - Saves the updated high scores to localStorage.
-   * - Renders the updated high scores.
+   * Renders the high scores and sets up an event listener for the 'high-score' event,
+   * which is dispatched when a new entry has been saved, to highlight it and render them again.
+   * The high scores are also rendered again in another locale when the 'locale-changed' event is dispatched.
    */
   connectedCallback () {
-    this.scores = JSON.parse(localStorage.getItem('highScores')) || []
-    this.scores = []
-
     this.render()
 
     window.addEventListener('high-score', (event) => {
-      // Prevent saving duplicates (same nickname and same score)
-      const existingEntry = this.scores.find(score => score.nickname === event.detail.nickname && score.score === event.detail.score)
-      if (!existingEntry) {
-        this.scores.push({
-          nickname: event.detail.nickname,
-          score: event.detail.score
-        })
-
-        localStorage.setItem('highScores', JSON.stringify(this.scores))
-        this.render()
-      }
+      this.newEntry = event.detail
+      this.category = event.detail.mode
+      this.timing = timingOf(event.detail)
+      this.scoringModel = scoringModelOf(event.detail).name
+      this.newEntryKind = classifyNewEntry(this.entriesOfCategory(), event.detail)
+      this.selectedNickname = event.detail.nickname
+      this.render()
+    })
+
+    window.addEventListener('locale-changed', () => {
+      this.render()
     })
   }
 
   /**
-   * Renders the high score list and a "Try Again" button.
+   * Renders the leaderboard with its tabs, the "Try Again" button and the Export and Import buttons.
    *
-   * This method retrieves the high scores from local storage, filters and maps them into a list of HTML elements,
-   * and then updates the shadow DOM with the generated HTML. It also adds an event listener to the "Try Again" button
-   * to call the `tryAgain` method when clicked.
+   * This method retrieves the high scores from the high score store, renders the current view into
+   * the shadow DOM and adds event listeners to the tabs, the view controls, the "Try Again" button
+   * (which calls the `tryAgain` method when clicked) and the Export and Import buttons.
    *
    * @function render
    */
   render () {
-    this.scores = JSON.parse(localStorage.getItem('highScores')) || []
+    this.scores = this.entriesOfCategory()
 
-    const topFiveScores = this.scores
-      .filter(entry => entry && typeof entry.score === 'number' && !isNaN(entry.score))
-      .sort((a, b) => a.score - b.score)
-      .slice(0, 5)
+    const banners = {
+      record: 'highScore.newRecordBanner',
+      'personal-best': 'highScore.newPersonalBestBanner'
+    }
+    const banner = banners[this.newEntryKind]
+      ? `<p id="new-entry-banner">${t(banners[this.newEntryKind])}</p>`
+      : ''
 
-    const scoreList = topFiveScores.map((entry, index) => `
-    <li>
-      <span class="nickname">${index + 1}. ${entry.nickname}</span>
-      <span class="score">${entry.score}</span>
-    </li>
+    const categories = Object.entries(CATEGORIES).map(([mode, label]) => `
+      <option value="${mode}" ${mode === this.category ? 'selected' : ''}>${t(label)}</option>
+    `).join('')
+
+    const timings = [...this.timingsOfCategory()].map(([key, timing]) => `
+      <option value="${key}" ${key === timingKey(this.timing) ? 'selected' : ''}>${describeTiming(timing)}</option>
+    `).join('')
+
+    const models = scoringModels.names.map(name => `
+      <option value="${name}" ${name === this.scoringModel ? 'selected' : ''}>${t(scoringModels.get(name).label)}</option>
+    `).join('')
+
+    const tabs = Object.entries(VIEWS).map(([view, label]) => `
+      <button role="tab" part="tab" data-view="${view}" aria-selected="${view === this.view}">${t(label)}</button>
     `).join('')
 
     this.shadowRoot.innerHTML = `
@@ -93,33 +181,33 @@ class highScore extends HTMLElement {
         justify-content: space-evenly;
         padding: 10px;
         margin: 8px 0;
-        background-color: #f8f9fa;
+        background-color: var(--quiz-color-surface, #f8f9fa);
         border-radius: 5px;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        box-shadow: 0 2px 4px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
       }
 
       h2 {
         text-align: center;
         font-size: 1.5rem;
-        color: #333;
+        color: var(--quiz-color-text, #333);
         margin-bottom: 15px;
       }
 
       .nickname {
         font-weight: 500;
-        color: #333;
+        color: var(--quiz-color-text, #333);
       }
 
       .score {
         font-weight: bold;
-        color: #007bff;
+        color: var(--quiz-color-accent, #007bff);
       }
         #try-again-button {
           display: block;
           margin: 20px auto;
           padding: 10px 20px;
-          background-color: #28a745;
-          color: #ffffff;
+          background-color: var(--quiz-color-success, #28a745);
+          color: var(--quiz-color-button-text, #ffffff);
           border: none;
           border-radius: 5px;
           cursor: pointer;
@@ -129,16 +217,468 @@ class highScore extends HTMLElement {
         }
 
         #try-again-button:hover {
-          background-color: #218838;
+          background-color: var(--quiz-color-success-hover, #218838);
+        }
+
+        #transfer {
+          display: flex;
+          justify-content: center;
+          gap: 10px;
+        }
+
+        #transfer button {
+          padding: 6px 12px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface, #f8f9fa);
+          color: var(--quiz-color-text, #333);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+          cursor: pointer;
+        }
+
+        #transfer button:hover {
+          background-color: var(--quiz-color-hover, #e2e6ea);
+        }
+
+        #transfer-report {
+          max-width: 400px;
+          margin: 10px auto;
+          font-size: 0.9rem;
+          color: var(--quiz-color-text, #333);
+        }
+
+        #transfer-report.error {
+          color: var(--quiz-color-danger-text, #721c24);
+        }
+
+        [role="tablist"] {
+          display: flex;
+          justify-content: center;
+          gap: 5px;
+          margin-bottom: 10px;
+        }
+
+        [role="tab"] {
+          padding: 6px 12px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface, #f8f9fa);
+          color: var(--quiz-color-text, #333);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+          cursor: pointer;
+        }
+
+        [role="tab"][aria-selected="true"] {
+          background-color: var(--quiz-color-primary, #4a90e2);
+          border-color: var(--quiz-color-primary, #4a90e2);
+          color: var(--quiz-color-button-text, #ffffff);
+        }
+
+        #view {
+          max-width: 500px;
+          margin: 0 auto;
+        }
+
+        .view-controls {
+          text-align: center;
+          margin-bottom: 10px;
+        }
+
+        .empty {
+          text-align: center;
+          font-style: italic;
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        li.new {
+          background-color: var(--quiz-color-warning-bg, #fff3cd);
+          box-shadow: 0 0 0 2px var(--quiz-color-warning, #ffc107);
+        }
+
+        .badge {
+          font-size: 0.8rem;
+          font-weight: bold;
+          color: var(--quiz-color-warning-text, #856404);
+        }
+
+        .assisted {
+          font-size: 0.8rem;
+          color: var(--quiz-color-text-muted, #6c757d);
+          cursor: help;
+        }
+
+        .date {
+          font-size: 0.9rem;
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        #new-entry-banner {
+          text-align: center;
+          font-size: 1.2rem;
+          font-weight: bold;
+          color: var(--quiz-color-warning-text, #856404);
+        }
+
+        dl {
+          display: grid;
+          grid-template-columns: auto auto;
+          gap: 8px 20px;
+          justify-content: center;
+        }
+
+        dt {
+          color: var(--quiz-color-text, #333);
+        }
+
+        dd {
+          margin: 0;
+          font-weight: bold;
+          color: var(--quiz-color-accent, #007bff);
         }
     </style>
-      <h2>High Score</h2>
-      <ul>${scoreList}</ul>
-      <button id="try-again-button">Try Again</button>
+      <h2>${t('highScore.heading')}</h2>
+      ${banner}
+      <div class="view-controls">
+        <label for="category-select">${t('highScore.category')}</label>
+        <select id="category-select" part="select">${categories}</select>
+        <label for="timing-select">${t('highScore.timing')}</label>
+        <select id="timing-select" part="select">${timings}</select>
+        <label for="scoring-select">${t('highScore.scoring')}</label>
+        <select id="scoring-select" part="select">${models}</select>
+      </div>
+      <div role="tablist">${tabs}</div>
+      <div id="view" role="tabpanel">${this.renderView()}</div>
+      <button id="try-again-button" part="button">${t('highScore.tryAgain')}</button>
+      <div id="transfer">
+        <button id="export-json-button" part="button">${t('highScore.exportJSON')}</button>
+        <button id="export-csv-button" part="button">${t('highScore.exportCSV')}</button>
+        <button id="import-button" part="button">${t('highScore.import')}</button>
+        <input type="file" id="import-file" accept=".json,.csv,application/json,text/csv" hidden>
+      </div>
+      <div id="transfer-report" role="status"></div>
     `
+    this.shadowRoot.querySelectorAll('[role="tab"]').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.view = tab.dataset.view
+        this.render()
+      })
+    })
+
+    this.shadowRoot.querySelector('#category-select').addEventListener('change', (event) => {
+      this.category = event.target.value
+      this.render()
+    })
+
+    this.shadowRoot.querySelector('#timing-select').addEventListener('change', (event) => {
+      this.timing = this.timingsOfCategory().get(event.target.value)
+      this.render()
+    })
+
+    this.shadowRoot.querySelector('#scoring-select').addEventListener('change', (event) => {
+      this.scoringModel = event.target.value
+      this.render()
+    })
+
+    this.shadowRoot.querySelector('#top-select')?.addEventListener('change', (event) => {
+      this.setAttribute('top', event.target.value)
+    })
+
+    this.shadowRoot.querySelector('#player-select')?.addEventListener('change', (event) => {
+      this.selectedNickname = event.target.value
+      this.render()
+    })
+
     this.shadowRoot.querySelector('#try-again-button').addEventListener('click', () => {
       this.tryAgain()
     })
+
+    this.shadowRoot.querySelector('#export-json-button').addEventListener('click', () => {
+      this.exportScores('json')
+    })
+
+    this.shadowRoot.querySelector('#export-csv-button').addEventListener('click', () => {
+      this.exportScores('csv')
+    })
+
+    const fileInput = this.shadowRoot.querySelector('#import-file')
+    this.shadowRoot.querySelector('#import-button').addEventListener('click', () => {
+      fileInput.click()
+    })
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.importScores(fileInput.files[0])
+      }
+    })
+  }
+
+  /**
+   * Returns the entries of the selected category, timing policy and scoring model, best first.
+   *
+   * @returns {object[]} The entries.
+   */
+  entriesOfCategory () {
+    return highScoreStore.getAll()
+      .filter(entry => entry.mode === this.category && timingKey(timingOf(entry)) === timingKey(this.timing) &&
+        scoringModelOf(entry).name === this.scoringModel)
+  }
+
+  /**
+   * Formats a score in the selected scoring model.
+   *
+   * @param {number} score - The score.
+   * @returns {string} The formatted score.
+   */
+  formatScore (score) {
+    return scoringModels.resolve(this.scoringModel).format(score)
+  }
+
+  /**
+   * Returns the timing policies that the runs of the selected category were played with, and
+   * the selected one.
+   *
+   * @returns {Map<string, object>} The timings by their keys, see timingKey() in timing-policies.js.
+   */
+  timingsOfCategory () {
+    const timings = new Map()
+    for (const entry of highScoreStore.getAll()) {
+      const timing = timingOf(entry)
+      if (entry.mode === this.category && !timings.has(timingKey(timing))) {
+        timings.set(timingKey(timing), timing)
+      }
+    }
+    if (!timings.has(timingKey(this.timing))) {
+      timings.set(timingKey(this.timing), this.timing)
+    }
+    return timings
+  }
+
+  /**
+   * Renders the content of the current view.
+   *
+   * @returns {string} The HTML of the view.
+   */
+  renderView () {
+    switch (this.view) {
+      case 'today':
+        return this.renderToday()
+      case 'player':
+        return this.renderPlayer()
+      case 'stats':
+        return this.renderStats()
+      default:
+        return this.renderTop()
+    }
+  }
+
+  /**
+   * Renders the all-time best entries, with a control for how many to show.
+   *
+   * @returns {string} The HTML of the view.
+   */
+  renderTop () {
+    const options = [...new Set([5, 10, 25, 50, this.topCount])].sort((a, b) => a - b).map(count => `
+      <option value="${count}" ${count === this.topCount ? 'selected' : ''}>${formatNumber(count)}</option>
+    `).join('')
+
+    return `
+      <div class="view-controls">
+        <label for="top-select">${t('highScore.showTop')}</label>
+        <select id="top-select" part="select">${options}</select>
+      </div>
+      ${this.renderList(topEntries(this.scores, this.topCount), t('highScore.noScores'))}
+    `
+  }
+
+  /**
+   * Renders the entries of the runs played today.
+   *
+   * @returns {string} The HTML of the view.
+   */
+  renderToday () {
+    return this.renderList(entriesOfDay(this.scores), t('highScore.noRunsToday'), entry =>
+      formatDate(entry.timestamp, { hour: '2-digit', minute: '2-digit' }))
+  }
+
+  /**
+   * Renders the history of one player, with their personal best and average time.
+   * The current player is selected until another one is chosen.
+   *
+   * @returns {string} The HTML of the view.
+   */
+  renderPlayer () {
+    const players = nicknames(this.scores)
+    if (players.length === 0) {
+      return `<p class="empty">${t('highScore.noPlayers')}</p>`
+    }
+
+    const preferred = this.selectedNickname ?? localStorage.getItem('nickname')
+    const nickname = players.includes(preferred) ? preferred : players[0]
+    const { entries, best, average } = playerHistory(this.scores, nickname)
+
+    const options = players.map(player => `
+      <option value="${escapeHTML(player)}" ${player === nickname ? 'selected' : ''}>${escapeHTML(player)}</option>
+    `).join('')
+
+    return `
+      <div class="view-controls">
+        <label for="player-select">${t('highScore.player')}</label>
+        <select id="player-select" part="select">${options}</select>
+      </div>
+      <dl>
+        <dt>${t('highScore.personalBest')}</dt><dd>${this.formatScore(best.score)}</dd>
+        <dt>${t('highScore.average')}</dt><dd>${this.formatScore(average)}</dd>
+        <dt>${t('highScore.runs')}</dt><dd>${formatNumber(entries.length)}</dd>
+      </dl>
+      ${this.renderList(entries, '', entry =>
+        entry.timestamp === null ? t('highScore.unknownDate') : formatDate(entry.timestamp), false)}
+    `
+  }
+
+  /**
+   * Renders aggregate statistics over all runs.
+   *
+   * @returns {string} The HTML of the view.
+   */
+  renderStats () {
+    const stats = aggregateStats(this.scores)
+    if (stats.runs === 0) {
+      return `<p class="empty">${t('highScore.noRuns')}</p>`
+    }
+
+    /**
+     * Formats a statistic, or shows a dash if it is unknown.
+     *
+     * @param {number|null} value - The statistic.
+     * @param {Function} format - Formats a known statistic.
+     * @returns {string} The formatted statistic.
+     */
+    const or = (value, format) => value === null ? '–' : format(value)
+
+    return `
+      <dl>
+        <dt>${t('highScore.runs')}</dt><dd>${formatNumber(stats.runs)}</dd>
+        <dt>${t('highScore.players')}</dt><dd>${formatNumber(stats.players)}</dd>
+        <dt>${t('highScore.completionRate')}</dt><dd>${or(stats.completionRate, rate => formatNumber(rate, { style: 'percent' }))}</dd>
+        <dt>${t('highScore.averageTime')}</dt><dd>${or(stats.averageTime, formatTime)}</dd>
+        <dt>${t('highScore.averageQuestions')}</dt><dd>${or(stats.averageQuestions, count => formatNumber(count, { minimumFractionDigits: 1, maximumFractionDigits: 1 }))}</dd>
+      </dl>
+    `
+  }
+
+  /**
+   * Renders a list of entries. The new entry of the last game is highlighted.
+   *
+   * @param {object[]} entries - The entries to list.
+   * @param {string} emptyText - The text to show if there are no entries.
+   * @param {Function} [describe] - Returns extra text to show for an entry, such as its date.
+   * @param {boolean} [ranked] - Whether to number the entries, defaults to true.
+   * @returns {string} The HTML of the list.
+   */
+  renderList (entries, emptyText, describe, ranked = true) {
+    if (entries.length === 0) {
+      return `<p class="empty">${emptyText}</p>`
+    }
+
+    const badges = {
+      record: 'highScore.newRecord',
+      'personal-best': 'highScore.newPersonalBest'
+    }
+
+    const items = entries.map((entry, index) => {
+      const isNew = this.newEntry && isSameEntry(entry, this.newEntry)
+      return `
+    <li class="${isNew ? 'new' : ''}" part="${isNew ? 'row new-row' : 'row'}">
+      <span class="nickname">${ranked ? `${formatNumber(index + 1)}. ` : ''}${escapeHTML(entry.nickname)}</span>
+      ${describe ? `<span class="date">${describe(entry)}</span>` : ''}
+      ${this.renderAssisted(entry)}
+      <span class="score">${this.formatScore(entry.score)}</span>
+      ${isNew ? `<span class="badge">${t(badges[this.newEntryKind] ?? 'highScore.new')}</span>` : ''}
+    </li>
+    `
+    }).join('')
+
+    return `<ul>${items}</ul>`
+  }
+
+  /**
+   * Renders the mark of a run that used lifelines, naming them in its tooltip.
+   *
+   * @param {object} entry - The entry.
+   * @returns {string} The HTML of the mark, or an empty string for an unassisted run.
+   */
+  renderAssisted (entry) {
+    if (!entry.lifelines?.length) return ''
+
+    const names = entry.lifelines.map(name => Object.hasOwn(LIFELINES, name) ? t(LIFELINES[name].label, LIFELINE_PARAMS) : name)
+    const list = new Intl.ListFormat(getLocale(), { type: 'unit' }).format(names)
+    return `<span class="assisted" title="${escapeHTML(t('highScore.assistedBy', { lifelines: list }))}">${t('highScore.assisted')}</span>`
+  }
+
+  /**
+   * Downloads all high score entries, including the run history, as a file.
+   *
+   * @param {string} format - Either 'json' or 'csv'.
+   */
+  exportScores (format) {
+    const entries = highScoreStore.getAll()
+    const content = format === 'csv' ? toCSV(entries) : toJSON(entries)
+    const type = format === 'csv' ? 'text/csv' : 'application/json'
+
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `quiz-high-scores-${new Date().toISOString().slice(0, 10)}.${format}`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Reads an exported file and merges its entries into the high scores.
+   * Entries that are already stored (same nickname, score and timestamp) are skipped, and
+   * rows that are not valid entries are rejected and reported.
+   *
+   * @param {File} file - The file to import.
+   * @returns {Promise<void>} A promise that resolves when the file has been imported and the result reported.
+   */
+  async importScores (file) {
+    let result
+    try {
+      result = parseImport(await file.text(), file.name)
+    } catch (error) {
+      if (!(error instanceof ImportError)) throw error
+      console.error(`Could not import ${file.name}.`, error)
+      this.showTransferReport([t('highScore.importFailed', { file: file.name, reason: t(error.key, error.params) })], true)
+      return
+    }
+
+    const { added, duplicates } = highScoreStore.merge(result.entries)
+    this.render()
+
+    const lines = [t('highScore.imported', { count: added, file: file.name })]
+    if (duplicates > 0) {
+      lines.push(t('highScore.duplicates', { count: duplicates }))
+    }
+    if (result.rejected.length > 0) {
+      lines.push(t('highScore.rejected', { count: result.rejected.length }))
+      lines.push(...result.rejected.map(({ row, reason }) => t('highScore.rejectedRow', { row, reason: t(reason.key, reason.params) })))
+    }
+    this.showTransferReport(lines, result.rejected.length > 0)
+  }
+
+  /**
+   * Shows the result of an import below the Export and Import buttons.
+   *
+   * @param {string[]} lines - The lines of the report.
+   * @param {boolean} isError - Whether the report describes a problem.
+   */
+  showTransferReport (lines, isError) {
+    const report = this.shadowRoot.querySelector('#transfer-report')
+    report.classList.toggle('error', isError)
+    report.replaceChildren(...lines.map(line => {
+      const paragraph = document.createElement('p')
+      paragraph.textContent = line
+      return paragraph
+    }))
   }
 
   /**
@@ -149,6 +689,8 @@ class highScore extends HTMLElement {
    */
   tryAgain () {
     window.removeEventListener('high-score', this.highScoreListener)
+    this.newEntry = null
+    this.newEntryKind = null
 
     this.dispatchEvent(new CustomEvent('try-again', {
       bubbles: true,
@@ -0,0 +1 @@
+import './lifeline-bar.js'
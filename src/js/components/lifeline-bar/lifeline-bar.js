@@ -0,0 +1,151 @@
+import { LIFELINES, LIFELINE_PARAMS } from '../../lib/lifelines.js'
+import { translate } from '../../lib/i18n.js'
+
+/**
+ * A custom HTML element with a button for each lifeline of a run.
+ *
+ * Each lifeline can be used once per run. A used lifeline stays disabled until the bar is
+ * reset, and a lifeline that cannot help with the current question is disabled for that question.
+ *
+ * @class
+ * @augments HTMLElement
+ * @function reset - Makes all lifelines usable again, for a new run.
+ * @function markUsed - Disables a lifeline for the rest of the run.
+ * @function setAvailable - Enables or disables an unused lifeline for the current question.
+ * @fires CustomEvent#lifeline - Dispatched when the player uses a lifeline, with its 'name' in the detail.
+ * @example
+ * <lifeline-bar></lifeline-bar>
+ */
+class LifelineBar extends HTMLElement {
+  /**
+   * Creates an instance of the lifeline bar and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this.used = new Set()
+    this.unavailable = new Set()
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Renders the buttons and adds a listener that dispatches the 'lifeline' event, and translates
+   * the buttons when the locale changes.
+   */
+  connectedCallback () {
+    this.render()
+
+    this.shadowRoot.querySelector('#lifelines').addEventListener('click', (event) => {
+      const button = event.target.closest('button')
+      if (!button || button.disabled) return
+
+      this.dispatchEvent(new CustomEvent('lifeline', {
+        detail: { name: button.dataset.lifeline },
+        bubbles: true,
+        composed: true
+      }))
+    })
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
+  }
+
+  /**
+   * Renders a button for each lifeline.
+   */
+  render () {
+    const params = JSON.stringify(LIFELINE_PARAMS)
+    const buttons = Object.entries(LIFELINES).map(([name, { label, description }]) => `
+      <button data-lifeline="${name}" part="button lifeline" data-i18n="${label}" data-i18n-title="${description}"
+        data-i18n-aria-label="${description}" data-i18n-params='${params}'></button>
+    `).join('')
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        #lifelines {
+          display: flex;
+          justify-content: center;
+          gap: 10px;
+          margin: 10px 0;
+        }
+
+        button {
+          padding: 6px 14px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface-raised, #ffffff);
+          color: var(--quiz-color-primary, #4a90e2);
+          border: 2px solid var(--quiz-color-primary, #4a90e2);
+          border-radius: 20px;
+          cursor: pointer;
+        }
+
+        button:hover:not(:disabled) {
+          background-color: var(--quiz-color-highlight, #e6f7ff);
+        }
+
+        button:disabled {
+          color: var(--quiz-color-text-muted, #aaa);
+          border-color: var(--quiz-color-border, #ccc);
+          cursor: not-allowed;
+        }
+
+        button.used {
+          text-decoration: line-through;
+        }
+      </style>
+      <div id="lifelines" role="group" data-i18n-aria-label="lifelines.group">${buttons}</div>
+    `
+    translate(this.shadowRoot)
+    this.update()
+  }
+
+  /**
+   * Makes all lifelines usable again, for a new run.
+   *
+   * @param {string[]} [used] - Lifelines that were already used, when a run is resumed.
+   */
+  reset (used = []) {
+    this.used = new Set(used)
+    this.unavailable.clear()
+    this.update()
+  }
+
+  /**
+   * Disables a lifeline for the rest of the run.
+   *
+   * @param {string} name - The name of the lifeline.
+   */
+  markUsed (name) {
+    this.used.add(name)
+    this.update()
+  }
+
+  /**
+   * Enables or disables an unused lifeline for the current question.
+   *
+   * @param {string} name - The name of the lifeline.
+   * @param {boolean} available - Whether the lifeline can be used on the current question.
+   */
+  setAvailable (name, available) {
+    if (available) {
+      this.unavailable.delete(name)
+    } else {
+      this.unavailable.add(name)
+    }
+    this.update()
+  }
+
+  /**
+   * Updates the buttons to the used and available lifelines.
+   */
+  update () {
+    this.shadowRoot.querySelectorAll('button').forEach(button => {
+      const name = button.dataset.lifeline
+      button.classList.toggle('used', this.used.has(name))
+      button.disabled = this.used.has(name) || this.unavailable.has(name)
+    })
+  }
+}
+
+customElements.define('lifeline-bar', LifelineBar)
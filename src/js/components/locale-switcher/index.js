@@ -0,0 +1 @@
+import './locale-switcher.js'
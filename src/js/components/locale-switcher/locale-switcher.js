@@ -0,0 +1,75 @@
+import { LOCALES, getLocale, setLocale, translate } from '../../lib/i18n.js'
+
+/**
+ * A custom HTML element that lets the player choose the language of the quiz.
+ *
+ * The choice is remembered in localStorage, and the quiz is translated at once through the
+ * 'locale-changed' event (see i18n.js).
+ *
+ * @class
+ * @augments HTMLElement
+ * @example
+ * <locale-switcher></locale-switcher>
+ */
+class LocaleSwitcher extends HTMLElement {
+  /**
+   * Creates an instance of the locale switcher and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Renders the menu and changes the locale when another one is chosen.
+   */
+  connectedCallback () {
+    this.render()
+
+    const select = this.shadowRoot.querySelector('#locale-select')
+    select.addEventListener('change', () => {
+      setLocale(select.value)
+    })
+
+    window.addEventListener('locale-changed', () => {
+      select.value = getLocale()
+      translate(this.shadowRoot)
+    })
+  }
+
+  /**
+   * Renders a menu of the locales, each named in its own language.
+   */
+  render () {
+    const options = Object.entries(LOCALES).map(([locale, name]) => `
+      <option value="${locale}" lang="${locale}" ${locale === getLocale() ? 'selected' : ''}>${name}</option>
+    `).join('')
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          text-align: right;
+          font-size: 0.9rem;
+          color: var(--quiz-color-text, #333);
+        }
+
+        select {
+          margin-left: 5px;
+          padding: 4px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface-raised, #ffffff);
+          color: var(--quiz-color-text, #333);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+        }
+      </style>
+      <label for="locale-select" data-i18n="locale.label"></label>
+      <select id="locale-select" part="select">${options}</select>
+    `
+    translate(this.shadowRoot)
+  }
+}
+
+customElements.define('locale-switcher', LocaleSwitcher)
@@ -1,12 +1,24 @@
+import { translate, localize } from '../../lib/i18n.js'
+import { TIMING_POLICIES, resolveTiming } from '../../lib/timing-policies.js'
+
 /**
  * Nicknameform is a custom HTML element that provides a form for users to enter their nickname.
  * It extends the HTMLElement class and uses the Shadow DOM for encapsulation.
  *
+ * The player also chooses the game mode: a ranked run, where one mistake ends the run, or a
+ * practice run with a number of lives. The 'lives' attribute sets the number of lives offered
+ * by default (3 if not set).
+ *
+ * The player can also choose the timing policy of the run (see timing-policies.js). The policy
+ * of the question source is selected until the player picks another one, see setTiming().
+ *
+ * The texts are translated into the current locale, see i18n.js.
+ *
  * @class Nicknameform
  * @augments {HTMLElement}
  * @class
  * @example
- * <nickname-form></nickname-form>
+ * <nickname-form lives="5"></nickname-form>
  */
 class Nicknameform extends HTMLElement {
   /**
@@ -15,17 +27,23 @@ class Nicknameform extends HTMLElement {
   constructor () {
     super()
     this.attachShadow({ mode: 'open' })
+    this.timing = resolveTiming()
   }
 
   /**
    * Called when the element is inserted into the DOM.
-   * Initializes the component by rendering it and adding event listeners.
+   * Initializes the component by rendering it and adding event listeners, and translates it
+   * when the locale changes.
    *
    * @function connectedCallback
    */
   connectedCallback () {
     this.render()
     this.addEventListeners()
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
   }
 
   /**
@@ -39,6 +57,9 @@ class Nicknameform extends HTMLElement {
    * The form includes:
    * - A label prompting the user to enter their nickname.
    * - A text input field with placeholder text and focus styles.
+   * - A choice between a ranked and a practice run, with the number of lives for practice.
+   * - A menu of the timing policies.
+   * - A Start button.
    *
    * Styles applied:
    * - Flexbox layout for centering and column direction.
@@ -49,16 +70,21 @@ class Nicknameform extends HTMLElement {
    * - Placeholder styles for the input field.
    */
   render () {
+    const timings = Object.entries(TIMING_POLICIES).map(([policy, { label }]) => `
+      <option value="${policy}" data-i18n="${label}" data-i18n-params='${JSON.stringify({ seconds: this.timing.budget })}'
+        ${policy === this.timing.policy ? 'selected' : ''}></option>
+    `).join('')
+
     this.shadowRoot.innerHTML = `
      <style>
       #nickname-form {
         display: flex;
         flex-direction: column;
         align-items: center;
-        background-color: #f0f0f0;
+        background-color: var(--quiz-color-surface-muted, #f0f0f0);
         padding: 20px;
         border-radius: 10px;
-        box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);
+        box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
         width: 300px;
         margin: auto;
       }
@@ -66,34 +92,113 @@ class Nicknameform extends HTMLElement {
       label {
         font-size: 1.2rem;
         margin-bottom: 10px;
-        color: #333;
+        color: var(--quiz-color-text, #333);
       }
       
       input[type="text"] {
         padding: 10px;
         width: 100%;
-        border: 1px solid #ccc;
+        border: 1px solid var(--quiz-color-border, #ccc);
         border-radius: 5px;
         font-size: 1rem;
         margin-bottom: 10px;
       }
       
       input[type="text"]:focus {
-        border-color: #66afe9;
+        border-color: var(--quiz-color-focus, #66afe9);
         outline: none;
         box-shadow: 0 0 8px rgba(102, 175, 233, 0.6);
       }
       
       #nickname-form input::placeholder {
         font-style: italic;
-        color: #aaa;
+        color: var(--quiz-color-text-muted, #aaa);
+      }
+
+      fieldset {
+        width: 100%;
+        margin: 0 0 10px;
+        border: 1px solid var(--quiz-color-border, #ccc);
+        border-radius: 5px;
+        color: var(--quiz-color-text, #333);
+      }
+
+      fieldset label {
+        display: block;
+        font-size: 1rem;
+        margin-bottom: 5px;
+      }
+
+      #lives {
+        width: 3em;
+      }
+
+      #timing-select {
+        width: 100%;
+        padding: 4px;
+        font-size: 1rem;
+      }
+
+      #start-button {
+        padding: 10px 20px;
+        font-size: 1rem;
+        background-color: var(--quiz-color-primary, #4a90e2);
+        color: var(--quiz-color-button-text, #ffffff);
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
       }
     </style>
-      <form id="nickname-form">
-          <label for="nickname">Enter your nickname:</label>
-          <input type="text" id="nickname" name="nickname" required placeholder="Write and press enter">
+      <form id="nickname-form" part="panel">
+          <label for="nickname" data-i18n="nickname.label"></label>
+          <input type="text" id="nickname" part="input" name="nickname" required data-i18n-placeholder="nickname.placeholder">
+          <fieldset>
+              <legend data-i18n="nickname.mode"></legend>
+              <label>
+                  <input type="radio" name="mode" value="ranked" checked>
+                  <span data-i18n="nickname.ranked"></span>
+              </label>
+              <label>
+                  <input type="radio" name="mode" value="practice">
+                  <span data-i18n="nickname.practiceWith"></span>
+                  <input type="number" id="lives" part="input" name="lives" min="1" max="9" value="${this.defaultLives}" data-i18n-aria-label="nickname.livesLabel">
+                  <span data-i18n="nickname.lives"></span>
+              </label>
+          </fieldset>
+          <fieldset>
+              <legend><label for="timing-select" data-i18n="nickname.timing"></label></legend>
+              <select id="timing-select" part="select">${timings}</select>
+          </fieldset>
+          <button type="submit" id="start-button" part="button" data-i18n="nickname.start"></button>
       </form>
     `
+    translate(this.shadowRoot)
+  }
+
+  /**
+   * Selects the timing policy the question source is meant to be played with, and shows its
+   * time budget in the menu.
+   *
+   * @param {{policy: string, budget: number}} timing - The timing, see timing-policies.js.
+   */
+  setTiming (timing) {
+    this.timing = timing
+    const select = this.shadowRoot.querySelector('#timing-select')
+    if (!select) return
+
+    select.value = timing.policy
+    select.querySelectorAll('option').forEach(option => {
+      localize(option, option.dataset.i18n, { seconds: timing.budget })
+    })
+  }
+
+  /**
+   * The number of lives offered for a practice run, from the 'lives' attribute.
+   *
+   * @type {number}
+   */
+  get defaultLives () {
+    return parseInt(this.getAttribute('lives')) || 3
   }
 
   /**
@@ -102,19 +207,32 @@ class Nicknameform extends HTMLElement {
    * This method attaches a 'submit' event listener to the form with the ID 'nickname-form'.
    * When the form is submitted, it prevents the default form submission behavior,
    * retrieves the trimmed value of the input field with the ID 'nickname', and if the nickname
-   * is not empty, dispatches a custom 'nickname' event with the nickname as the detail.
+   * is not empty, dispatches a custom 'nickname' event with the nickname, the game mode, the
+   * number of lives and the timing policy as the detail.
    */
   addEventListeners () {
     const form = this.shadowRoot.querySelector('#nickname-form')
+
+    // Changing the number of lives means the player wants to practice.
+    this.shadowRoot.querySelector('#lives').addEventListener('input', () => {
+      this.shadowRoot.querySelector('input[value="practice"]').checked = true
+    })
     form.addEventListener('submit', (event) => {
       event.preventDefault()
 
       const nickname = this.shadowRoot.querySelector('#nickname').value.trim()
 
+      const mode = this.shadowRoot.querySelector('input[name="mode"]:checked').value
+      const timingPolicy = this.shadowRoot.querySelector('#timing-select').value
+      const lives = Math.min(Math.max(parseInt(this.shadowRoot.querySelector('#lives').value) || this.defaultLives, 1), 9)
+
       if (nickname) {
         this.dispatchEvent(new CustomEvent('nickname', {
           detail: {
-            nickname
+            nickname,
+            mode,
+            lives,
+            timingPolicy
           },
           bubbles: true,
           composed: true
@@ -0,0 +1,94 @@
+/**
+ * The states of a game and the transitions allowed between them.
+ *
+ * - idle: Waiting for the player to enter a nickname.
+ * - resume-prompt: A game in progress was found after a reload; the player may resume it or start over.
+ * - playing: A question is being fetched.
+ * - awaiting-answer: A question is shown and the timer is running. The skip lifeline moves on
+ * to fetching the next question.
+ * - paused: The timer is paused and the question is hidden.
+ * - submitting: An answer is being submitted; the inputs are locked.
+ * - feedback: The answer was correct, or a mistake in a practice run cost a life, and the player
+ * is told so before the next question or before retrying the question.
+ * - error: A request failed and the player is asked to retry or quit, or the question source is
+ * misconfigured and the player is asked to retry once it has been fixed.
+ * - won: The last question was answered correctly; the feedback is shown.
+ * - lost: An answer was wrong or the time ran out; the feedback is shown.
+ * - summary: The summary of the finished run is shown.
+ * - leaderboard: The high score list is shown.
+ *
+ * @type {{[state: string]: string[]}}
+ */
+export const TRANSITIONS = {
+  idle: ['playing', 'resume-prompt', 'error'],
+  'resume-prompt': ['awaiting-answer', 'playing', 'idle'],
+  playing: ['awaiting-answer', 'error'],
+  'awaiting-answer': ['submitting', 'feedback', 'lost', 'paused', 'playing'],
+  paused: ['awaiting-answer'],
+  submitting: ['feedback', 'won', 'lost', 'error'],
+  feedback: ['playing', 'awaiting-answer'],
+  error: ['playing', 'submitting', 'idle', 'resume-prompt'],
+  won: ['summary'],
+  lost: ['summary'],
+  summary: ['leaderboard'],
+  leaderboard: ['idle']
+}
+
+/**
+ * A finite state machine for the flow of a game.
+ *
+ * Transitions that are not allowed from the current state are refused rather than thrown, so
+ * that events that race each other (such as a timeout arriving while an answer is submitted)
+ * are simply ignored once the first one has moved the game on.
+ *
+ * @class
+ * @property {string} state - The current state.
+ */
+export class GameStateMachine {
+  /**
+   * Creates an instance of the state machine in the 'idle' state.
+   *
+   * @param {Function} [onChange] - Called with the previous and the new state after every transition.
+   */
+  constructor (onChange = () => {}) {
+    this.state = 'idle'
+    this.onChange = onChange
+  }
+
+  /**
+   * Tells whether the machine may move to a state from the current state.
+   *
+   * @param {string} to - The state to move to.
+   * @returns {boolean} True if the transition is allowed.
+   */
+  can (to) {
+    return TRANSITIONS[this.state].includes(to)
+  }
+
+  /**
+   * Moves the machine to a state, if the transition is allowed.
+   *
+   * @param {string} to - The state to move to.
+   * @returns {boolean} True if the machine moved, false if the transition was refused.
+   */
+  transition (to) {
+    if (!this.can(to)) {
+      return false
+    }
+
+    const from = this.state
+    this.state = to
+    this.onChange(from, to)
+    return true
+  }
+
+  /**
+   * Tells whether the machine is in one of the given states.
+   *
+   * @param {...string} states - The states to check.
+   * @returns {boolean} True if the current state is one of them.
+   */
+  is (...states) {
+    return states.includes(this.state)
+  }
+}
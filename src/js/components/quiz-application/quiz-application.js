@@ -2,24 +2,223 @@ import '../high-score/high-score.js'
 import '../nickname-form/nickname-form.js'
 import '../quiz-question/quiz-question.js'
 import '../countdown-timer/countdown-timer.js'
+import '../error-panel/error-panel.js'
+import '../answer-feedback/answer-feedback.js'
+import '../lifeline-bar/lifeline-bar.js'
+import '../locale-switcher/locale-switcher.js'
+import '../theme-switcher/theme-switcher.js'
+import '../run-transcript/run-transcript.js'
+import '../game-summary/game-summary.js'
+import { createQuestionSource, ConfigurationError } from '../../lib/question-sources/index.js'
+import { GameStateMachine } from './game-state-machine.js'
+import { highScoreStore } from '../../lib/high-score-store.js'
+import { gameSessionStore, resumedElapsed, FAIRNESS_RULES } from '../../lib/game-session.js'
+import { EXTRA_TIME, pickHiddenAlternatives } from '../../lib/lifelines.js'
+import { hasLoadingMedia } from '../../lib/question-media.js'
+import { t, localize, translate } from '../../lib/i18n.js'
+import { THEME_STYLES, getTheme } from '../../lib/theme.js'
+import { createTranscript, recordQuestion, finishTranscript, isValidTranscript, transcriptStore } from '../../lib/run-transcript.js'
+import { summarizeRun } from '../../lib/run-summary.js'
+import { resolveTiming, questionDuration, questionLimit, unusedTime, timingFields } from '../../lib/timing-policies.js'
+import { scoringModels } from '../../lib/scoring-models.js'
+
+/**
+ * The game states in which each child component is shown.
+ *
+ * @type {{[component: string]: string[]}}
+ */
+const VISIBLE_IN = {
+  nicknameForm: ['idle'],
+  resumePrompt: ['resume-prompt'],
+  quizQuestion: ['playing', 'awaiting-answer', 'submitting'],
+  countdownTimer: ['playing', 'awaiting-answer', 'submitting', 'paused'],
+  pauseButton: ['awaiting-answer'],
+  lifelineBar: ['awaiting-answer'],
+  pauseOverlay: ['paused'],
+  livesDisplay: ['playing', 'awaiting-answer', 'submitting', 'paused'],
+  errorPanel: ['error'],
+  answerFeedback: ['feedback', 'won', 'lost'],
+  gameSummary: ['summary'],
+  highScore: ['leaderboard'],
+  runTranscript: ['leaderboard']
+}
 
 /**
  * Represents the Quiz Application component.
  *
+ * The questions are served by a question source. By default that is the courselab REST API,
+ * but the 'source' attribute selects another one:
+ * - source="rest" question-url="…" - A REST API, starting at the given question URL.
+ * - source="local" quiz-pack="…" - A bundled quiz pack, run entirely in the browser.
+ *
+ * With 'answer-key-url' a REST source fetches the answers for the 50/50 lifeline, e.g. from
+ * the mock quiz server: answer-key-url="http://localhost:4000/quiz/key/{id}".
+ *
+ * A source can also be assigned to the 'questionSource' property before the game starts. An
+ * unknown source type or quiz pack is shown in the error panel instead of the start screen.
+ *
+ * After every answer, and when the time runs out, the result is shown until the player
+ * continues. With the 'feedback-delay' attribute (in milliseconds) the game continues by itself.
+ *
+ * The 'pause-policy' attribute decides whether a question can be paused: 'casual' (default)
+ * allows it, 'ranked' forbids it. In casual play the 'auto-pause' attribute also pauses the game
+ * when the page is hidden. The policy is applied when a game starts.
+ *
+ * The game in progress is kept in sessionStorage. After a page reload the player is offered to
+ * resume it or to start over. The 'resume-fairness' attribute decides how the time that passed
+ * while the page was closed counts (see FAIRNESS_RULES in game-session.js): 'strict' counts it
+ * against the current question, 'lenient' does not. It defaults to 'strict' in ranked play and
+ * 'lenient' in casual play.
+ *
+ * The player chooses a ranked run or a practice run on the start screen. In a ranked run one
+ * wrong answer or timeout ends the run. In a practice run each mistake costs one of a number of
+ * lives, after which the player retries the question or, if the source allows it, skips it.
+ * Practice runs are recorded in their own leaderboard category.
+ *
+ * The timing policy decides how much time each question gets (see timing-policies.js): a limit
+ * per question, one time budget for the whole quiz, a limit per question where unused seconds
+ * carry over to the next one, or no limit at all. The 'timing-policy' and 'time-budget' (in
+ * seconds) attributes set the policy, and otherwise the question source may set it, e.g. in the
+ * 'timing' of a quiz pack. The player can choose another policy on the start screen. The policy
+ * is recorded with the score, and when a global time budget runs out the run is over, in
+ * practice too.
+ *
+ * The scoring model decides what a run scores and whether a high or a low score is best (see
+ * scoring-models.js): the total time, or points for correct answers with a speed bonus and a
+ * streak multiplier, less penalties for lifelines and timeouts. The 'scoring-model' attribute
+ * sets the model, and otherwise the question source may set it, e.g. in the 'scoring' of a quiz
+ * pack. The model is recorded with the score and the transcript.
+ *
+ * Each run has three lifelines that can be used once: 50/50 hides two wrong alternatives (if
+ * the source knows the answers), extra time adds seconds to the question and skip moves on to
+ * the next question (if the source can tell which one that is). The lifelines used are recorded
+ * with the score.
+ *
+ * Every run is recorded in a transcript (see run-transcript.js): each question, the answer
+ * given, the verdict, the time it took and how the run ended. The transcript is shown below the
+ * high scores, where it can be exported as JSON or Markdown. Before the high scores, the player
+ * sees a summary of the run with the time spent on each question (see run-summary.js).
+ *
+ * The flow of the game is driven by a state machine (see game-state-machine.js). The current
+ * state is reflected in the 'state' attribute and every change dispatches a 'statechange' event.
+ *
+ * The player chooses the language with the locale switcher at the top; the texts of the
+ * application come from the message catalogs (see i18n.js).
+ *
+ * The colours come from the design tokens of the theme in the 'theme' attribute, which follows
+ * the player's choice in the theme switcher (see theme.js). Host pages may override the tokens
+ * on the element, and style the parts the components expose, e.g. quiz-application::part(button).
+ *
  * @augments HTMLElement
+ * @fires CustomEvent#statechange - Dispatched when the game moves to a new state, with 'from' and 'to' in the detail.
+ * @example
+ * <quiz-application source="local" quiz-pack="sample"></quiz-application>
  */
 class QuizApplication extends HTMLElement {
   /**
    * Creates an instance of the QuizApplication component.
-   * Initializes the shadow DOM, score, high scores, timer interval, and timeout action flag.
+   * Initializes the shadow DOM, score, timer interval, and the game state machine.
    */
   constructor () {
     super()
     this.attachShadow({ mode: 'open' })
     this.score = 0
-    this.highScores = JSON.parse(localStorage.getItem('highScores')) || []
+    this.questionsAnswered = 0
+    this.mode = 'ranked'
+    this.lives = null
+    this.missedQuestion = false
+    this.skipURL = null
+    this.lifelinesUsed = []
+    this.extraTime = 0
+    this.timing = resolveTiming()
+    this.carriedOver = 0
+    this.timeBank = 0
+    this.hiddenAlternatives = []
     this.timerInterval = null
-    this.allowTimeoutAction = true
+    this.transcript = null
+    this.lastEntry = null
+    this._questionSource = null
+    this.stateMachine = new GameStateMachine((from, to) => this.handleStateChange(from, to))
+  }
+
+  /**
+   * The current state of the game.
+   *
+   * @type {string}
+   */
+  get state () {
+    return this.stateMachine.state
+  }
+
+  /**
+   * The question source the quiz is played from.
+   * Created from the 'source', 'question-url', 'quiz-pack' and 'answer-key-url' attributes unless
+   * assigned.
+   *
+   * @type {import('../../lib/question-sources/index.js').QuestionSource}
+   * @throws {ConfigurationError} If the attributes name an unknown source type or quiz pack.
+   */
+  get questionSource () {
+    if (!this._questionSource) {
+      this._questionSource = createQuestionSource({
+        type: this.getAttribute('source') || 'rest',
+        url: this.getAttribute('question-url'),
+        pack: this.getAttribute('quiz-pack'),
+        answerKeyURL: this.getAttribute('answer-key-url')
+      })
+    }
+    return this._questionSource
+  }
+
+  /**
+   * Replaces the question source, taking precedence over the attributes.
+   *
+   * @param {import('../../lib/question-sources/index.js').QuestionSource} source - The question source.
+   */
+  set questionSource (source) {
+    this._questionSource = source
+    this.nicknameForm?.setTiming(this.timingFor())
+  }
+
+  /**
+   * Returns the timing of a run: the given policy, or the policy of the 'timing-policy' attribute
+   * or the question source, with the budget of the 'time-budget' attribute or the source.
+   *
+   * @param {string} [policy] - The policy the player chose.
+   * @returns {{policy: string, budget: number}} The timing, see timing-policies.js.
+   */
+  timingFor (policy) {
+    const timing = this.questionSource.timing ?? {}
+    return resolveTiming({
+      policy: policy ?? this.getAttribute('timing-policy') ?? timing.policy,
+      budget: this.getAttribute('time-budget') ?? timing.budget
+    })
+  }
+
+  /**
+   * The name of the scoring model of a new run: the model of the 'scoring-model' attribute or the
+   * question source, or the default model.
+   *
+   * @type {string}
+   */
+  get scoringModel () {
+    return scoringModels.resolve(this.getAttribute('scoring-model') ?? this.questionSource.scoring).name
+  }
+
+  /**
+   * The time to answer the current question in seconds under the timing policy of the run, or
+   * null if it is not timed.
+   *
+   * @type {number|null}
+   */
+  get currentDuration () {
+    return questionDuration(this.timing, {
+      limit: questionLimit(this.currentQuestion),
+      extraTime: this.extraTime,
+      timeSpent: this.countdownTimer.accumulatedTime,
+      bonus: this.lifelinesUsed.filter(name => name === 'extra-time').length * EXTRA_TIME,
+      carriedOver: this.carriedOver
+    })
   }
 
   /**
@@ -29,11 +228,15 @@ class QuizApplication extends HTMLElement {
    * @function connectedCallback
    * Listens for the 'try-again' event on the highScore element to restart the quiz.
    * Listens for the 'disconnect' event on the window to remove the highScoreListener.
-   * Listens for the 'total-time-spent' event on the countdownTimer element to update the total time spent and show the high score.
+   * Listens for the 'total-time-spent' event on the countdownTimer element to end the game when the time runs out.
+   * Listens for the 'locale-changed' event on the window to translate the texts of the application.
+   * Listens for the 'theme-changed' event on the window to apply the theme the player chose.
    */
   connectedCallback () {
+    this.setAttribute('theme', getTheme())
     this.render()
     this.initializeComponents()
+    this.handleStateChange(null, this.state)
 
     this.highScore.addEventListener('try-again', () => {
       this.restartQuiz()
@@ -44,12 +247,74 @@ class QuizApplication extends HTMLElement {
     })
 
     this.countdownTimer.addEventListener('total-time-spent', (event) => {
-      const accumulatedTime = event.detail.totalTime
-      this.totalTime = accumulatedTime
-      this.showHighScore(this.totalTime)
+      this.totalTime = event.detail.totalTime
+      this.recordAttempt('timeout')
+      if (this.mode === 'practice' && this.timing.policy !== 'global-budget') {
+        this.loseLife('timeout')
+      } else {
+        this.endGame('lost', { kind: 'timeout' })
+      }
+    })
+
+    this.countdownTimer.addEventListener('paused', () => {
+      this.stateMachine.transition('paused')
+      this.saveSession()
+    })
+
+    // Keep the time spent on the question up to date in case the page is being closed.
+    window.addEventListener('pagehide', () => {
+      this.saveSession()
+    })
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.saveSession()
+      }
+    })
+
+    this.prepareGame()
+
+    this.countdownTimer.addEventListener('resumed', () => {
+      this.stateMachine.transition('awaiting-answer')
+    })
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
+
+    window.addEventListener('theme-changed', (event) => {
+      this.setAttribute('theme', event.detail.theme)
     })
   }
 
+  /**
+   * Whether the pause policy allows pausing a question.
+   *
+   * @type {boolean}
+   */
+  get pausingAllowed () {
+    return this.getAttribute('pause-policy') !== 'ranked'
+  }
+
+  /**
+   * The name of the rule for the time that passes while the page is closed.
+   * Unknown rules fall back to the default of the pause policy.
+   *
+   * @type {string}
+   */
+  get resumeFairness () {
+    const rule = this.getAttribute('resume-fairness')
+    if (FAIRNESS_RULES[rule]) return rule
+    return this.pausingAllowed ? 'lenient' : 'strict'
+  }
+
+  /**
+   * Applies the pause policy to the countdown timer for the game that is about to start.
+   */
+  applyPausePolicy () {
+    this.countdownTimer.toggleAttribute('pause-disabled', !this.pausingAllowed)
+    this.countdownTimer.toggleAttribute('auto-pause', this.pausingAllowed && this.hasAttribute('auto-pause'))
+  }
+
   /**
    * Renders the quiz application components into the shadow DOM.
    *
@@ -58,29 +323,138 @@ class QuizApplication extends HTMLElement {
    * - quiz-question: The quiz question component.
    * - countdown-timer: A timer for the quiz.
    * - high-score: A component displaying the high scores.
+   * - error-panel: A panel offering to retry or quit when the quiz server cannot be reached.
+   * - answer-feedback: The result of the last answer, shown before the game moves on.
+   * - A Pause button and an overlay that hides the question while the game is paused.
+   * - The lives left in a practice run.
+   * - lifeline-bar: The lifelines of the run.
+   * - A prompt to resume a game in progress after a page reload, or to start over.
+   * - game-summary: The summary of a finished run, shown before the high scores.
+   * - run-transcript: The transcript of the run, shown with the high scores.
+   * - locale-switcher and theme-switcher: Menus of the languages and the themes of the quiz.
    *
-   * The method also includes a style block to hide elements with the class 'hidden'.
+   * The method also includes a style block with the design tokens of the themes and a rule to
+   * hide elements with the class 'hidden'. The parts of the child components are exported, so
+   * that the host page can style them.
    */
   render () {
     this.shadowRoot.innerHTML = `
         <style>
+            ${THEME_STYLES}
+
+            :host {
+                display: block;
+                padding: 10px;
+                border-radius: 10px;
+            }
+
             .hidden {
                 display: none;
             } 
+
+            #settings {
+                display: flex;
+                justify-content: flex-end;
+                gap: 15px;
+            }
+
+            #pause-button {
+                display: block;
+                margin: 0 auto;
+                padding: 6px 16px;
+                font-size: 0.9rem;
+                background-color: var(--quiz-color-secondary, #6c757d);
+                color: var(--quiz-color-button-text, #ffffff);
+                border: none;
+                border-radius: 5px;
+                cursor: pointer;
+            }
+
+            #pause-button.hidden {
+                display: none;
+            }
+
+            #pause-overlay {
+                max-width: 400px;
+                margin: 20px auto;
+                padding: 30px 20px;
+                text-align: center;
+                background-color: var(--quiz-color-surface, #f8f9fa);
+                color: var(--quiz-color-text, #333);
+                border-radius: 10px;
+                box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+            }
+
+            #lives-display {
+                text-align: center;
+                font-size: 1.1rem;
+                margin: 5px 0;
+            }
+
+            #lives-display.hidden {
+                display: none;
+            }
+
+            #resume-prompt {
+                max-width: 400px;
+                margin: 20px auto;
+                padding: 30px 20px;
+                text-align: center;
+                background-color: var(--quiz-color-surface, #f8f9fa);
+                color: var(--quiz-color-text, #333);
+                border-radius: 10px;
+                box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+            }
+
+            #resume-prompt.hidden {
+                display: none;
+            }
+
+            #resume-button, #resume-game-button, #start-over-button {
+                padding: 10px 20px;
+                font-size: 1rem;
+                background-color: var(--quiz-color-primary, #4a90e2);
+                color: var(--quiz-color-button-text, #ffffff);
+                border: none;
+                border-radius: 5px;
+                cursor: pointer;
+            }
         </style>
-        <nickname-form></nickname-form>
-        <quiz-question></quiz-question>
-        <countdown-timer></countdown-timer>
-        <high-score></high-score>
+        <div id="settings">
+            <theme-switcher exportparts="select"></theme-switcher>
+            <locale-switcher exportparts="select"></locale-switcher>
+        </div>
+        <nickname-form exportparts="panel, input, select, button"></nickname-form>
+        <div id="resume-prompt" part="panel" role="dialog" aria-labelledby="resume-heading">
+            <h2 id="resume-heading" data-i18n="app.resumeHeading"></h2>
+            <p id="resume-details"></p>
+            <button id="resume-game-button" part="button" data-i18n="app.resumeGame"></button>
+            <button id="start-over-button" part="button" data-i18n="app.startOver"></button>
+        </div>
+        <div id="pause-overlay" part="panel" role="dialog" aria-labelledby="pause-heading">
+            <h2 id="pause-heading" data-i18n="app.pausedHeading"></h2>
+            <p data-i18n="app.pausedText"></p>
+            <button id="resume-button" part="button" data-i18n="app.resume"></button>
+        </div>
+        <p id="lives-display" aria-live="polite"></p>
+        <quiz-question exportparts="question, option, input, button"></quiz-question>
+        <countdown-timer exportparts="timer"></countdown-timer>
+        <lifeline-bar exportparts="button, lifeline"></lifeline-bar>
+        <button id="pause-button" part="button" data-i18n="app.pause"></button>
+        <high-score exportparts="tab, row, new-row, select, button"></high-score>
+        <run-transcript exportparts="panel, row, select, button"></run-transcript>
+        <error-panel exportparts="panel, button"></error-panel>
+        <answer-feedback exportparts="panel, button"></answer-feedback>
+        <game-summary exportparts="panel, button"></game-summary>
     `
+    translate(this.shadowRoot)
   }
 
   /**
    * Initializes the components of the quiz application.
    *
    * - Sets up references to the nickname form, quiz question, high score, and countdown timer components.
-   * - Adds event listeners for nickname submission, timeout, answer selection, and quiz completion.
-   * - Manages the visibility of components based on user interactions.
+   * - Adds event listeners for nickname submission, answer selection and the error panel.
    * - Fetches the first quiz question upon nickname submission.
    *
    * @async
@@ -91,213 +465,735 @@ class QuizApplication extends HTMLElement {
     this.quizQuestion = this.shadowRoot.querySelector('quiz-question')
     this.highScore = this.shadowRoot.querySelector('high-score')
     this.countdownTimer = this.shadowRoot.querySelector('countdown-timer')
+    this.errorPanel = this.shadowRoot.querySelector('error-panel')
+    this.answerFeedback = this.shadowRoot.querySelector('answer-feedback')
+    this.pauseButton = this.shadowRoot.querySelector('#pause-button')
+    this.pauseOverlay = this.shadowRoot.querySelector('#pause-overlay')
+    this.resumePrompt = this.shadowRoot.querySelector('#resume-prompt')
+    this.livesDisplay = this.shadowRoot.querySelector('#lives-display')
+    this.lifelineBar = this.shadowRoot.querySelector('lifeline-bar')
+    this.runTranscript = this.shadowRoot.querySelector('run-transcript')
+    this.gameSummary = this.shadowRoot.querySelector('game-summary')
 
-    this.highScore.classList.add('hidden')
-    this.countdownTimer.classList.add('hidden')
+    this.lifelineBar.addEventListener('lifeline', (event) => {
+      this.useLifeline(event.detail.name)
+    })
+
+    this.shadowRoot.querySelector('#resume-game-button').addEventListener('click', () => {
+      this.resumeSession()
+    })
+
+    this.shadowRoot.querySelector('#start-over-button').addEventListener('click', () => {
+      if (isValidTranscript(this.pendingSession?.transcript)) {
+        this.transcript = this.pendingSession.transcript
+        this.finishRun('quit', this.pendingSession.accumulatedTime)
+      }
+      this.pendingSession = null
+      this.stateMachine.transition('idle')
+    })
+
+    this.pauseButton.addEventListener('click', () => {
+      this.countdownTimer.pauseTimer()
+    })
+
+    this.shadowRoot.querySelector('#resume-button').addEventListener('click', () => {
+      this.countdownTimer.resumeTimer()
+    })
+
+    this.answerFeedback.addEventListener('continue', () => {
+      this.continueAfterFeedback()
+    })
+
+    this.gameSummary.addEventListener('continue', () => {
+      this.showHighScore()
+    })
+
+    this.answerFeedback.addEventListener('retry', () => {
+      this.retryQuestion()
+    })
+
+    this.errorPanel.addEventListener('retry', () => {
+      this.retryFailedRequest()
+    })
+
+    this.errorPanel.addEventListener('quit', () => {
+      this.restartQuiz()
+    })
 
     this.nicknameForm.addEventListener('nickname', async (event) => {
-      const nickname = event.detail.nickname
+      if (!this.stateMachine.is('idle')) return
 
-      this.nicknameForm.classList.add('hidden')
-      this.quizQuestion.classList.remove('hidden')
-      this.countdownTimer.classList.remove('hidden')
+      const { nickname, mode = 'ranked', lives = 3, timingPolicy } = event.detail
 
       this.nickname = nickname
       localStorage.setItem('nickname', nickname)
       this.score = 0
+      this.questionsAnswered = 0
+      this.mode = mode
+      this.lives = mode === 'practice' ? lives : null
+      this.updateLivesDisplay()
+      this.lifelinesUsed = []
+      this.lifelineBar.reset()
+      this.applyPausePolicy()
+      this.timing = this.timingFor(timingPolicy)
+      this.timeBank = 0
+      this.transcript = createTranscript({
+        nickname,
+        sourceId: this.questionSource.id,
+        mode,
+        timing: this.timing,
+        scoringModel: this.scoringModel
+      })
 
-      await this.fetchQuestions('https://courselab.lnu.se/quiz/question/1')
-    })
-
-    this.countdownTimer.addEventListener('timeout', () => {
-      if (this.allowTimeoutAction) {
-        const accumulatedTime = this.countdownTimer.accumulatedTime
-        this.showHighScore(accumulatedTime)
-      }
+      await this.fetchQuestions()
     })
 
     this.quizQuestion.addEventListener('answer-selected', async (event) => {
       const selectedAnswer = event.detail.selectedAnswer
       await this.submitAnswer(selectedAnswer)
     })
+  }
+
+  /**
+   * Updates the application after the game has moved to a new state.
+   *
+   * Reflects the state in the 'state' attribute, shows the components that belong to the
+   * state, locks the question while an answer is submitted and dispatches 'statechange'.
+   *
+   * @param {string|null} from - The previous state, or null when the component is first rendered.
+   * @param {string} to - The new state.
+   * @fires CustomEvent#statechange
+   */
+  handleStateChange (from, to) {
+    this.setAttribute('state', to)
+
+    if (!this.quizQuestion) return
+
+    for (const [component, states] of Object.entries(VISIBLE_IN)) {
+      this[component].classList.toggle('hidden', !states.includes(to))
+    }
+    if (this.countdownTimer.hasAttribute('pause-disabled')) {
+      this.pauseButton.classList.add('hidden')
+    }
+    if (this.mode !== 'practice') {
+      this.livesDisplay.classList.add('hidden')
+    }
+    if (to === 'paused') {
+      this.shadowRoot.querySelector('#resume-button').focus()
+    }
+    if (to === 'resume-prompt') {
+      this.shadowRoot.querySelector('#resume-game-button').focus()
+    }
+    if (['won', 'lost'].includes(to) || (from && to === 'idle')) {
+      gameSessionStore.clear()
+    }
+    this.quizQuestion.toggleAttribute('disabled', to !== 'awaiting-answer')
+
+    if (from) {
+      this.dispatchEvent(new CustomEvent('statechange', {
+        detail: { from, to },
+        bubbles: true,
+        composed: true
+      }))
+    }
+  }
+
+  /**
+   * Ends the game, records the result and shows the feedback for the last answer.
+   * Ignored if the game has already ended or is not in a state where it can end this way.
+   *
+   * @param {string} outcome - Either 'won' or 'lost'.
+   * @param {object} feedback - The feedback to show, see showFeedback.
+   */
+  endGame (outcome, feedback) {
+    if (!this.stateMachine.transition(outcome)) return
 
-    this.quizQuestion.addEventListener('quiz-completed', (event) => {
-      const accumulatedTime = event.detail.accumulatedTime
-      this.showHighScore(accumulatedTime)
+    this.countdownTimer.stopTimer()
+    const result = feedback.kind === 'victory' ? 'won' : feedback.kind
+    this.saveHighScore(this.countdownTimer.accumulatedTime, result)
+    this.finishRun(result, this.countdownTimer.accumulatedTime)
+    this.showFeedback(feedback)
+  }
+
+  /**
+   * Records an attempt at the current question in the transcript of the run, with the time the
+   * countdown timer measured for it, and keeps the seconds that carry over to the next question.
+   * Call it after the timer has been stopped.
+   *
+   * @param {string} result - What happened: 'correct', 'wrong', 'timeout' or 'skipped'.
+   * @param {object} [attempt] - The answer and the verdict.
+   * @param {*} [attempt.answer] - The answer submitted.
+   * @param {string} [attempt.message] - The message from the question source.
+   */
+  recordAttempt (result, { answer, message } = {}) {
+    if (!this.currentQuestion) return
+
+    this.timeBank = unusedTime(this.timing, this.currentDuration, this.countdownTimer.lastTimeSpent)
+    if (!this.transcript) return
+
+    recordQuestion(this.transcript, {
+      question: this.currentQuestion,
+      answer,
+      result,
+      message,
+      timeSpent: this.countdownTimer.lastTimeSpent,
+      timeLimit: this.countdownTimer.untimed ? null : this.countdownTimer.durationMs / 1000
+    }, this.lifelinesUsed)
+  }
+
+  /**
+   * Records how the run ended in its transcript, keeps the transcript and shows it.
+   *
+   * The run is scored with the scoring model of the transcript, like its high score.
+   *
+   * @param {string} outcome - How the run ended: 'won', 'wrong', 'timeout' or 'quit'.
+   * @param {number} totalTime - The total time of the run in milliseconds.
+   */
+  finishRun (outcome, totalTime) {
+    if (!this.transcript || this.transcript.outcome) return
+
+    finishTranscript(this.transcript, outcome, { score: this.scoreRun(totalTime, outcome).score, totalTime })
+    transcriptStore.add(this.transcript)
+    this.runTranscript.showTranscript(this.transcript)
+  }
+
+  /**
+   * Shows the feedback for the last answer, with the time the question took.
+   *
+   * @param {object} feedback - The feedback to show.
+   * @param {string} feedback.kind - One of 'correct', 'victory', 'wrong' or 'timeout'.
+   * @param {string} [feedback.message] - The message from the quiz server.
+   */
+  showFeedback ({ kind, message }) {
+    this.answerFeedback.showFeedback({
+      kind,
+      message,
+      questionTime: this.countdownTimer.lastTimeSpent,
+      totalTime: this.countdownTimer.accumulatedTime,
+      autoAdvance: parseInt(this.getAttribute('feedback-delay')) || 0,
+      lives: this.lives,
+      canSkip: this.skipURL !== null
     })
   }
 
   /**
-   * Submits the selected answer to the server and handles the response.
+   * Takes a life in a practice run after a wrong answer or a timeout. The game ends when the
+   * last life is lost; otherwise the player may retry the question or skip it.
    *
-   * @async
-   * @function submitAnswer
-   * @param {string} answer - The selected answer to be submitted.
+   * @param {string} kind - What went wrong: 'wrong' or 'timeout'.
+   * @param {string} [message] - The message from the quiz server.
    */
-  async submitAnswer (answer) {
-    try {
-      const response = await fetch(this.currentQuestion.nextURL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ answer })
-      })
+  loseLife (kind, message) {
+    if (!this.stateMachine.can('feedback')) return
 
-      const data = await response.json()
+    this.lives -= 1
+    this.updateLivesDisplay()
+    if (this.lives <= 0) {
+      this.endGame('lost', { kind, message })
+      return
+    }
+
+    this.stateMachine.transition('feedback')
+    this.missedQuestion = true
+    this.skipURL = this.questionSource.getSkipURL?.(this.currentQuestion) ?? null
+    this.showFeedback({ kind: `practice-${kind}`, message })
+    this.saveSession()
+  }
+
+  /**
+   * Shows the question that was missed in a practice run again, with a new time limit.
+   */
+  retryQuestion () {
+    if (!this.stateMachine.is('feedback') || !this.missedQuestion) return
 
-      if (data && data.nextURL) {
-        try {
-          await this.fetchNextQuestion(data.nextURL)
-        } catch (error) {
-          console.error(error)
+    this.setQuestion(this.currentQuestion, { hiddenAlternatives: this.hiddenAlternatives })
+  }
+
+  /**
+   * Uses a lifeline on the current question, if it has not been used in this run.
+   *
+   * @param {string} name - The name of the lifeline, see LIFELINES in lifelines.js.
+   * @returns {Promise<void>} A promise that resolves when the lifeline has been used.
+   */
+  async useLifeline (name) {
+    if (!this.stateMachine.is('awaiting-answer') || this.lifelinesUsed.includes(name)) return
+
+    switch (name) {
+      case 'fifty-fifty':
+        await this.useFiftyFifty()
+        break
+      case 'extra-time':
+        if (this.countdownTimer.addTime(EXTRA_TIME)) {
+          this.extraTime += EXTRA_TIME
+          this.recordLifeline(name)
+          this.saveSession()
         }
-      } else {
-        this.countdownTimer.stopTimer()
-        this.showHighScore(this.countdownTimer.accumulatedTime)
+        break
+      case 'skip': {
+        const skipURL = this.questionSource.getSkipURL?.(this.currentQuestion) ?? null
+        if (skipURL) {
+          this.countdownTimer.stopTimer()
+          this.recordLifeline(name)
+          this.recordAttempt('skipped')
+          await this.fetchNextQuestion(skipURL)
+        }
+        break
       }
+    }
+  }
+
+  /**
+   * Hides two wrong alternatives of the current question, found with the answer key of the source.
+   * If the source cannot tell the answer, the lifeline is disabled for this question and not used up.
+   *
+   * @returns {Promise<void>} A promise that resolves when the alternatives have been hidden.
+   */
+  async useFiftyFifty () {
+    const question = this.currentQuestion
+
+    let key = null
+    try {
+      key = await this.questionSource.getAnswerKey?.(question) ?? null
     } catch (error) {
       console.error(error)
     }
+
+    // The question may have changed or timed out while the answer key was fetched.
+    if (question !== this.currentQuestion || !this.stateMachine.is('awaiting-answer')) return
+
+    const hidden = key !== null && question.alternatives?.[key] !== undefined
+      ? pickHiddenAlternatives(question.alternatives, key)
+      : []
+    if (hidden.length === 0) {
+      this.lifelineBar.setAvailable('fifty-fifty', false)
+      return
+    }
+
+    this.hiddenAlternatives = hidden
+    this.quizQuestion.hideAlternatives(hidden)
+    this.recordLifeline('fifty-fifty')
+    this.saveSession()
   }
 
   /**
-   * Fetches quiz questions from the provided URL and dispatches a custom event with the question data.
+   * Records that a lifeline was used in this run and disables it.
    *
-   * @param {string} url - The URL to fetch the quiz questions from.
-   * @returns {Promise<void>} A promise that resolves when the questions have been fetched and the event has been dispatched.
-   * @throws Will throw an error if the fetch operation fails.
+   * @param {string} name - The name of the lifeline.
+   */
+  recordLifeline (name) {
+    this.lifelinesUsed.push(name)
+    this.lifelineBar.markUsed(name)
+  }
+
+  /**
+   * Enables the unused lifelines that can help with the current question.
    */
-  async fetchQuestions (url) {
+  updateLifelines () {
+    const question = this.currentQuestion
+    const alternatives = Object.keys(question.alternatives ?? {}).length
+
+    this.lifelineBar.setAvailable('fifty-fifty', alternatives >= 3 && this.quizQuestion.canHideAlternatives() &&
+      typeof this.questionSource.getAnswerKey === 'function')
+    this.lifelineBar.setAvailable('extra-time', this.currentDuration !== null)
+    this.lifelineBar.setAvailable('skip', Boolean(this.questionSource.getSkipURL?.(question)))
+  }
+
+  /**
+   * Shows the lives left in a practice run.
+   */
+  updateLivesDisplay () {
+    if (this.lives === null) {
+      this.livesDisplay.removeAttribute('data-i18n')
+      this.livesDisplay.textContent = ''
+    } else {
+      localize(this.livesDisplay, 'app.lives', { hearts: '❤'.repeat(this.lives) })
+    }
+  }
+
+  /**
+   * Moves on from the feedback, to the next question or to the summary of the run.
+   *
+   * @returns {Promise<void>} A promise that resolves when the game has moved on.
+   */
+  async continueAfterFeedback () {
+    if (this.stateMachine.is('feedback') && this.missedQuestion) {
+      if (this.skipURL) {
+        await this.fetchNextQuestion(this.skipURL)
+      }
+    } else if (this.stateMachine.is('feedback')) {
+      await this.fetchNextQuestion(this.nextURL)
+    } else if (this.stateMachine.is('won', 'lost')) {
+      this.showSummary()
+    }
+  }
+
+  /**
+   * Submits the selected answer to the server and handles the response.
+   * The timer is stopped before the answer is sent, so a slow server does not count against the player.
+   * A wrong answer ends the game, or costs a life in practice, while a failed request shows the error panel.
+   * Answers selected while another answer is being submitted are ignored.
+   *
+   * @async
+   * @function submitAnswer
+   * @param {string} answer - The selected answer to be submitted.
+   */
+  async submitAnswer (answer) {
+    if (!this.stateMachine.transition('submitting')) return
+
+    this.countdownTimer.stopTimer()
+
+    let data
     try {
-      const response = await fetch(url)
-      const data = await response.json()
+      data = await this.questionSource.submitAnswer(this.currentQuestion, answer)
+    } catch (error) {
+      this.showError(error, () => this.submitAnswer(answer))
+      return
+    }
 
-      this.currentQuestion = data
+    this.recordAttempt(data.correct ? 'correct' : 'wrong', { answer, message: data.message })
 
-      const duration = data.limit ? parseInt(data.limit) : 20
-      this.dispatchEvent(new CustomEvent('set-question', {
-        detail: {
-          question: this.currentQuestion,
-          duration
-        },
-        bubbles: true,
-        composed: true
-      }))
+    if (data.correct) {
+      this.questionsAnswered += 1
+    }
+
+    if (data.correct && data.nextURL) {
+      if (!this.stateMachine.transition('feedback')) return
+      this.nextURL = data.nextURL
+      this.showFeedback({ kind: 'correct', message: data.message })
+      this.saveSession()
+    } else if (data.correct) {
+      this.endGame('won', { kind: 'victory', message: data.message })
+    } else if (this.mode === 'practice') {
+      this.loseLife('wrong', data.message)
+    } else {
+      this.endGame('lost', { kind: 'wrong', message: data.message })
+    }
+  }
+
+  /**
+   * Fetches the first question from the question source and dispatches a custom event with the question data.
+   *
+   * @returns {Promise<void>} A promise that resolves when the question has been fetched and the event has been dispatched.
+   */
+  async fetchQuestions () {
+    if (!this.stateMachine.transition('playing')) return
+
+    try {
+      const data = await this.questionSource.getFirstQuestion()
+      this.setQuestion(data)
     } catch (error) {
-      console.error(error)
+      this.showError(error, () => this.fetchQuestions())
     }
   }
 
   /**
-   * Fetches the next quiz question from the provided URL.
+   * Fetches the next quiz question from the question source.
    *
-   * @param {string} url - The URL to fetch the next question from.
+   * @param {string} url - The 'nextURL' of the next question.
    * @returns {Promise<void>} - A promise that resolves when the question is fetched and set.
-   * @throws {Error} - Throws an error if the fetch operation fails.
    */
   async fetchNextQuestion (url) {
+    if (!this.stateMachine.transition('playing')) return
+
     try {
-      const response = await fetch(url)
-
-      const data = await response.json()
-      this.currentQuestion = data
-
-      const duration = parseInt(this.currentQuestion.limit) || 20
-
-      // Endast sätt frågan och starta timern när frågan är hämtad och valid
-      if (this.currentQuestion) {
-        this.dispatchEvent(new CustomEvent('set-question', {
-          detail: {
-            question: this.currentQuestion,
-            duration
-          },
-          bubbles: true,
-          composed: true
-        }))
-      }
+      const data = await this.questionSource.getNextQuestion(url)
+      this.setQuestion(data)
     } catch (error) {
+      this.showError(error, () => this.fetchNextQuestion(url))
+    }
+  }
+
+  /**
+   * Makes a fetched question the current one and dispatches a 'set-question' event,
+   * which shows the question and starts the timer. The timer of a question with images or
+   * audio waits until the media has loaded.
+   *
+   * A question that is resumed after a reload, or retried in practice, keeps the effect of the
+   * lifelines used on it. Its time limit follows the timing policy of the run.
+   *
+   * @param {object} question - The question payload.
+   * @param {object} [options] - The state of a question that is shown again.
+   * @param {number} [options.elapsed] - The milliseconds already spent on the question.
+   * @param {number} [options.extraTime] - The seconds added to the question with the extra time lifeline.
+   * @param {string[]} [options.hiddenAlternatives] - The alternatives hidden with the 50/50 lifeline.
+   * @param {number} [options.carriedOver] - The seconds carried over from the question before, by default those left from the last question.
+   * @fires CustomEvent#set-question
+   */
+  setQuestion (question, { elapsed = 0, extraTime = 0, hiddenAlternatives = [], carriedOver = this.timeBank } = {}) {
+    if (!this.stateMachine.transition('awaiting-answer')) return
+
+    this.currentQuestion = question
+    this.missedQuestion = false
+    this.skipURL = null
+    this.extraTime = extraTime
+    this.hiddenAlternatives = hiddenAlternatives
+    this.carriedOver = carriedOver
+    this.timeBank = 0
+
+    this.dispatchEvent(new CustomEvent('set-question', {
+      detail: {
+        question: this.currentQuestion,
+        duration: this.currentDuration,
+        elapsed,
+        waitForMedia: hasLoadingMedia(question)
+      },
+      bubbles: true,
+      composed: true
+    }))
+    this.quizQuestion.hideAlternatives(hiddenAlternatives)
+    this.updateLifelines()
+    this.saveSession()
+  }
+
+  /**
+   * Saves the game in progress, so that it can be resumed after a page reload.
+   * Only a shown question or the feedback before the next one is saved; while an answer is
+   * being submitted or a request has failed, the session saved before is kept.
+   * After a practice mistake the question is saved to be retried, as if paused before it started.
+   */
+  saveSession () {
+    const game = {
+      nickname: this.nickname,
+      sourceId: this.questionSource.id,
+      mode: this.mode,
+      lives: this.lives,
+      lifelines: this.lifelinesUsed,
+      questionsAnswered: this.questionsAnswered,
+      accumulatedTime: this.countdownTimer.accumulatedTime,
+      timing: this.timing,
+      timeBank: this.timeBank,
+      transcript: this.transcript
+    }
+
+    if (this.stateMachine.is('awaiting-answer', 'paused') || (this.stateMachine.is('feedback') && this.missedQuestion)) {
+      const running = !this.stateMachine.is('feedback')
+      gameSessionStore.save({
+        ...game,
+        question: this.currentQuestion,
+        duration: this.currentDuration,
+        carriedOver: running ? this.carriedOver : this.timeBank,
+        extraTime: this.extraTime,
+        hiddenAlternatives: this.hiddenAlternatives,
+        elapsed: running ? Math.round(this.countdownTimer.getElapsedTime()) : 0,
+        paused: !this.stateMachine.is('awaiting-answer'),
+        nextURL: null
+      })
+    } else if (this.stateMachine.is('feedback')) {
+      gameSessionStore.save({
+        ...game,
+        question: null,
+        paused: false,
+        nextURL: this.nextURL
+      })
+    }
+  }
+
+  /**
+   * Gets the start screen ready for the question source and offers to resume a saved game. If the
+   * attributes name an unknown source type or quiz pack, the error panel tells the player so
+   * instead, and Retry reads the attributes again.
+   */
+  prepareGame () {
+    try {
+      this.nicknameForm.setTiming(this.timingFor())
+    } catch (error) {
+      if (!(error instanceof ConfigurationError)) throw error
       console.error(error)
-      this.showHighScore(this.totalTime)
+      this.stateMachine.transition('error')
+      this.retryAction = this.prepareGame.bind(this)
+      this.errorPanel.showError(t(error.key, error.params), { heading: 'errors.configurationHeading', canQuit: false })
+      return
+    }
+
+    this.offerToResume()
+    if (this.stateMachine.is('error')) {
+      this.stateMachine.transition('idle')
     }
   }
 
   /**
-   * Handles the timeout event by stopping the timer and showing the high score.
+   * Offers to resume the game saved before the page was reloaded, if it was played from the
+   * same question source.
    */
-  handleTimeout () {
-    this.countdownTimer.stopTimer()
-    const accumulatedTime = this.countdownTimer.accumulatedTime || this.countdownTimer.accumulatedTime
-    console.log(`Timeout occurred. Total Time Spent: ${accumulatedTime}`)
-    this.showHighScore(this.countdownTimer.accumulatedTime)
+  offerToResume () {
+    const session = gameSessionStore.load()
+    if (!session) return
+
+    if (session.sourceId !== this.questionSource.id) {
+      gameSessionStore.clear()
+      return
+    }
+
+    this.pendingSession = session
+    const question = session.questionsAnswered + 1
+    localize(this.shadowRoot.querySelector('#resume-details'),
+      this.resumeFairness === 'strict' ? 'app.resumeStrict' : 'app.resumeLenient',
+      { nickname: session.nickname, question })
+    this.stateMachine.transition('resume-prompt')
   }
 
   /**
-   * Displays the high score and saves it to local storage if it is a new entry.
+   * Resumes the saved game: shows the question that was being answered, with the time spent on
+   * it according to the fairness rule, or fetches the next question.
    *
-   * @param {number} accumulatedTime   - The total time spent on the quiz.
-   * @returns {void}
+   * @returns {Promise<void>} A promise that resolves when the game has been resumed.
    */
-  showHighScore (accumulatedTime) {
-    if (this.highScoreShown) return
+  async resumeSession () {
+    const session = this.pendingSession
+    if (!session || !this.stateMachine.is('resume-prompt')) return
 
-    window.dispatchEvent(new CustomEvent('stop-timer', {
-      bubbles: true,
-      composed: true
-    }))
+    this.pendingSession = null
+    this.nickname = session.nickname
+    localStorage.setItem('nickname', session.nickname)
+    this.score = 0
+    this.questionsAnswered = session.questionsAnswered
+    this.mode = session.mode === 'practice' ? 'practice' : 'ranked'
+    this.lives = this.mode === 'practice' ? Math.max(parseInt(session.lives) || 1, 1) : null
+    this.updateLivesDisplay()
+    this.lifelinesUsed = Array.isArray(session.lifelines) ? [...session.lifelines] : []
+    this.lifelineBar.reset(this.lifelinesUsed)
+    this.countdownTimer.resetAll()
+    this.countdownTimer.accumulatedTime = session.accumulatedTime
+    this.applyPausePolicy()
+    this.timing = resolveTiming(session.timing)
+    this.timeBank = session.timeBank || 0
+    this.transcript = isValidTranscript(session.transcript)
+      ? session.transcript
+      : createTranscript({
+        nickname: this.nickname,
+        sourceId: session.sourceId,
+        mode: this.mode,
+        timing: this.timing,
+        scoringModel: this.scoringModel
+      })
 
-    this.highScoreShown = true
+    if (session.question) {
+      this.setQuestion(session.question, {
+        elapsed: resumedElapsed(session, this.resumeFairness),
+        extraTime: session.extraTime || 0,
+        hiddenAlternatives: session.hiddenAlternatives || [],
+        carriedOver: session.carriedOver || 0
+      })
+    } else {
+      this.nextURL = session.nextURL
+      await this.fetchNextQuestion(session.nextURL)
+    }
+  }
 
-    this.quizQuestion.classList.add('hidden')
-    this.countdownTimer.classList.add('hidden')
-    this.nicknameForm.classList.add('hidden')
+  /**
+   * Shows the error panel for a request that failed, instead of the question.
+   *
+   * @param {Error} error - The error of the failed request, usually a RequestError.
+   * @param {Function} retry - A function that sends the failed request again.
+   */
+  showError (error, retry) {
+    console.error(error)
+    if (!this.stateMachine.transition('error')) return
 
-    // Save the high score in local storage
-    const newHighScore = {
-      nickname: this.nickname,
-      score: accumulatedTime
+    this.retryAction = retry
+
+    const messages = {
+      timeout: t('errors.timeout'),
+      network: t('errors.network'),
+      server: error.status ? t('errors.serverStatus', { status: String(error.status) }) : t('errors.server'),
+      malformed: t('errors.malformed')
     }
+    this.errorPanel.showError(messages[error.kind] || error.message)
+  }
 
-    const highScores = JSON.parse(localStorage.getItem('highScores')) || []
+  /**
+   * Hides the error panel and sends the failed request again.
+   *
+   * @returns {Promise<void>} A promise that resolves when the request has been handled.
+   */
+  async retryFailedRequest () {
+    const retry = this.retryAction
+    this.retryAction = null
 
-    if (newHighScore.nickname.trim() !== '') {
-      // Check if entry already exists (avoid duplicates)
-      const existingEntryIndex = highScores.findIndex(
-        (score) =>
-          score.nickname === newHighScore.nickname &&
-          score.score === newHighScore.score
-      )
+    if (retry) {
+      await retry()
+    }
+  }
 
-      if (existingEntryIndex === -1) {
-        // Add the new high score to the list
-        highScores.push(newHighScore)
+  /**
+   * Shows the summary of the finished run: the time spent on each question, and how the run
+   * compares with the player's personal best and the other runs.
+   */
+  showSummary () {
+    if (!this.stateMachine.transition('summary')) return
 
-        // Sort the high scores in ascending order
-        highScores.sort((a, b) => a.score - b.score)
+    const summary = summarizeRun(this.transcript, highScoreStore.getAll(), this.lastEntry)
+    this.gameSummary.showSummary(summary, this.transcript)
+  }
 
-        // Save all high scores to local storage
-        localStorage.setItem('highScores', JSON.stringify(highScores))
+  /**
+   * Displays the high score list.
+   *
+   * @returns {void}
+   */
+  showHighScore () {
+    if (!this.stateMachine.transition('leaderboard')) return
 
-        // Dispatch an event to update the high-score component
-        window.dispatchEvent(
-          new CustomEvent('high-score', {
-            detail: {
-              nickname: newHighScore.nickname,
-              score: newHighScore.score
-            }
-          })
-        )
-      }
+    window.dispatchEvent(new CustomEvent('stop-timer', {
+      bubbles: true,
+      composed: true
+    }))
+  }
+
+  /**
+   * Scores the run with the scoring model of its transcript, or of a new run if there is none.
+   *
+   * @param {number} totalTime - The total time of the run in milliseconds.
+   * @param {string} outcome - How the run ended: 'won', 'wrong', 'timeout' or 'quit'.
+   * @returns {{model: object, score: number}} The scoring model and the score.
+   */
+  scoreRun (totalTime, outcome) {
+    const model = scoringModels.resolve(this.transcript?.scoringModel ?? this.scoringModel)
+    return { model, score: model.score({ attempts: this.transcript?.questions ?? [], totalTime, outcome }) }
+  }
+
+  /**
+   * Saves the result of the game to the high score store, and notifies the high-score component.
+   * The run is scored with the scoring model of its transcript.
+   *
+   * @param {number} accumulatedTime - The total time spent on the quiz, in milliseconds.
+   * @param {string} outcome - How the game ended: 'won', 'wrong' or 'timeout'.
+   * @returns {void}
+   */
+  saveHighScore (accumulatedTime, outcome) {
+    const { model, score } = this.scoreRun(accumulatedTime, outcome)
+    const newHighScore = highScoreStore.add({
+      nickname: this.nickname,
+      score,
+      totalTime: accumulatedTime,
+      scoringModel: model.name,
+      timestamp: Date.now(),
+      sourceId: this.questionSource.id,
+      questionsAnswered: this.questionsAnswered,
+      outcome,
+      mode: this.mode,
+      lifelines: [...this.lifelinesUsed],
+      ...timingFields(this.timing)
+    })
+
+    this.lastEntry = newHighScore
+    if (newHighScore) {
+      // Dispatch an event to update the high-score component
+      window.dispatchEvent(new CustomEvent('high-score', { detail: newHighScore }))
     }
-    this.highScore.classList.remove('hidden')
   }
 
   /**
    * Restarts the quiz by resetting the score, current question index, and clearing stored data.
-   * Hides the high score and quiz question elements, shows the nickname form, and resets the countdown timer.
+   * Moves the game back to the nickname form and resets the countdown timer.
    * Dispatches a 'stop-timer' event and removes the 'high-score' event listener.
+   * A run that has not ended is recorded as quit in its transcript.
    */
   restartQuiz () {
+    if (!this.stateMachine.transition('idle')) return
+
+    this.finishRun('quit', this.countdownTimer.accumulatedTime)
+
     window.dispatchEvent(new CustomEvent('stop-timer', {
       bubbles: true,
       composed: true
@@ -305,9 +1201,9 @@ class QuizApplication extends HTMLElement {
 
     this.countdownTimer.resetAll()
 
-    this.highScore.classList.add('hidden')
     this.currentQuestionIndex = 0
     this.score = 0
+    this.questionsAnswered = 0
     localStorage.removeItem('quizScore')
     localStorage.removeItem('nickname')
 
@@ -316,10 +1212,7 @@ class QuizApplication extends HTMLElement {
     const nicknameInput = this.nicknameForm.shadowRoot.querySelector('input[type="text"]')
     if (nicknameInput) { nicknameInput.value = '' } // Clear the nickname input field
 
-    this.quizQuestion.classList.add('hidden')
-    this.countdownTimer.classList.add('hidden')
-    this.nicknameForm.classList.remove('hidden')
-    this.highScoreShown = false
+    this.retryAction = null
   }
 }
 
@@ -0,0 +1 @@
+import './quiz-editor.js'
@@ -0,0 +1,1000 @@
+import '../quiz-question/quiz-question.js'
+import { questionTypes } from '../quiz-question/question-types/index.js'
+import { packErrors, packQuestionErrors, TYPES_WITH_ALTERNATIVES } from '../../lib/question-format.js'
+import { evaluateAnswer, parseNumber, withoutAnswer } from '../../lib/answer-evaluator.js'
+import { escapeHTML } from '../../lib/rich-text.js'
+import { THEME_STYLES, getTheme } from '../../lib/theme.js'
+import { t, localize, translate, formatDate } from '../../lib/i18n.js'
+import { verdictMessage } from '../../lib/question-sources/local-question-source.js'
+import '../locale-switcher/locale-switcher.js'
+
+/**
+ * The message keys of the labels of the built-in question types in the type menu. Registered
+ * types without a label are shown by name.
+ *
+ * @type {{[type: string]: string}}
+ */
+const TYPE_LABELS = {
+  text: 'editor.types.text',
+  'multiple-choice': 'editor.types.multipleChoice',
+  'multi-select': 'editor.types.multiSelect',
+  ordering: 'editor.types.ordering',
+  numeric: 'editor.types.numeric',
+  'true-false': 'editor.types.trueFalse'
+}
+
+/**
+ * Translates a problem found by the rules of question-format.js, prefixed with the number of its
+ * question if it has one.
+ *
+ * @param {{key: string, params?: object, question?: number}} error - The problem.
+ * @returns {string} The translated problem.
+ */
+function describeError ({ key, params, question }) {
+  const text = t(key, params)
+  return question ? t('editor.inQuestion', { number: question, error: text }) : text
+}
+
+/**
+ * Returns the question type a question is edited as: its 'type' field, or else the type it
+ * would be shown as, multiple choice with alternatives and text without.
+ *
+ * @param {object} question - The question.
+ * @returns {string} The name of the type.
+ */
+function effectiveType (question) {
+  if (question.type) return question.type
+  const count = Object.keys(question.alternatives ?? {}).length
+  return count >= 2 && count <= 10 ? 'multiple-choice' : 'text'
+}
+
+/**
+ * Creates an empty quiz pack with one question.
+ *
+ * @returns {object} The quiz pack.
+ */
+function createPack () {
+  return {
+    id: 'my-quiz-pack',
+    title: t('editor.defaultTitle'),
+    questions: [{ id: 1, type: 'text', question: '', answer: '' }]
+  }
+}
+
+/**
+ * A custom HTML element for authoring quiz packs.
+ *
+ * Questions can be added, reordered and deleted, and each question gets a type, a time limit,
+ * alternatives and its correct answer. A question is previewed in a quiz question element, where
+ * it can be answered and the answer is checked by the answer evaluator.
+ *
+ * The pack is checked with the rules of question-format.js as it is edited, and can only be
+ * exported when it has no errors. The draft is saved to localStorage as it is edited, under the
+ * key in the 'draft-key' attribute (default 'quizEditorDraft'), and restored when the editor is
+ * opened again.
+ *
+ * The editor uses the theme the player chose in the quiz (see theme.js), and is shown in the
+ * locale chosen with its language menu or in the quiz (see i18n.js).
+ *
+ * @class
+ * @augments HTMLElement
+ * @property {object} pack - The quiz pack being edited.
+ * @property {number} selectedIndex - The position of the question being edited.
+ * @function render - Renders the editor.
+ * @function addQuestion - Adds an empty question after the others.
+ * @function moveQuestion - Moves a question up or down.
+ * @function deleteQuestion - Deletes a question.
+ * @function previewQuestion - Shows the selected question in the preview.
+ * @function exportPack - Downloads the pack as a JSON file.
+ * @function importPack - Replaces the pack with one read from a JSON file.
+ * @example
+ * <quiz-editor draft-key="myDraft"></quiz-editor>
+ */
+class QuizEditor extends HTMLElement {
+  /**
+   * Creates an instance of the quiz editor and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this.pack = createPack()
+    this.selectedIndex = 0
+    this.saveTimeoutId = null
+    this.packErrorReport = null
+  }
+
+  /**
+   * The localStorage key of the draft, from the 'draft-key' attribute.
+   *
+   * @type {string}
+   */
+  get draftKey () {
+    return this.getAttribute('draft-key') || 'quizEditorDraft'
+  }
+
+  /**
+   * The question being edited.
+   *
+   * @type {object}
+   */
+  get selectedQuestion () {
+    return this.pack.questions[this.selectedIndex]
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Restores the draft, renders the editor and adds the listeners of its controls.
+   */
+  connectedCallback () {
+    this.pack = this.loadDraft() ?? createPack()
+    this.setAttribute('theme', getTheme())
+    this.render()
+
+    window.addEventListener('theme-changed', (event) => {
+      this.setAttribute('theme', event.detail.theme)
+    })
+
+    window.addEventListener('locale-changed', () => {
+      this.translate()
+    })
+
+    this.shadowRoot.addEventListener('input', (event) => {
+      this.handleInput(event.target)
+    })
+    this.shadowRoot.addEventListener('change', (event) => {
+      this.handleChange(event.target)
+    })
+    this.shadowRoot.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]')
+      if (button) {
+        this.handleAction(button.dataset.action, button.dataset)
+      }
+    })
+
+    const fileInput = this.shadowRoot.querySelector('#import-file')
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        this.importPack(fileInput.files[0])
+        fileInput.value = ''
+      }
+    })
+
+    const preview = this.shadowRoot.querySelector('quiz-question')
+    // The events of the preview must not reach a quiz on the same page.
+    preview.addEventListener('answer-selected', (event) => {
+      event.stopPropagation()
+      this.showPreviewVerdict(event.detail.selectedAnswer)
+    })
+    preview.addEventListener('media-loaded', (event) => {
+      event.stopPropagation()
+    })
+
+    window.addEventListener('pagehide', () => {
+      if (this.saveTimeoutId) {
+        this.saveDraft()
+      }
+    })
+  }
+
+  /**
+   * Renders the editor: the pack fields, the list of questions, the form of the selected question,
+   * the preview and the errors.
+   */
+  render () {
+    this.shadowRoot.innerHTML = `
+      <style>
+        ${THEME_STYLES}
+
+        :host {
+          display: block;
+          max-width: 1100px;
+          margin: 0 auto;
+          color: var(--quiz-color-text, #333);
+        }
+
+        header, #layout > section, #questions {
+          padding: 15px;
+          background-color: var(--quiz-color-surface, #f8f9fa);
+          border-radius: 10px;
+          box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+        }
+
+        header {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: end;
+          gap: 10px;
+          margin-bottom: 15px;
+        }
+
+        #layout {
+          display: grid;
+          grid-template-columns: minmax(200px, 1fr) 2fr 2fr;
+          gap: 15px;
+          align-items: start;
+        }
+
+        @media (max-width: 800px) {
+          #layout {
+            grid-template-columns: 1fr;
+          }
+        }
+
+        h2 {
+          margin: 0 0 10px;
+          font-size: 1.2rem;
+          color: var(--quiz-color-primary, #4a90e2);
+        }
+
+        label {
+          display: block;
+          margin-bottom: 10px;
+          font-size: 0.95rem;
+        }
+
+        input, select, textarea {
+          box-sizing: border-box;
+          width: 100%;
+          padding: 6px;
+          margin-top: 3px;
+          font: inherit;
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 4px;
+        }
+
+        input[type="radio"], input[type="checkbox"] {
+          width: auto;
+          margin: 0;
+        }
+
+        input.position {
+          width: 4em;
+          margin: 0;
+        }
+
+        button {
+          padding: 6px 12px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface-raised, #ffffff);
+          color: var(--quiz-color-text, #333);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+          cursor: pointer;
+        }
+
+        button:hover {
+          background-color: var(--quiz-color-hover, #e2e6ea);
+        }
+
+        button.primary {
+          background-color: var(--quiz-color-primary, #4a90e2);
+          border-color: var(--quiz-color-primary, #4a90e2);
+          color: var(--quiz-color-button-text, #ffffff);
+        }
+
+        button.primary:hover {
+          background-color: var(--quiz-color-primary-hover, #357ab7);
+        }
+
+        #question-list {
+          margin: 0 0 10px;
+          padding: 0;
+          list-style: none;
+        }
+
+        #question-list li {
+          display: flex;
+          gap: 3px;
+          margin-bottom: 5px;
+        }
+
+        #question-list .select {
+          flex: 1;
+          overflow: hidden;
+          text-align: left;
+          white-space: nowrap;
+          text-overflow: ellipsis;
+        }
+
+        #question-list .select[aria-current="true"] {
+          background-color: var(--quiz-color-highlight, #e6f7ff);
+          border-color: var(--quiz-color-primary, #4a90e2);
+        }
+
+        #question-list .invalid::after {
+          content: " ⚠";
+          color: var(--quiz-color-danger, #d9534f);
+        }
+
+        fieldset {
+          margin: 0 0 10px;
+          border: 1px solid var(--quiz-color-border, #ddd);
+          border-radius: 5px;
+        }
+
+        .alternative {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin-bottom: 6px;
+        }
+
+        .alternative input[data-alternative] {
+          flex: 1;
+          margin: 0;
+        }
+
+        .errors {
+          margin: 10px 0 0;
+          padding-left: 20px;
+          color: var(--quiz-color-danger-text, #721c24);
+        }
+
+        #status {
+          flex-basis: 100%;
+          font-size: 0.85rem;
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        #preview-verdict {
+          text-align: center;
+          font-weight: bold;
+        }
+
+        .visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          margin: -1px;
+          padding: 0;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+          border: 0;
+        }
+      </style>
+      <header>
+        <label><span data-i18n="editor.packId"></span> <input id="pack-id" data-pack-field="id" value="${escapeHTML(this.pack.id)}"></label>
+        <label><span data-i18n="editor.title"></span> <input id="pack-title" data-pack-field="title" value="${escapeHTML(this.pack.title)}"></label>
+        <button data-action="new-pack" data-i18n="editor.newPack"></button>
+        <button data-action="import" data-i18n="editor.import"></button>
+        <button class="primary" data-action="export" data-i18n="editor.export"></button>
+        <locale-switcher></locale-switcher>
+        <input type="file" id="import-file" accept=".json,application/json" hidden>
+        <div id="status" role="status"></div>
+      </header>
+      <div id="layout">
+        <nav id="questions" data-i18n-aria-label="editor.questions">
+          <h2 data-i18n="editor.questions"></h2>
+          <ol id="question-list"></ol>
+          <button data-action="add-question" data-i18n="editor.addQuestion"></button>
+        </nav>
+        <section id="question-form" aria-labelledby="question-form-heading"></section>
+        <section id="preview" aria-labelledby="preview-heading">
+          <h2 id="preview-heading" data-i18n="editor.preview"></h2>
+          <button data-action="preview" data-i18n="editor.previewQuestion"></button>
+          <quiz-question media-timeout="3000"></quiz-question>
+          <p id="preview-verdict" role="status"></p>
+        </section>
+      </div>
+      <ul id="pack-errors" class="errors" aria-live="polite"></ul>
+    `
+    translate(this.shadowRoot)
+    this.renderQuestionList()
+    this.renderQuestionForm()
+  }
+
+  /**
+   * Shows the editor in the current locale. The pack fields, the preview and the status keep
+   * their state; the question list, the question form and the pack errors are rendered again.
+   */
+  translate () {
+    const report = this.packErrorReport
+    translate(this.shadowRoot)
+    this.renderQuestionList()
+    this.renderQuestionForm()
+    if (report) {
+      this.showPackErrors(report.heading, report.errors)
+    }
+  }
+
+  /**
+   * Renders the list of questions, with move and delete buttons and a mark on invalid questions.
+   */
+  renderQuestionList () {
+    const types = questionTypes.names
+    this.shadowRoot.querySelector('#question-list').innerHTML = this.pack.questions.map((question, index) => {
+      const text = question.question?.trim() || t('editor.noText')
+      const invalid = packQuestionErrors(question, { types }).length > 0
+      const number = index + 1
+      return `
+        <li>
+          <button class="select${invalid ? ' invalid' : ''}" data-action="select" data-index="${index}"
+            aria-current="${index === this.selectedIndex}" title="${escapeHTML(text)}">${number}. ${escapeHTML(text)}</button>
+          <button data-action="move-up" data-index="${index}" aria-label="${escapeHTML(t('editor.moveUp', { number }))}" ${index === 0 ? 'disabled' : ''}>▲</button>
+          <button data-action="move-down" data-index="${index}" aria-label="${escapeHTML(t('editor.moveDown', { number }))}" ${index === this.pack.questions.length - 1 ? 'disabled' : ''}>▼</button>
+          <button data-action="delete" data-index="${index}" aria-label="${escapeHTML(t('editor.deleteQuestion', { number }))}">✕</button>
+        </li>
+      `
+    }).join('')
+  }
+
+  /**
+   * Renders the form of the selected question, with the answer fields of its type.
+   */
+  renderQuestionForm () {
+    const question = this.selectedQuestion
+    const form = this.shadowRoot.querySelector('#question-form')
+    if (!question) {
+      form.innerHTML = `<h2 id="question-form-heading">${t('editor.question')}</h2><p>${t('editor.addQuestionToStart')}</p>`
+      return
+    }
+
+    const type = effectiveType(question)
+    const typeOptions = [...new Set([type, ...questionTypes.names])].map(name =>
+      `<option value="${escapeHTML(name)}" ${name === type ? 'selected' : ''}>${escapeHTML(TYPE_LABELS[name] ? t(TYPE_LABELS[name]) : name)}</option>`
+    ).join('')
+
+    form.innerHTML = `
+      <h2 id="question-form-heading">${t('editor.questionNumber', { number: this.selectedIndex + 1 })}</h2>
+      <label>${escapeHTML(t('editor.questionText'))}
+        <textarea id="question-text" data-field="question" rows="3">${escapeHTML(question.question ?? '')}</textarea>
+      </label>
+      <label>${t('editor.type')} <select data-field="type">${typeOptions}</select></label>
+      <label>${t('editor.limit')}
+        <input type="number" min="1" data-field="limit" value="${escapeHTML(question.limit ?? '')}" placeholder="20">
+      </label>
+      ${TYPES_WITH_ALTERNATIVES.includes(type) ? this.renderAlternatives(question, type) : this.renderAnswer(question, type)}
+      <ul id="question-errors" class="errors"></ul>
+    `
+    this.updateErrors()
+  }
+
+  /**
+   * Renders the alternatives of a question, each with the control that marks its part of the
+   * correct answer: a radio button, a checkbox or a position.
+   *
+   * @param {object} question - The question.
+   * @param {string} type - The question type.
+   * @returns {string} The HTML.
+   */
+  renderAlternatives (question, type) {
+    const entries = Object.entries(question.alternatives ?? {})
+    const answer = question.answer
+
+    const rows = entries.map(([key, value], index) => {
+      const number = index + 1
+      let marker
+      if (type === 'multi-select') {
+        marker = `<input type="checkbox" data-correct="${escapeHTML(key)}" aria-label="${escapeHTML(t('editor.alternativeCorrect', { number }))}" ${Array.isArray(answer) && answer.includes(key) ? 'checked' : ''}>`
+      } else if (type === 'ordering') {
+        const position = Array.isArray(answer) ? answer.indexOf(key) + 1 : 0
+        marker = `<input type="number" class="position" min="1" max="${entries.length}" data-position="${escapeHTML(key)}" aria-label="${escapeHTML(t('editor.alternativePosition', { number }))}" value="${position || ''}">`
+      } else {
+        marker = `<input type="radio" name="correct" data-correct="${escapeHTML(key)}" aria-label="${escapeHTML(t('editor.alternativeCorrect', { number }))}" ${answer === key ? 'checked' : ''}>`
+      }
+
+      const label = escapeHTML(t('editor.alternative', { number }))
+      const input = typeof value === 'string'
+        ? `<input data-alternative="${escapeHTML(key)}" value="${escapeHTML(value)}" aria-label="${label}">`
+        : `<input value="${escapeHTML(t('editor.imageAlternative', { description: value?.alt ?? value?.src ?? '' }))}" aria-label="${label}" disabled>`
+
+      return `
+        <div class="alternative">
+          ${marker}
+          ${input}
+          <button data-action="remove-alternative" data-key="${escapeHTML(key)}" aria-label="${escapeHTML(t('editor.removeAlternative', { number }))}">✕</button>
+        </div>
+      `
+    }).join('')
+
+    const hint = {
+      'multi-select': 'editor.hintMultiSelect',
+      ordering: 'editor.hintOrdering'
+    }[type] ?? 'editor.hintChoice'
+
+    return `
+      <fieldset>
+        <legend>${t('editor.alternatives')}</legend>
+        <p>${t(hint)}</p>
+        ${rows}
+        <button data-action="add-alternative" ${entries.length >= 10 ? 'disabled' : ''}>${t('editor.addAlternative')}</button>
+      </fieldset>
+    `
+  }
+
+  /**
+   * Renders the answer fields of a question without alternatives.
+   *
+   * @param {object} question - The question.
+   * @param {string} type - The question type.
+   * @returns {string} The HTML.
+   */
+  renderAnswer (question, type) {
+    const answer = escapeHTML(question.answer ?? '')
+
+    switch (type) {
+      case 'numeric':
+        return `
+          <label>${t('editor.answer')} <input type="number" step="any" data-field="answer" data-number value="${answer}"></label>
+          <label>${t('editor.tolerance')} <input type="number" step="any" min="0" data-field="tolerance" data-number value="${escapeHTML(question.tolerance ?? '')}" placeholder="0"></label>
+          <label>${t('editor.unit')} <input data-field="unit" value="${escapeHTML(question.unit ?? '')}"></label>
+        `
+      case 'true-false':
+        return `
+          <label>${t('editor.answer')}
+            <select data-field="answer">
+              <option value="true" ${String(question.answer) === 'true' ? 'selected' : ''}>${t('question.true')}</option>
+              <option value="false" ${String(question.answer) === 'false' ? 'selected' : ''}>${t('question.false')}</option>
+            </select>
+          </label>
+        `
+      default:
+        return `
+          <label>${t('editor.answer')} <input data-field="answer" value="${answer}"></label>
+          <label>${t('editor.accept')}
+            <textarea data-field="accept" rows="3">${escapeHTML((question.accept ?? []).join('\n'))}</textarea>
+          </label>
+        `
+    }
+  }
+
+  /**
+   * Updates the question from an edited field. The form is not rendered again, so the field
+   * keeps its focus.
+   *
+   * @param {HTMLElement} target - The edited field.
+   */
+  handleInput (target) {
+    const question = this.selectedQuestion
+
+    if (target.dataset.packField) {
+      this.pack[target.dataset.packField] = target.value
+    } else if (target.dataset.alternative !== undefined) {
+      question.alternatives[target.dataset.alternative] = target.value
+    } else if (target.dataset.position !== undefined) {
+      question.answer = this.readOrder()
+    } else if (target.dataset.field && target.dataset.field !== 'type') {
+      this.setField(question, target)
+    } else {
+      return
+    }
+
+    this.changed()
+  }
+
+  /**
+   * Handles the fields whose changes are not typed: the question type and the correct alternatives.
+   *
+   * @param {HTMLElement} target - The changed field.
+   */
+  handleChange (target) {
+    const question = this.selectedQuestion
+
+    if (target.dataset.field === 'type') {
+      this.changeType(question, target.value)
+      this.renderQuestionForm()
+    } else if (target.dataset.correct !== undefined) {
+      question.answer = effectiveType(question) === 'multi-select'
+        ? [...this.shadowRoot.querySelectorAll('input[data-correct]:checked')].map(input => input.dataset.correct)
+        : target.dataset.correct
+    } else if (target.tagName === 'SELECT' && target.dataset.field) {
+      this.setField(question, target)
+    } else {
+      return
+    }
+
+    this.changed()
+  }
+
+  /**
+   * Sets a field of a question from its input. Empty optional fields are removed.
+   *
+   * @param {object} question - The question.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input - The input of the field.
+   */
+  setField (question, input) {
+    const field = input.dataset.field
+    const value = input.value
+
+    if (field === 'question' || (field === 'answer' && !('number' in input.dataset))) {
+      question[field] = value
+    } else if (value.trim() === '' && field !== 'answer') {
+      delete question[field]
+    } else if (field === 'accept') {
+      question.accept = value.split('\n').map(line => line.trim()).filter(Boolean)
+    } else if (field === 'limit') {
+      question.limit = Number(value)
+    } else if ('number' in input.dataset) {
+      question[field] = parseNumber(value) ?? undefined
+    } else {
+      question[field] = value
+    }
+  }
+
+  /**
+   * Reads the correct order of the alternatives from their positions.
+   *
+   * @returns {string[]|null} The keys in the correct order, or null unless every alternative has its own position.
+   */
+  readOrder () {
+    const inputs = [...this.shadowRoot.querySelectorAll('input[data-position]')]
+    const positions = inputs.map(input => parseInt(input.value))
+    const valid = positions.every(position => position >= 1 && position <= inputs.length) &&
+      new Set(positions).size === inputs.length
+    if (!valid) return null
+
+    return inputs
+      .map((input, index) => ({ key: input.dataset.position, position: positions[index] }))
+      .sort((a, b) => a.position - b.position)
+      .map(({ key }) => key)
+  }
+
+  /**
+   * Changes the type of a question, keeping what still applies and resetting the answer.
+   *
+   * @param {object} question - The question.
+   * @param {string} type - The name of the new type.
+   */
+  changeType (question, type) {
+    question.type = type
+
+    if (TYPES_WITH_ALTERNATIVES.includes(type)) {
+      if (Object.keys(question.alternatives ?? {}).length < 2) {
+        question.alternatives = { alt1: '', alt2: '' }
+      }
+      const keys = Object.keys(question.alternatives)
+      question.answer = { 'multi-select': [], ordering: keys }[type]
+    } else {
+      delete question.alternatives
+      question.answer = { 'true-false': 'true', numeric: undefined }[type] ?? ''
+    }
+
+    if (type !== 'numeric') {
+      delete question.tolerance
+      delete question.unit
+    }
+    if (TYPES_WITH_ALTERNATIVES.includes(type) || ['numeric', 'true-false'].includes(type)) {
+      delete question.accept
+    }
+  }
+
+  /**
+   * Handles a click on one of the buttons of the editor.
+   *
+   * @param {string} action - The action of the button.
+   * @param {DOMStringMap} data - The data attributes of the button.
+   */
+  handleAction (action, data) {
+    const index = parseInt(data.index)
+
+    switch (action) {
+      case 'select':
+        this.selectedIndex = index
+        this.renderQuestionList()
+        this.renderQuestionForm()
+        break
+      case 'move-up':
+        this.moveQuestion(index, -1)
+        break
+      case 'move-down':
+        this.moveQuestion(index, 1)
+        break
+      case 'delete':
+        this.deleteQuestion(index)
+        break
+      case 'add-question':
+        this.addQuestion()
+        break
+      case 'add-alternative':
+        this.addAlternative()
+        break
+      case 'remove-alternative':
+        this.removeAlternative(data.key)
+        break
+      case 'preview':
+        this.previewQuestion()
+        break
+      case 'new-pack':
+        if (window.confirm(t('editor.confirmNewPack'))) {
+          this.pack = createPack()
+          this.selectedIndex = 0
+          this.render()
+          this.changed()
+        }
+        break
+      case 'import':
+        this.shadowRoot.querySelector('#import-file').click()
+        break
+      case 'export':
+        this.exportPack()
+        break
+    }
+  }
+
+  /**
+   * Adds an empty text question after the others and selects it.
+   */
+  addQuestion () {
+    const id = Math.max(0, ...this.pack.questions.map(question => Number(question.id) || 0)) + 1
+    this.pack.questions.push({ id, type: 'text', question: '', answer: '' })
+    this.selectedIndex = this.pack.questions.length - 1
+    this.renderQuestionList()
+    this.renderQuestionForm()
+    this.shadowRoot.querySelector('#question-text').focus()
+    this.changed()
+  }
+
+  /**
+   * Moves a question up or down, keeping it selected if it was.
+   *
+   * @param {number} index - The position of the question.
+   * @param {number} offset - -1 to move it up, 1 to move it down.
+   */
+  moveQuestion (index, offset) {
+    const target = index + offset
+    if (target < 0 || target >= this.pack.questions.length) return
+
+    const [question] = this.pack.questions.splice(index, 1)
+    this.pack.questions.splice(target, 0, question)
+    if (this.selectedIndex === index) {
+      this.selectedIndex = target
+    } else if (this.selectedIndex === target) {
+      this.selectedIndex = index
+    }
+
+    this.renderQuestionList()
+    this.renderQuestionForm()
+    this.shadowRoot.querySelector(`[data-action="${offset < 0 ? 'move-up' : 'move-down'}"][data-index="${target}"]:not(:disabled)`)?.focus()
+    this.changed()
+  }
+
+  /**
+   * Deletes a question after asking for confirmation.
+   *
+   * @param {number} index - The position of the question.
+   */
+  deleteQuestion (index) {
+    if (!window.confirm(t('editor.confirmDelete', { number: index + 1 }))) return
+
+    this.pack.questions.splice(index, 1)
+    this.selectedIndex = Math.min(this.selectedIndex, this.pack.questions.length - 1)
+    if (index < this.selectedIndex) {
+      this.selectedIndex -= 1
+    }
+    this.selectedIndex = Math.max(this.selectedIndex, 0)
+
+    this.renderQuestionList()
+    this.renderQuestionForm()
+    this.changed()
+  }
+
+  /**
+   * Adds an empty alternative to the selected question.
+   */
+  addAlternative () {
+    const question = this.selectedQuestion
+    question.alternatives ??= {}
+
+    let number = Object.keys(question.alternatives).length + 1
+    while (`alt${number}` in question.alternatives) {
+      number += 1
+    }
+    question.alternatives[`alt${number}`] = ''
+    if (effectiveType(question) === 'ordering') {
+      question.answer = null
+    }
+
+    this.renderQuestionForm()
+    this.shadowRoot.querySelector(`input[data-alternative="alt${number}"]`)?.focus()
+    this.changed()
+  }
+
+  /**
+   * Removes an alternative from the selected question, and from its answer.
+   *
+   * @param {string} key - The key of the alternative.
+   */
+  removeAlternative (key) {
+    const question = this.selectedQuestion
+    delete question.alternatives[key]
+
+    if (Array.isArray(question.answer)) {
+      question.answer = question.answer.filter(answerKey => answerKey !== key)
+    } else if (question.answer === key) {
+      delete question.answer
+    }
+
+    this.renderQuestionForm()
+    this.changed()
+  }
+
+  /**
+   * Shows the selected question in the preview, as a player would see it.
+   */
+  previewQuestion () {
+    const question = this.selectedQuestion
+    const verdict = this.shadowRoot.querySelector('#preview-verdict')
+    if (!question || !question.question?.trim()) {
+      localize(verdict, 'editor.writeTextFirst')
+      return
+    }
+
+    verdict.removeAttribute('data-i18n')
+    verdict.textContent = ''
+    try {
+      this.shadowRoot.querySelector('quiz-question').setQuestion(withoutAnswer(question))
+    } catch (error) {
+      localize(verdict, 'editor.cannotPreview', { reason: error.message })
+    }
+  }
+
+  /**
+   * Checks an answer given in the preview and shows the verdict.
+   *
+   * @param {*} answer - The answer.
+   */
+  showPreviewVerdict (answer) {
+    const verdict = this.shadowRoot.querySelector('#preview-verdict')
+    verdict.removeAttribute('data-i18n')
+    try {
+      verdict.textContent = verdictMessage(evaluateAnswer(this.selectedQuestion, answer))
+    } catch (error) {
+      verdict.textContent = error.message
+    }
+  }
+
+  /**
+   * Updates the errors and the question list after an edit, and schedules saving the draft.
+   */
+  changed () {
+    this.updateErrors()
+    this.scheduleSave()
+  }
+
+  /**
+   * Shows the errors of the selected question and marks the invalid questions in the list.
+   */
+  updateErrors () {
+    const types = questionTypes.names
+
+    this.shadowRoot.querySelectorAll('#question-list .select').forEach(button => {
+      const question = this.pack.questions[button.dataset.index]
+      const text = question.question?.trim() || t('editor.noText')
+      button.textContent = `${Number(button.dataset.index) + 1}. ${text}`
+      button.title = text
+      button.classList.toggle('invalid', packQuestionErrors(question, { types }).length > 0)
+    })
+
+    const list = this.shadowRoot.querySelector('#question-errors')
+    if (list && this.selectedQuestion) {
+      list.replaceChildren(...packQuestionErrors(this.selectedQuestion, { types }).map(error => {
+        const item = document.createElement('li')
+        item.textContent = describeError(error)
+        return item
+      }))
+    }
+
+    this.packErrorReport = null
+    this.shadowRoot.querySelector('#pack-errors').replaceChildren()
+  }
+
+  /**
+   * Saves the draft half a second after the last edit.
+   */
+  scheduleSave () {
+    clearTimeout(this.saveTimeoutId)
+    this.saveTimeoutId = setTimeout(() => this.saveDraft(), 500)
+  }
+
+  /**
+   * Saves the pack being edited as the draft.
+   */
+  saveDraft () {
+    clearTimeout(this.saveTimeoutId)
+    this.saveTimeoutId = null
+
+    try {
+      localStorage.setItem(this.draftKey, JSON.stringify(this.pack))
+      this.setStatus('editor.draftSaved', { time: formatDate(new Date(), { timeStyle: 'medium' }) })
+    } catch (error) {
+      console.error('Could not save the draft.', error)
+      this.setStatus('editor.draftNotSaved')
+    }
+  }
+
+  /**
+   * Loads the saved draft.
+   *
+   * @returns {object|null} The quiz pack of the draft, or null if there is none.
+   */
+  loadDraft () {
+    try {
+      const pack = JSON.parse(localStorage.getItem(this.draftKey))
+      return pack && Array.isArray(pack.questions) ? pack : null
+    } catch (error) {
+      console.error('Could not read the draft.', error)
+      return null
+    }
+  }
+
+  /**
+   * Shows a status message next to the pack fields.
+   *
+   * @param {string} key - The message key.
+   * @param {object} [params] - The parameters of the message.
+   */
+  setStatus (key, params) {
+    localize(this.shadowRoot.querySelector('#status'), key, params)
+  }
+
+  /**
+   * Shows errors of the whole pack below the editor, and keeps them so that they can be shown
+   * again in another locale.
+   *
+   * @param {import('../../lib/i18n.js').Message} heading - What the errors prevent.
+   * @param {object[]} errors - The errors, see packErrors() in question-format.js.
+   */
+  showPackErrors (heading, errors) {
+    this.packErrorReport = { heading, errors }
+    this.shadowRoot.querySelector('#pack-errors').replaceChildren(...[t(heading.key, heading.params), ...errors.map(describeError)].map(text => {
+      const item = document.createElement('li')
+      item.textContent = text
+      return item
+    }))
+  }
+
+  /**
+   * Downloads the pack as a JSON file, unless it has errors, which are shown instead.
+   */
+  exportPack () {
+    const errors = packErrors(this.pack, { types: questionTypes.names })
+    if (errors.length > 0) {
+      this.showPackErrors({ key: 'editor.fixBeforeExport' }, errors)
+      return
+    }
+
+    const url = URL.createObjectURL(new Blob([`${JSON.stringify(this.pack, null, 2)}\n`], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${this.pack.id}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+    this.setStatus('editor.exported', { file: link.download })
+  }
+
+  /**
+   * Replaces the pack with a quiz pack read from a JSON file. A pack with errors is opened so
+   * that they can be fixed, and the errors are shown.
+   *
+   * @param {File} file - The file.
+   * @returns {Promise<void>} A promise that resolves when the file has been read.
+   */
+  async importPack (file) {
+    let pack
+    try {
+      pack = JSON.parse(await file.text())
+    } catch (error) {
+      console.error(`Could not read ${file.name}.`, error)
+      this.showPackErrors({ key: 'editor.notJSON', params: { file: file.name } }, [])
+      return
+    }
+    if (!pack || typeof pack !== 'object' || !Array.isArray(pack.questions)) {
+      this.showPackErrors({ key: 'editor.notAPack', params: { file: file.name } }, [{ key: 'format.noQuestionList' }])
+      return
+    }
+
+    this.pack = { id: pack.id ?? '', title: pack.title ?? '', ...(pack.timing !== undefined && { timing: pack.timing }), ...(pack.scoring !== undefined && { scoring: pack.scoring }), questions: pack.questions }
+    this.selectedIndex = 0
+    this.render()
+    this.saveDraft()
+    this.setStatus('editor.imported', { count: pack.questions.length, file: file.name })
+
+    const errors = packErrors(this.pack, { types: questionTypes.names })
+    if (errors.length > 0) {
+      this.showPackErrors({ key: 'editor.importErrors' }, errors)
+    }
+  }
+}
+
+customElements.define('quiz-editor', QuizEditor)
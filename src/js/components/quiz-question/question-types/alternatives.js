@@ -0,0 +1,117 @@
+/**
+ * Helpers for the question types that show a list of alternatives.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { toImage } from '../../../lib/question-media.js'
+import { t, localize } from '../../../lib/i18n.js'
+
+/**
+ * Returns the text of an alternative, which is the alt text of an image alternative.
+ *
+ * @param {string|object} alternative - The alternative.
+ * @returns {string} The text.
+ */
+export function alternativeText (alternative) {
+  return typeof alternative === 'object' && alternative !== null ? String(alternative.alt ?? t('question.imageAlternative')) : String(alternative)
+}
+
+/**
+ * Creates an image. It is loaded eagerly, since the timer of the question waits for it, and a
+ * lazy image outside the viewport would not load until the media timeout has passed.
+ *
+ * @param {{src: string, alt: string}} image - The image.
+ * @returns {HTMLImageElement} The image element.
+ */
+export function createImage ({ src, alt }) {
+  const img = document.createElement('img')
+  img.setAttribute('loading', 'eager')
+  img.setAttribute('decoding', 'async')
+  img.setAttribute('alt', alt)
+  img.setAttribute('src', src)
+  return img
+}
+
+/**
+ * Creates the content of an alternative's label: its image, or its text.
+ *
+ * @param {string|object} alternative - The alternative.
+ * @param {number} index - The position of the alternative, for the fallback alt text.
+ * @returns {Node} The image or the text.
+ */
+export function createAlternativeContent (alternative, index) {
+  const image = typeof alternative === 'object' && alternative !== null ? toImage(alternative, t('question.alternativeImage', { number: index + 1 })) : null
+  return image ? createImage(image) : document.createTextNode(alternativeText(alternative))
+}
+
+/**
+ * Creates a number badge for the keyboard shortcut of an alternative, hidden from screen readers.
+ *
+ * @param {number} index - The position of the alternative.
+ * @returns {HTMLSpanElement} The badge.
+ */
+export function createShortcut (index) {
+  const shortcut = document.createElement('span')
+  shortcut.className = 'shortcut'
+  shortcut.setAttribute('aria-hidden', 'true')
+  shortcut.textContent = index + 1
+  return shortcut
+}
+
+/**
+ * Renders a list of radio buttons or checkboxes, one for each alternative, in a form with a
+ * submit button. Each input is named 'answer' and has the key of its alternative as value.
+ *
+ * @param {{[key: string]: (string|object)}} alternatives - The alternatives.
+ * @param {object} options - The list options.
+ * @param {string} options.inputType - Either 'radio' or 'checkbox'.
+ * @param {string} options.role - The ARIA role of the form, 'radiogroup' or 'group'.
+ * @param {Function} options.submit - Called when the submit button is clicked.
+ * @returns {HTMLFormElement} The form.
+ */
+export function createChoiceForm (alternatives, { inputType, role, submit }) {
+  const formElement = document.createElement('form')
+  formElement.setAttribute('id', 'options-form')
+  formElement.setAttribute('role', role)
+  formElement.setAttribute('aria-labelledby', 'question-container')
+
+  for (const [index, [key, value]] of Object.entries(alternatives).entries()) {
+    const wrapper = document.createElement('div')
+    wrapper.setAttribute('part', 'option')
+
+    const input = document.createElement('input')
+    input.setAttribute('type', inputType)
+    input.setAttribute('name', 'answer')
+    input.setAttribute('value', key)
+    input.setAttribute('id', `option-${key}`)
+
+    const label = document.createElement('label')
+    label.setAttribute('for', `option-${key}`)
+    label.append(createShortcut(index), createAlternativeContent(value, index))
+
+    wrapper.append(input, label)
+    formElement.appendChild(wrapper)
+  }
+
+  const submitButton = document.createElement('button')
+  submitButton.setAttribute('part', 'button')
+  localize(submitButton, 'question.submit')
+  submitButton.addEventListener('click', (event) => {
+    event.preventDefault()
+    submit()
+  })
+  formElement.appendChild(submitButton)
+
+  return formElement
+}
+
+/**
+ * Describes the alternatives for screen readers, with their numbers.
+ *
+ * @param {{[key: string]: (string|object)}} alternatives - The alternatives.
+ * @returns {string} The description.
+ */
+export function describeAlternatives (alternatives) {
+  return Object.values(alternatives).map((alternative, index) => `${index + 1}: ${alternativeText(alternative)}.`).join(' ')
+}
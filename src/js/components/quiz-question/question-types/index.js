@@ -0,0 +1,130 @@
+/**
+ * Question types tell the quiz question how to show the inputs of a question and how to read
+ * its answer. The type of a question is named by its 'type' field; a question without one, as
+ * served by the courselab API, is multiple choice if it has 2–10 alternatives and text otherwise.
+ *
+ * Third-party question types are registered on the registry, either by importing it or through
+ * the quiz question element, e.g. customElements.get('quiz-question').questionTypes.register(type).
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * A question type.
+ *
+ * @typedef {object} QuestionType
+ * @property {string} name - The name of the type, as used in the 'type' field of questions.
+ * @property {function(object, QuestionTypeContext): QuestionView} render - Renders the inputs of a question.
+ * @property {function(object): boolean} [matches] - Optional. Tells whether a question without a 'type' field is of this type. Types registered later are asked first.
+ * @property {string} [styles] - Optional. CSS for the inputs, added to the shadow root of the quiz question.
+ */
+
+/**
+ * What a question type can do with the quiz question it renders in.
+ *
+ * @typedef {object} QuestionTypeContext
+ * @property {Function} submit - Reads the answer of the view and dispatches it, unless it is null.
+ * @property {function(string): void} announce - Announces a text to screen readers.
+ * @property {function(): boolean} isDisabled - Tells whether the inputs are locked.
+ */
+
+/**
+ * The rendered inputs of a question.
+ *
+ * @typedef {object} QuestionView
+ * @property {HTMLElement} element - The inputs of the question. Inputs and buttons in it are disabled while the question is locked.
+ * @property {function(): *} getAnswer - Returns the answer value, or null if there is no answer to submit yet. The value is posted to the question source as it is, so it must survive JSON.
+ * @property {string} instructions - How to answer, announced to screen readers with the question.
+ * @property {HTMLElement} [focusTarget] - Optional. The element to focus when the question is shown, instead of the question text.
+ * @property {function(KeyboardEvent): boolean} [handleKeydown] - Optional. Handles a key pressed in the quiz question, and tells whether it was handled.
+ * @property {function(string[]): void} [hideAlternatives] - Optional. Hides alternatives, for the 50/50 lifeline, which is only offered for views that have it.
+ */
+import { text } from './text.js'
+import { multipleChoice } from './multiple-choice.js'
+import { multiSelect } from './multi-select.js'
+import { ordering } from './ordering.js'
+import { numeric } from './numeric.js'
+import { trueFalse } from './true-false.js'
+
+/**
+ * A registry of question types.
+ *
+ * @class
+ */
+export class QuestionTypeRegistry {
+  /**
+   * The types, by name, in the order they were registered.
+   *
+   * @type {Map<string, QuestionType>}
+   */
+  #types = new Map()
+
+  /**
+   * Registers a question type, replacing a type of the same name.
+   *
+   * @param {QuestionType} type - The question type.
+   * @throws {TypeError} If the type has no name or no render function.
+   */
+  register (type) {
+    if (typeof type?.name !== 'string' || type.name === '' || typeof type.render !== 'function') {
+      throw new TypeError('A question type needs a name and a render function.')
+    }
+
+    this.#types.delete(type.name)
+    this.#types.set(type.name, type)
+  }
+
+  /**
+   * Returns a registered question type.
+   *
+   * @param {string} name - The name of the type.
+   * @returns {QuestionType|null} The type, or null if there is none with that name.
+   */
+  get (name) {
+    return this.#types.get(name) ?? null
+  }
+
+  /**
+   * The names of the registered types.
+   *
+   * @type {string[]}
+   */
+  get names () {
+    return [...this.#types.keys()]
+  }
+
+  /**
+   * Finds the type of a question, by its 'type' field or else by asking the types that can
+   * tell, the last registered first. An unknown 'type' is treated like a missing one.
+   *
+   * @param {object} question - The question payload.
+   * @returns {QuestionType} The type.
+   * @throws {Error} If no type matches the question.
+   */
+  resolve (question) {
+    if (question.type !== undefined) {
+      const type = this.get(question.type)
+      if (type) return type
+
+      console.error(`Unknown question type '${question.type}', guessing from the question instead.`)
+    }
+
+    const type = [...this.#types.values()].reverse().find(type => type.matches?.(question))
+    if (!type) {
+      throw new Error('No question type matches the question.')
+    }
+    return type
+  }
+}
+
+/**
+ * The question types of the application, with the built-in types registered.
+ *
+ * @type {QuestionTypeRegistry}
+ */
+export const questionTypes = new QuestionTypeRegistry()
+
+for (const type of [text, multipleChoice, multiSelect, ordering, numeric, trueFalse]) {
+  questionTypes.register(type)
+}
@@ -0,0 +1,58 @@
+/**
+ * The multi-select question type: any number of 2–10 alternatives are chosen with checkboxes.
+ *
+ * The answer is the list of the keys of the chosen alternatives, in the order of the alternatives.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { createChoiceForm, describeAlternatives } from './alternatives.js'
+import { handleChoiceKeydown } from './multiple-choice.js'
+import { t } from '../../../lib/i18n.js'
+
+/**
+ * The multi-select question type.
+ *
+ * @type {import('./index.js').QuestionType}
+ */
+export const multiSelect = {
+  name: 'multi-select',
+
+  /**
+   * Renders the alternatives as checkboxes.
+   *
+   * @param {object} question - The question payload.
+   * @param {import('./index.js').QuestionTypeContext} context - The context of the quiz question.
+   * @returns {import('./index.js').QuestionView} The view.
+   */
+  render (question, { submit }) {
+    const alternatives = question.alternatives ?? {}
+    const formElement = createChoiceForm(alternatives, { inputType: 'checkbox', role: 'group', submit })
+
+    return {
+      element: formElement,
+      instructions: t('question.multiSelectInstructions', {
+        alternatives: describeAlternatives(alternatives),
+        last: Math.min(Object.keys(alternatives).length, 9)
+      }),
+
+      /**
+       * Returns the keys of the chosen alternatives.
+       *
+       * @returns {string[]|null} The keys, or null if none is chosen.
+       */
+      getAnswer: () => {
+        const keys = [...formElement.querySelectorAll('input[name="answer"]:checked')].map(input => input.value)
+        return keys.length > 0 ? keys : null
+      },
+
+      /**
+       * Handles the keyboard shortcuts.
+       *
+       * @param {KeyboardEvent} event - The keydown event.
+       * @returns {boolean} True if the key was handled.
+       */
+      handleKeydown: (event) => handleChoiceKeydown(formElement, event, submit)
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * The multiple-choice question type: one of 2–10 alternatives is chosen with a radio button.
+ *
+ * A question without a 'type' field is of this type when it has 2–10 alternatives.
+ * The answer is the key of the chosen alternative.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { createChoiceForm, describeAlternatives } from './alternatives.js'
+import { t } from '../../../lib/i18n.js'
+
+/**
+ * Tells whether a question has a list of alternatives that can be shown.
+ *
+ * @param {object} question - The question payload.
+ * @returns {boolean} True if it has 2–10 alternatives.
+ */
+export function hasAlternatives (question) {
+  const count = question.alternatives && typeof question.alternatives === 'object' ? Object.keys(question.alternatives).length : 0
+  return count >= 2 && count <= 10
+}
+
+/**
+ * Handles the keyboard shortcuts of a choice form: the number keys select the alternative with
+ * that number, or toggle it for checkboxes, and Enter submits the answer.
+ *
+ * @param {HTMLFormElement} formElement - The form.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @param {Function} submit - Submits the answer.
+ * @returns {boolean} True if the key was handled.
+ */
+export function handleChoiceKeydown (formElement, event, submit) {
+  if (event.altKey || event.ctrlKey || event.metaKey) return false
+
+  const inputs = [...formElement.querySelectorAll('input[name="answer"]')]
+
+  if (/^[1-9]$/.test(event.key)) {
+    const input = inputs[parseInt(event.key) - 1]
+    if (!input || input.parentElement.hidden) return false
+
+    event.preventDefault()
+    input.checked = input.type === 'checkbox' ? !input.checked : true
+    input.focus()
+    return true
+  }
+  if (event.key === 'Enter') {
+    event.preventDefault()
+    submit()
+    return true
+  }
+  return false
+}
+
+/**
+ * The multiple-choice question type.
+ *
+ * @type {import('./index.js').QuestionType}
+ */
+export const multipleChoice = {
+  name: 'multiple-choice',
+
+  /**
+   * Tells whether a question without a 'type' field is a multiple-choice question.
+   *
+   * @param {object} question - The question payload.
+   * @returns {boolean} True if it has 2–10 alternatives.
+   */
+  matches: hasAlternatives,
+
+  /**
+   * Renders the alternatives as radio buttons.
+   *
+   * @param {object} question - The question payload.
+   * @param {import('./index.js').QuestionTypeContext} context - The context of the quiz question.
+   * @returns {import('./index.js').QuestionView} The view.
+   */
+  render (question, { submit }) {
+    const alternatives = question.alternatives ?? {}
+    const formElement = createChoiceForm(alternatives, { inputType: 'radio', role: 'radiogroup', submit })
+
+    return {
+      element: formElement,
+      instructions: t('question.choiceInstructions', {
+        alternatives: describeAlternatives(alternatives),
+        last: Math.min(Object.keys(alternatives).length, 9)
+      }),
+
+      /**
+       * Returns the key of the chosen alternative.
+       *
+       * @returns {string|null} The key, or null if none is chosen.
+       */
+      getAnswer: () => formElement.querySelector('input[name="answer"]:checked')?.value ?? null,
+
+      /**
+       * Handles the keyboard shortcuts.
+       *
+       * @param {KeyboardEvent} event - The keydown event.
+       * @returns {boolean} True if the key was handled.
+       */
+      handleKeydown: (event) => handleChoiceKeydown(formElement, event, submit),
+
+      /**
+       * Hides alternatives, so they cannot be chosen.
+       *
+       * @param {string[]} keys - The keys of the alternatives to hide.
+       */
+      hideAlternatives: (keys) => {
+        formElement.querySelectorAll('input[name="answer"]').forEach(input => {
+          if (keys.includes(input.value)) {
+            input.checked = false
+            input.parentElement.hidden = true
+          }
+        })
+      }
+    }
+  }
+}
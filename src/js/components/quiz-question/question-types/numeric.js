@@ -0,0 +1,75 @@
+/**
+ * The numeric question type: a number is typed into a text field.
+ *
+ * An answer within the 'tolerance' field of the correct answer is accepted, and a 'unit' field
+ * is shown next to the field. Both a decimal point and a decimal comma are understood.
+ * The answer is the number.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { createAnswerField } from './text.js'
+import { parseNumber } from '../../../lib/answer-evaluator.js'
+import { t, localize } from '../../../lib/i18n.js'
+
+/**
+ * The numeric question type.
+ *
+ * @type {import('./index.js').QuestionType}
+ */
+export const numeric = {
+  name: 'numeric',
+
+  /**
+   * Renders a number field, with the unit and the tolerance.
+   *
+   * @param {object} question - The question payload.
+   * @param {import('./index.js').QuestionTypeContext} context - The context of the quiz question.
+   * @returns {import('./index.js').QuestionView} The view.
+   */
+  render (question, { submit, announce }) {
+    const { element, input } = createAnswerField({ placeholder: 'question.numberPlaceholder', submit, inputMode: 'decimal' })
+
+    const unit = typeof question.unit === 'string' ? question.unit : ''
+    if (unit !== '') {
+      const unitElement = document.createElement('span')
+      unitElement.className = 'unit'
+      unitElement.textContent = unit
+      input.after(unitElement)
+    }
+
+    const tolerance = Number(question.tolerance)
+    const instructions = [unit ? t('question.numberUnitInstructions', { unit }) : t('question.numberInstructions')]
+    if (tolerance > 0) {
+      const hint = document.createElement('p')
+      hint.className = 'hint'
+      localize(hint, 'question.tolerance', { tolerance })
+      element.appendChild(hint)
+      instructions.push(hint.textContent)
+    }
+
+    input.addEventListener('input', () => {
+      input.removeAttribute('aria-invalid')
+    })
+
+    return {
+      element,
+      instructions: instructions.join(' '),
+      focusTarget: input,
+
+      /**
+       * Returns the typed number. A text that is not a number is marked invalid.
+       *
+       * @returns {number|null} The number, or null if none is typed.
+       */
+      getAnswer: () => {
+        const answer = parseNumber(input.value)
+        if (answer === null) {
+          input.setAttribute('aria-invalid', 'true')
+          announce(t('question.numberInvalid'))
+        }
+        return answer
+      }
+    }
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * The ordering question type: the alternatives are put in the right order.
+ *
+ * Items are moved by dragging them, with their up and down buttons, or with Alt+ArrowUp and
+ * Alt+ArrowDown while an item has focus; ArrowUp and ArrowDown move the focus between items.
+ * The answer is the list of the keys of the alternatives, in the chosen order.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { alternativeText, createAlternativeContent } from './alternatives.js'
+import { t, localize } from '../../../lib/i18n.js'
+
+/**
+ * The ordering question type.
+ *
+ * @type {import('./index.js').QuestionType}
+ */
+export const ordering = {
+  name: 'ordering',
+
+  /**
+   * Renders the alternatives as a list that can be reordered.
+   *
+   * @param {object} question - The question payload.
+   * @param {import('./index.js').QuestionTypeContext} context - The context of the quiz question.
+   * @returns {import('./index.js').QuestionView} The view.
+   */
+  render (question, { submit, announce, isDisabled }) {
+    const alternatives = question.alternatives ?? {}
+    const container = document.createElement('div')
+    container.setAttribute('id', 'ordering-container')
+
+    const list = document.createElement('ol')
+    list.setAttribute('id', 'ordering-list')
+    list.setAttribute('aria-labelledby', 'question-container')
+
+    /**
+     * Returns the items of the list, in their current order.
+     *
+     * @returns {HTMLLIElement[]} The items.
+     */
+    const items = () => [...list.children]
+
+    /**
+     * Moves an item up or down and announces its new position.
+     *
+     * @param {HTMLLIElement} item - The item to move.
+     * @param {number} offset - -1 to move it up, 1 to move it down.
+     */
+    const move = (item, offset) => {
+      if (isDisabled()) return
+
+      const sibling = offset < 0 ? item.previousElementSibling : item.nextElementSibling
+      if (!sibling) return
+
+      if (offset < 0) {
+        sibling.before(item)
+      } else {
+        sibling.after(item)
+      }
+      item.focus()
+      announce(t('question.moved', { item: item.dataset.text, position: items().indexOf(item) + 1, total: items().length }))
+    }
+
+    let dragged = null
+
+    for (const [index, [key, value]] of Object.entries(alternatives).entries()) {
+      const item = document.createElement('li')
+      item.dataset.key = key
+      item.dataset.text = alternativeText(value)
+      item.setAttribute('tabindex', '0')
+      item.setAttribute('draggable', 'true')
+
+      const content = document.createElement('span')
+      content.className = 'item-content'
+      content.appendChild(createAlternativeContent(value, index))
+
+      const upButton = document.createElement('button')
+      upButton.type = 'button'
+      upButton.textContent = '▲'
+      localize(upButton, 'question.moveUp', { item: item.dataset.text }, 'aria-label')
+      upButton.addEventListener('click', () => move(item, -1))
+
+      const downButton = document.createElement('button')
+      downButton.type = 'button'
+      downButton.textContent = '▼'
+      localize(downButton, 'question.moveDown', { item: item.dataset.text }, 'aria-label')
+      downButton.addEventListener('click', () => move(item, 1))
+
+      item.append(content, upButton, downButton)
+
+      item.addEventListener('dragstart', (event) => {
+        if (isDisabled()) {
+          event.preventDefault()
+          return
+        }
+        dragged = item
+        item.classList.add('dragging')
+        event.dataTransfer?.setData('text/plain', key)
+      })
+      item.addEventListener('dragend', () => {
+        dragged = null
+        item.classList.remove('dragging')
+      })
+      item.addEventListener('dragover', (event) => {
+        if (dragged && dragged !== item) event.preventDefault()
+      })
+      item.addEventListener('drop', (event) => {
+        event.preventDefault()
+        if (!dragged || dragged === item) return
+
+        if (items().indexOf(dragged) < items().indexOf(item)) {
+          item.after(dragged)
+        } else {
+          item.before(dragged)
+        }
+        announce(t('question.moved', { item: dragged.dataset.text, position: items().indexOf(dragged) + 1, total: items().length }))
+      })
+
+      list.appendChild(item)
+    }
+
+    const submitButton = document.createElement('button')
+    submitButton.setAttribute('id', 'submit-order')
+    submitButton.setAttribute('part', 'button')
+    localize(submitButton, 'question.submit')
+    submitButton.addEventListener('click', (event) => {
+      event.preventDefault()
+      submit()
+    })
+
+    container.append(list, submitButton)
+
+    return {
+      element: container,
+      instructions: t('question.orderingInstructions', {
+        items: items().map((item, index) => `${index + 1}: ${item.dataset.text}.`).join(' ')
+      }),
+      focusTarget: list.firstElementChild,
+
+      /**
+       * Returns the keys of the items in the chosen order.
+       *
+       * @returns {string[]} The keys.
+       */
+      getAnswer: () => items().map(item => item.dataset.key),
+
+      /**
+       * Moves items and the focus with the arrow keys, and submits with Enter.
+       *
+       * @param {KeyboardEvent} event - The keydown event.
+       * @returns {boolean} True if the key was handled.
+       */
+      handleKeydown: (event) => {
+        const item = event.composedPath().find(target => target instanceof HTMLLIElement && target.parentElement === list)
+        if (!item || event.ctrlKey || event.metaKey) return false
+
+        if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+          event.preventDefault()
+          if (event.altKey) {
+            move(item, event.key === 'ArrowUp' ? -1 : 1)
+          } else {
+            (event.key === 'ArrowUp' ? item.previousElementSibling : item.nextElementSibling)?.focus()
+          }
+          return true
+        }
+        if (event.key === 'Enter' && event.target === item) {
+          event.preventDefault()
+          submit()
+          return true
+        }
+        return false
+      }
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * The text question type: the answer is typed into a text field.
+ *
+ * A question without a 'type' field is of this type when it has no alternatives to show.
+ * The answer is the trimmed text.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { t, localize } from '../../../lib/i18n.js'
+
+/**
+ * Creates an answer field with a submit button. Enter in the field submits the answer too.
+ *
+ * @param {object} options - The field options.
+ * @param {string} options.placeholder - The message key of the placeholder of the field.
+ * @param {Function} options.submit - Submits the answer.
+ * @param {string} [options.inputMode] - The virtual keyboard to show, see the inputmode attribute.
+ * @returns {{element: HTMLDivElement, input: HTMLInputElement}} The container and the field.
+ */
+export function createAnswerField ({ placeholder, submit, inputMode }) {
+  const container = document.createElement('div')
+  container.setAttribute('id', 'input-container')
+
+  const input = document.createElement('input')
+  input.setAttribute('type', 'text')
+  input.setAttribute('id', 'answer-input')
+  input.setAttribute('part', 'input')
+  localize(input, placeholder, {}, 'placeholder')
+  localize(input, 'question.yourAnswer', {}, 'aria-label')
+  input.setAttribute('aria-describedby', 'question-container')
+  if (inputMode) {
+    input.setAttribute('inputmode', inputMode)
+  }
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault()
+      submit()
+    }
+  })
+
+  const button = document.createElement('button')
+  button.setAttribute('part', 'button')
+  localize(button, 'question.submit')
+  button.addEventListener('click', (event) => {
+    event.preventDefault()
+    submit()
+  })
+
+  container.append(input, button)
+  return { element: container, input }
+}
+
+/**
+ * The text question type.
+ *
+ * @type {import('./index.js').QuestionType}
+ */
+export const text = {
+  name: 'text',
+
+  /**
+   * Tells whether a question without a 'type' field is a text question. Any question can be
+   * answered with text, so this is the last resort.
+   *
+   * @returns {boolean} Always true.
+   */
+  matches: () => true,
+
+  /**
+   * Renders a text field.
+   *
+   * @param {object} question - The question payload.
+   * @param {import('./index.js').QuestionTypeContext} context - The context of the quiz question.
+   * @returns {import('./index.js').QuestionView} The view.
+   */
+  render (question, { submit }) {
+    const { element, input } = createAnswerField({ placeholder: 'question.textPlaceholder', submit })
+
+    return {
+      element,
+      instructions: t('question.textInstructions'),
+      focusTarget: input,
+
+      /**
+       * Returns the typed answer.
+       *
+       * @returns {string} The trimmed text.
+       */
+      getAnswer: () => input.value.trim()
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * The true/false question type: a statement is judged true or false.
+ *
+ * The labels can be changed with a 'labels' field, { true, false }; by default they are in the
+ * current locale. The answer is 'true' or 'false'.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { multipleChoice } from './multiple-choice.js'
+import { t } from '../../../lib/i18n.js'
+
+/**
+ * The true/false question type, shown as a multiple-choice question with two alternatives.
+ *
+ * @type {import('./index.js').QuestionType}
+ */
+export const trueFalse = {
+  name: 'true-false',
+
+  /**
+   * Renders the two alternatives as radio buttons.
+   *
+   * @param {object} question - The question payload.
+   * @param {import('./index.js').QuestionTypeContext} context - The context of the quiz question.
+   * @returns {import('./index.js').QuestionView} The view.
+   */
+  render (question, context) {
+    const { hideAlternatives, ...view } = multipleChoice.render({
+      ...question,
+      alternatives: {
+        true: question.labels?.true ?? t('question.true'),
+        false: question.labels?.false ?? t('question.false')
+      }
+    }, context)
+    return view
+  }
+}
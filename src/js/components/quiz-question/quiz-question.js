@@ -1,12 +1,36 @@
+import { renderRichText } from '../../lib/rich-text.js'
+import { hasLoadingMedia, toAudio, toCode, toImage } from '../../lib/question-media.js'
+import { questionTypes } from './question-types/index.js'
+import { createImage } from './question-types/alternatives.js'
+import { questionFormatErrors } from '../../lib/question-format.js'
+import { t, localize, translate } from '../../lib/i18n.js'
+
 /**
  * Represents a quiz question component.
  * This component is a custom HTML element that displays a quiz question and its possible answers.
- * It supports both multiple-choice questions and text input questions.
+ * How the answer is given depends on the question type, see question-types/index.js: the
+ * built-in types are text, multiple choice, multi-select, ordering, numeric and true/false, and
+ * more can be registered through the static 'questionTypes' registry.
+ * While the 'disabled' attribute is present, the inputs are locked and no answers are dispatched.
+ *
+ * The question text is untrusted and rendered with the safe markup subset of rich-text.js:
+ * bold, italics, inline code and fenced code blocks. Alternatives are shown as plain text, or as
+ * images with alt text.
+ *
+ * A question may come with an image, an audio clip and a code snippet, see question-media.js.
+ * Images are loaded eagerly. The answer inputs stay locked until the media has loaded, or failed to
+ * load, or the 'media-timeout' attribute (milliseconds, default 10000) has passed; then a
+ * 'media-loaded' event is dispatched, which the countdown timer waits for.
+ *
+ * The quiz can be played with the keyboard alone: the number keys 1–9 select an alternative and
+ * Enter submits the answer, and each question type handles its own keys. When a new question is
+ * set, focus moves to it and a live region announces it to screen readers.
  *
  * @class
  * @augments HTMLElement
  * @property {number} score - The current score of the quiz.
  * @property {object | null} currentQuestion - The current question being displayed.
+ * @property {object | null} view - The inputs of the current question, see QuestionView in question-types/index.js.
  * @function connectedCallback - Called when the element is added to the DOM. Sets up event listeners and renders the initial state.
  * @function render - Renders the HTML structure and styles for the component.
  * @function setQuestion - Sets the current question and updates the display with the question and its options.
@@ -14,10 +38,10 @@
  * @function validateQuestionFormat - Validates the format of the question object.
  * @param {object} question - The question object to validate.
  * @returns {boolean} - Returns true if the question format is valid, false otherwise.
- * @function renderQuestion - Renders the current question and its options.
- * @function handleAnswerClick - Handles the click event when an answer is selected.
- * @param {Event} event - The event object from the click event.
- * @function handleTextAnswer - Handles the submission of a text answer.
+ * @function waitForMedia - Waits until the media of the current question has loaded.
+ * @function hideAlternatives - Hides alternatives of a multiple-choice question, for the 50/50 lifeline.
+ * @function canHideAlternatives - Tells whether alternatives of the current question can be hidden.
+ * @function handleAnswerClick - Dispatches the answer of the current question.
  */
 class QuizQuestion extends HTMLElement {
   /**
@@ -29,12 +53,68 @@ class QuizQuestion extends HTMLElement {
     this.attachShadow({ mode: 'open' })
     this.score = 0
     this.currentQuestion = null
+    this.view = null
+    this.mediaLoading = false
+    this.mediaToken = 0
+  }
+
+  /**
+   * The question types that questions can be shown as.
+   *
+   * @type {import('./question-types/index.js').QuestionTypeRegistry}
+   */
+  static get questionTypes () {
+    return questionTypes
+  }
+
+  /**
+   * The longest time to wait for the media of a question, from the 'media-timeout' attribute.
+   *
+   * @type {number}
+   */
+  get mediaTimeout () {
+    const timeout = parseInt(this.getAttribute('media-timeout'))
+    return timeout >= 0 ? timeout : 10000
+  }
+
+  /**
+   * The attributes to observe for changes.
+   *
+   * @returns {string[]} The names of the observed attributes.
+   */
+  static get observedAttributes () {
+    return ['disabled']
+  }
+
+  /**
+   * Called when an observed attribute changes.
+   * Locks or unlocks the inputs when the 'disabled' attribute is added or removed.
+   *
+   * @param {string} name - The name of the attribute.
+   * @param {string|null} oldValue - The previous value.
+   * @param {string|null} newValue - The new value.
+   */
+  attributeChangedCallback (name, oldValue, newValue) {
+    if (name === 'disabled') {
+      this.updateDisabled()
+    }
+  }
+
+  /**
+   * Disables or enables all inputs and buttons depending on the 'disabled' attribute.
+   */
+  updateDisabled () {
+    const disabled = this.hasAttribute('disabled') || this.mediaLoading
+    this.shadowRoot.querySelectorAll('input, button').forEach(element => {
+      element.disabled = disabled
+    })
   }
 
   /**
    * Called when the element is added to the DOM.
    * Sets up the initial rendering of the component and adds an event listener for the 'set-question' event.
    * When the 'set-question' event is triggered, it extracts the question from the event detail and calls the setQuestion method with the question.
+   * The inputs are translated when the 'locale-changed' event is dispatched.
    */
   connectedCallback () {
     this.render()
@@ -42,6 +122,40 @@ class QuizQuestion extends HTMLElement {
       const { question } = event.detail
       this.setQuestion(question)
     })
+
+    this.shadowRoot.addEventListener('keydown', (event) => {
+      this.handleKeydown(event)
+    })
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
+  }
+
+  /**
+   * Passes a pressed key to the view of the current question, which handles its own keyboard
+   * shortcuts, such as the number keys of a multiple-choice question.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeydown (event) {
+    if (this.hasAttribute('disabled') || this.mediaLoading) return
+
+    this.view?.handleKeydown?.(event)
+  }
+
+  /**
+   * Announces a text to screen readers through the live region.
+   *
+   * @param {string} text - The text to announce.
+   */
+  announce (text) {
+    const announcer = this.shadowRoot.querySelector('#announcer')
+    // Clear the region first, so the same text is announced again.
+    announcer.textContent = ''
+    setTimeout(() => {
+      announcer.textContent = text
+    }, 50)
   }
 
   /**
@@ -54,6 +168,7 @@ class QuizQuestion extends HTMLElement {
    * - Flexbox layout for the options container and input container.
    * - Styled buttons with hover and active states.
    * - Styled input fields and form elements with hover effects.
+   * - No hover animations when the user prefers reduced motion.
    */
   render () {
     this.shadowRoot.innerHTML = `
@@ -63,9 +178,9 @@ class QuizQuestion extends HTMLElement {
         font-size: 1.5rem;
         text-align: center
         border-radius: 10px;
-        box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);
+        box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
         margin-bottom: 20px;
-        color: #333;
+        color: var(--quiz-color-text, #333);
         text-align: center;
       }
 
@@ -79,8 +194,8 @@ class QuizQuestion extends HTMLElement {
       #options-container button {
         padding: 10px 20px;
         font-size: 1rem;
-        background-color: #4a90e2;
-        color: #ffffff;
+        background-color: var(--quiz-color-primary, #4a90e2);
+        color: var(--quiz-color-button-text, #ffffff);
         border: none;
         border-radius: 5px;
         cursor: pointer;
@@ -88,7 +203,7 @@ class QuizQuestion extends HTMLElement {
       }
 
       #options-container button:hover {
-        background-color: #357ab7;
+        background-color: var(--quiz-color-primary-hover, #357ab7);
         transform: scale(1.05);
       }
 
@@ -101,9 +216,9 @@ class QuizQuestion extends HTMLElement {
         gap: 10px;
         align-items: center;
         padding: 10px;
-        background-color: #f9f9f9;
+        background-color: var(--quiz-color-surface, #f9f9f9);
         border-radius: 8px;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        box-shadow: 0 2px 4px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
         max-width: 400px;
         margin: 0 auto;
       }
@@ -111,10 +226,10 @@ class QuizQuestion extends HTMLElement {
       #answer-input {
         width: 100%;
         padding: 8px;
-        border: 1px solid #ccc;
+        border: 1px solid var(--quiz-color-border, #ccc);
         border-radius: 4px;
         font-size: 1rem;
-        box-shadow: inset 0 1px 2px rgba(0, 0, 0, 0.1);
+        box-shadow: inset 0 1px 2px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
       }
          #options-form {
       display: flex;
@@ -122,9 +237,9 @@ class QuizQuestion extends HTMLElement {
       align-items: flex-start;
       margin: 20px auto;
       padding: 10px;
-      background-color: #f9f9f9;
+      background-color: var(--quiz-color-surface, #f9f9f9);
       border-radius: 8px;
-      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);
+      box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
       max-width: 400px;
     }
 
@@ -139,36 +254,212 @@ class QuizQuestion extends HTMLElement {
       cursor: pointer;
     }
 
+    #options-form div[hidden] {
+      display: none;
+    }
+
     #options-form div:hover {
-      background-color: #e6f7ff; /* Light blue highlight */
+      background-color: var(--quiz-color-highlight, #e6f7ff); /* Light blue highlight */
       box-shadow: 0 2px 6px rgba(0, 123, 255, 0.2); /* Soft blue shadow */
     }
 
-    input[type="radio"] {
+    input[type="radio"],
+    input[type="checkbox"] {
       margin-right: 10px;
       transform: scale(1.2); /* Make radio buttons slightly larger */
     }
 
     label {
       font-size: 1.1rem;
-      color: #333;
+      color: var(--quiz-color-text, #333);
       cursor: pointer;
     }
 
     label:hover {
-      color: #007bff;
+      color: var(--quiz-color-accent, #007bff);
+    }
+
+    #ordering-container {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 10px;
+      max-width: 400px;
+      margin: 20px auto;
+    }
+
+    #ordering-list {
+      width: 100%;
+      margin: 0;
+      padding: 10px 10px 10px 40px;
+      background-color: var(--quiz-color-surface, #f9f9f9);
+      border-radius: 8px;
+      box-shadow: 0 4px 8px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+    }
+
+    #ordering-list li {
+      padding: 6px 10px;
+      margin-bottom: 8px;
+      font-size: 1.1rem;
+      color: var(--quiz-color-text, #333);
+      background-color: var(--quiz-color-surface-raised, #ffffff);
+      border: 1px solid var(--quiz-color-border, #ddd);
+      border-radius: 5px;
+      cursor: grab;
+    }
+
+    #ordering-list li.dragging {
+      opacity: 0.5;
+    }
+
+    #ordering-list li:focus {
+      outline: 2px solid var(--quiz-color-primary, #4a90e2);
+      outline-offset: 2px;
+    }
+
+    #ordering-list .item-content {
+      display: inline-block;
+      min-width: 60%;
+    }
+
+    #options-container #ordering-list button {
+      padding: 2px 8px;
+      margin-left: 4px;
+      font-size: 0.8rem;
+    }
+
+    .unit {
+      font-size: 1rem;
+      color: var(--quiz-color-text, #333);
+    }
+
+    .hint {
+      margin: 0;
+      font-size: 0.9rem;
+      color: var(--quiz-color-text-muted, #666);
+    }
+
+    #answer-input[aria-invalid="true"] {
+      border-color: var(--quiz-color-danger, #d9534f);
+    }
+
+    .shortcut {
+      display: inline-block;
+      min-width: 1.4em;
+      margin-right: 6px;
+      font-size: 0.85rem;
+      font-weight: bold;
+      text-align: center;
+      color: var(--quiz-color-primary, #4a90e2);
+      border: 1px solid var(--quiz-color-primary, #4a90e2);
+      border-radius: 4px;
+    }
+
+    #question-container code {
+      font-family: ui-monospace, Consolas, monospace;
+      font-size: 0.9em;
+      padding: 1px 4px;
+      background-color: var(--quiz-color-surface-muted, #f1f3f5);
+      border-radius: 3px;
+    }
+
+    #question-container pre {
+      max-width: 600px;
+      margin: 10px auto;
+      padding: 10px;
+      overflow-x: auto;
+      font-size: 1rem;
+      text-align: left;
+      background-color: var(--quiz-color-surface-muted, #f1f3f5);
+      border-radius: 5px;
+    }
+
+    #question-container pre code {
+      padding: 0;
+      background: none;
+    }
+
+    #media-container {
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      align-items: center;
+      margin-bottom: 20px;
+    }
+
+    #media-container img {
+      max-width: 100%;
+      max-height: 300px;
+      border-radius: 5px;
+    }
+
+    #media-container pre {
+      box-sizing: border-box;
+      width: 100%;
+      max-width: 600px;
+      margin: 0;
+      padding: 10px;
+      overflow-x: auto;
+      font-family: ui-monospace, Consolas, monospace;
+      font-size: 1rem;
+      background-color: var(--quiz-color-surface-muted, #f1f3f5);
+      border-radius: 5px;
+    }
+
+    #media-status {
+      color: var(--quiz-color-text-muted, #666);
+      font-style: italic;
+    }
+
+    label img {
+      max-width: 120px;
+      max-height: 120px;
+      vertical-align: middle;
+    }
+
+    #question-container:focus {
+      outline: 2px solid var(--quiz-color-primary, #4a90e2);
+      outline-offset: 4px;
+    }
+
+    .visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+      border: 0;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      #options-container button,
+      #options-form div {
+        transition: none;
+      }
+
+      #options-container button:hover,
+      #options-container button:active {
+        transform: none;
+      }
     }
     </style>
-      <div id="question-container"></div>
+      <div id="question-container" part="question" tabindex="-1"></div>
+      <div id="media-container"></div>
       <div id="options-container"></div>
+      <div id="announcer" class="visually-hidden" aria-live="polite"></div>
     `
   }
 
   /**
    * Sets the current question and updates the DOM to display the question and its alternatives.
+   * The inputs are rendered by the question type of the question.
    *
    * @param {object} question - The question object to set.
    * @param {string} question.question - The question text.
+   * @param {string} [question.type] - The name of the question type, guessed from the question if missing.
    * @param {object} question.alternatives - An object containing the answer alternatives.
    * @throws Will log an error if no valid question is provided.
    * @throws Will log an error if the question container is not found in the shadow DOM.
@@ -181,200 +472,207 @@ class QuizQuestion extends HTMLElement {
     // Hämta frågecontainern och kontrollera att det finns ett giltigt element
     const questionContainer = this.shadowRoot.querySelector('#question-container')
 
-    questionContainer.innerHTML = `<p>${question.question}</p>`
+    questionContainer.innerHTML = renderRichText(question.question)
+    this.renderMedia(question)
+
+    const optionsContainer = this.shadowRoot.querySelector('#options-container')
+    optionsContainer.innerHTML = ''
 
-    // Hämta eller skapa alternativcontainern
-    let optionsContainer = this.shadowRoot.querySelector('#options-container')
-    if (!optionsContainer) {
-      optionsContainer = document.createElement('div')
-      optionsContainer.setAttribute('id', 'options-container')
-      this.shadowRoot.appendChild(optionsContainer)
-    } else {
-      optionsContainer.innerHTML = ''
+    const type = questionTypes.resolve(question)
+    const styled = [...this.shadowRoot.querySelectorAll('style[data-question-type]')].some(style => style.dataset.questionType === type.name)
+    if (type.styles && !styled) {
+      const style = document.createElement('style')
+      style.dataset.questionType = type.name
+      style.textContent = type.styles
+      this.shadowRoot.appendChild(style)
     }
 
-    const alternatives = question.alternatives
+    this.view = type.render(question, this.#createTypeContext())
+    optionsContainer.appendChild(this.view.element)
+
+    this.mediaLoading = true
+    this.updateDisabled()
+
+    const token = ++this.mediaToken
+    this.waitForMedia().then(() => {
+      if (token !== this.mediaToken) return
+
+      this.mediaLoading = false
+      this.shadowRoot.querySelector('#media-status')?.remove()
+      this.updateDisabled()
+      this.focusQuestion()
+      this.dispatchEvent(new CustomEvent('media-loaded', {
+        detail: { question },
+        bubbles: true,
+        composed: true
+      }))
+    })
+  }
 
-    if (alternatives && typeof alternatives === 'object' && Object.keys(alternatives).length >= 2 && Object.keys(alternatives).length <= 10) {
-    // Create a form element for the radio buttons
-      const formElement = document.createElement('form')
-      formElement.setAttribute('id', 'options-form')
+  /**
+   * Creates the context that question types render in.
+   *
+   * @returns {import('./question-types/index.js').QuestionTypeContext} The context.
+   */
+  #createTypeContext () {
+    return {
+      /**
+       * Dispatches the answer of the current question.
+       */
+      submit: () => {
+        this.handleAnswerClick()
+      },
+
+      /**
+       * Announces a text to screen readers.
+       *
+       * @param {string} text - The text to announce.
+       */
+      announce: (text) => {
+        this.announce(text)
+      },
+
+      /**
+       * Tells whether the inputs are locked.
+       *
+       * @returns {boolean} True if they are locked.
+       */
+      isDisabled: () => this.hasAttribute('disabled') || this.mediaLoading
+    }
+  }
 
-      // Loop through alternatives and create radio buttons
-      for (const [key, value] of Object.entries(alternatives)) {
-        const radioWrapper = document.createElement('div')
+  /**
+   * Renders the image, audio clip and code snippet of a question. Media with unsafe URLs is left out.
+   *
+   * @param {object} question - The question payload.
+   */
+  renderMedia (question) {
+    const mediaContainer = this.shadowRoot.querySelector('#media-container')
+    mediaContainer.innerHTML = ''
 
-        const radioInput = document.createElement('input')
-        radioInput.setAttribute('type', 'radio')
-        radioInput.setAttribute('name', 'answer')
-        radioInput.setAttribute('value', key)
-        radioInput.setAttribute('id', `option-${key}`)
+    const image = toImage(question.image, t('question.image'))
+    if (image) {
+      mediaContainer.appendChild(createImage(image))
+    }
 
-        const label = document.createElement('label')
-        label.setAttribute('for', `option-${key}`)
-        label.textContent = value
+    const audio = toAudio(question.audio, t('question.audio'))
+    if (audio) {
+      const audioElement = document.createElement('audio')
+      audioElement.setAttribute('controls', '')
+      audioElement.setAttribute('preload', 'auto')
+      audioElement.setAttribute('aria-label', audio.description)
+      audioElement.setAttribute('src', audio.src)
+      audioElement.textContent = audio.description
+      mediaContainer.appendChild(audioElement)
+    }
 
-        radioWrapper.appendChild(radioInput)
-        radioWrapper.appendChild(label)
-        formElement.appendChild(radioWrapper)
+    const code = toCode(question.code)
+    if (code) {
+      const pre = document.createElement('pre')
+      const codeElement = document.createElement('code')
+      if (code.language) {
+        codeElement.className = `language-${code.language}`
       }
+      codeElement.textContent = code.source
+      pre.appendChild(codeElement)
+      mediaContainer.appendChild(pre)
+    }
 
-      // Add a submit button
-      const submitButton = document.createElement('button')
-      submitButton.textContent = 'Submit Answer'
-      submitButton.addEventListener('click', (event) => {
-        event.preventDefault()
-        const selectedRadio = formElement.querySelector('input[name="answer"]:checked')
-        if (selectedRadio) {
-          this.handleAnswerClick({ target: selectedRadio })
-        }
-      })
-      formElement.appendChild(submitButton)
-      optionsContainer.appendChild(formElement)
-    } else {
-      const input = document.createElement('input')
-      input.setAttribute('type', 'text')
-      input.setAttribute('id', 'answer-input')
-      input.setAttribute('placeholder', 'Enter your answer here')
-      optionsContainer.appendChild(input)
-
-      const button = document.createElement('button')
-      button.textContent = 'Submit Answer'
-      button.addEventListener('click', (event) => {
-        event.preventDefault()
-        this.handleAnswerClick({ target: input })
-      })
-
-      input.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter') {
-          event.preventDefault()
-          this.handleAnswerClick({ target: input })
-        }
-      })
-
-      optionsContainer.appendChild(button)
+    if (hasLoadingMedia(question)) {
+      const status = document.createElement('p')
+      status.id = 'media-status'
+      status.setAttribute('role', 'status')
+      localize(status, 'question.loadingMedia')
+      mediaContainer.appendChild(status)
     }
   }
 
   /**
-   * Validates that the question object is in the correct format.
+   * Waits until the images and audio of the current question have loaded or failed to load,
+   * but no longer than the media timeout.
    *
-   * @param {object} question - The question object to validate.
-   * @param {string} question.question - The text of the question.
-   * @param {string} question.nextURL - The URL for the next question.
-   * @returns {boolean} - Returns true if the question object is in the correct format, otherwise false.
+   * @returns {Promise<void>} A promise that resolves when the media is ready.
    */
-  validateQuestionFormat (question) {
-    // Validerar att frågan är i korrekt format
-    return question && typeof question.question === 'string' && question.nextURL
+  waitForMedia () {
+    const loaded = [...this.shadowRoot.querySelectorAll('img, audio')].map(element => new Promise(resolve => {
+      const ready = element instanceof HTMLImageElement
+        ? element.complete
+        : element.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA || element.error !== null
+      if (ready) {
+        resolve()
+        return
+      }
+      element.addEventListener(element instanceof HTMLImageElement ? 'load' : 'loadeddata', resolve, { once: true })
+      element.addEventListener('error', resolve, { once: true })
+    }))
+
+    let timeoutId
+    const timeout = new Promise(resolve => {
+      timeoutId = setTimeout(resolve, this.mediaTimeout)
+    })
+    return Promise.race([Promise.all(loaded), timeout]).finally(() => clearTimeout(timeoutId))
   }
 
   /**
-   * Renders the current question and its options or input field for the user to answer.
-   *
-   * If `this.currentQuestion` is not set, logs an error message and returns.
-   *
-   * If `this.currentQuestion.options` is available and contains options, it generates buttons for each option.
-   * Otherwise, it generates an input field for the user to type their answer.
-   *
-   * Adds click event listeners to the generated buttons or the submit button for handling the user's answer.
+   * Moves focus to the current question and announces it to screen readers, with how to answer.
+   * Questions with a text field focus the field, others the question text.
    */
-  renderQuestion () {
-    if (!this.currentQuestion) return
+  focusQuestion () {
+    this.announce(`${this.shadowRoot.querySelector('#question-container').textContent.trim()} ${this.view.instructions}`)
 
-    // Generera HTML för frågan och dess alternativ
-    const questionContainer = this.shadowRoot.querySelector('#question-container')
-    questionContainer.innerHTML = `
-      <p>${this.currentQuestion.question}</p>
-    `
-
-    if (this.currentQuestion.options && this.currentQuestion.options.length > 0) {
-      questionContainer.innerHTML += `
-      <div id="options-container">
-          ${this.currentQuestion.options.map((option, index) =>
-            `<button data-index="${index}">${option}</button>`
-          ).join('')}
-        </div>
-      `
-      this.shadowRoot.querySelectorAll('button').forEach(button => {
-        button.addEventListener('click', (event) => {
-          this.handleAnswerClick(event)
-        })
-      })
-    } else {
-      // Om det inte finns några alternativ, rendera ett input-fält för användaren att skriva sitt svar
-      questionContainer.innerHTML += `
-        <div id="input-container">
-          <input type="text" id="answer-input" placeholder="Enter your answer here">
-          <button id="submit-answer">Submit Answer</button>
-        </div>
-      `
-      // Lägg till klick-händelse för alla knappar
-      const submitButton = this.shadowRoot.querySelector('#submit-answer')
-      submitButton.addEventListener('click', (event) => {
-        this.handleAnswerClick(event)
-      })
-    }
+    const target = this.view.focusTarget || this.shadowRoot.querySelector('#question-container')
+    target.focus()
   }
 
   /**
-   * Handles the click event on an answer option.
+   * Hides alternatives of the current question, so they cannot be selected.
    *
-   * This function processes the user's answer selection, whether it is from a set of radio buttons
-   * or a text input field. It then dispatches a custom event with the selected answer.
-   *
-   * @param {Event} event - The click event triggered by the user.
-   * @fires CustomEvent#answer-selected - Dispatched when an answer is selected.
+   * @param {string[]} keys - The keys of the alternatives to hide.
    */
-  handleAnswerClick (event) {
-    if (!event) return
-
-    let selectedAnswer = null
-
-    // If we have alternatives, we should expect an answer from buttons
-    if (this.currentQuestion.alternatives) {
-      const selectedRadio = event.target
-      if (selectedRadio === 'radio') {
-        selectedAnswer = selectedRadio.value
-      } else {
-        const selectedRadioInput = this.shadowRoot.querySelector('input[name="answer"]:checked')
-        if (selectedRadioInput) {
-          selectedAnswer = selectedRadioInput.value
-        }
-      }
-    } else {
-      const inputElement = this.shadowRoot.querySelector('#answer-input')
-
-      selectedAnswer = inputElement.value.trim()
+  hideAlternatives (keys) {
+    if (keys.length > 0) {
+      this.view?.hideAlternatives?.(keys)
     }
+  }
 
-    this.currentSelectedAnswer = selectedAnswer
-
-    this.dispatchEvent(new CustomEvent('answer-selected', {
-      detail: { selectedAnswer },
-      bubbles: true,
-      composed: true
-    }))
+  /**
+   * Tells whether alternatives of the current question can be hidden, which depends on its type.
+   *
+   * @returns {boolean} True if the question type can hide alternatives.
+   */
+  canHideAlternatives () {
+    return typeof this.view?.hideAlternatives === 'function'
   }
 
   /**
-   * Handles the text answer input from the user.
+   * Validates that the question object is in the correct format, with the rules of
+   * question-format.js that the quiz pack editor uses too.
    *
-   * This method retrieves the user's answer from the input field,
-   * checks if the input is valid (not empty), and then dispatches
-   * a custom event 'answer-selected' with the user's answer.
+   * @param {object} question - The question object to validate.
+   * @param {string} question.question - The text of the question.
+   * @param {string} question.nextURL - The URL for the next question.
+   * @returns {boolean} - Returns true if the question object is in the correct format, otherwise false.
+   */
+  validateQuestionFormat (question) {
+    return questionFormatErrors(question, { types: questionTypes.names }).length === 0
+  }
+
+  /**
+   * Reads the answer from the view of the current question and dispatches it. Nothing is
+   * dispatched while the question is locked or has no answer yet.
    *
-   * @fires CustomEvent#answer-selected - Dispatched when a valid answer is entered.
+   * @fires CustomEvent#answer-selected - Dispatched with the answer value of the question type.
    */
-  handleTextAnswer () {
-    const answerInput = this.shadowRoot.querySelector('#answer-input')
-    if (!answerInput) return
+  handleAnswerClick () {
+    if (!this.view || this.hasAttribute('disabled') || this.mediaLoading) return
 
-    const userAnswer = answerInput.value.trim()
-    if (userAnswer === '') return
+    const selectedAnswer = this.view.getAnswer()
+    if (selectedAnswer === null) return
+
+    this.currentSelectedAnswer = selectedAnswer
 
     this.dispatchEvent(new CustomEvent('answer-selected', {
-      detail: { selectedAnswer: userAnswer },
+      detail: { selectedAnswer },
       bubbles: true,
       composed: true
     }))
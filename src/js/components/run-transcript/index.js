@@ -0,0 +1 @@
+import './run-transcript.js'
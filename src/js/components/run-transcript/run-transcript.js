@@ -0,0 +1,260 @@
+import { t, formatDate, translate } from '../../lib/i18n.js'
+import { formatTime } from '../../lib/format-time.js'
+import { escapeHTML } from '../../lib/rich-text.js'
+import { describeTiming, resolveTiming } from '../../lib/timing-policies.js'
+import { scoringModels } from '../../lib/scoring-models.js'
+import { transcriptStore, describeAnswer, lifelineLabels, transcriptToJSON, transcriptToMarkdown, totalTimeOf } from '../../lib/run-transcript.js'
+
+/**
+ * The icons of the results of an attempt.
+ *
+ * @type {{[result: string]: string}}
+ */
+const RESULT_ICONS = {
+  correct: '✅',
+  wrong: '❌',
+  timeout: '⏰',
+  skipped: '⏭️'
+}
+
+/**
+ * A custom HTML element that shows the transcript of a quiz run: every question, the answer
+ * given, the verdict and the time it took, and how the run ended.
+ *
+ * It shows the run just finished, and the player can pick one of the latest runs kept in the
+ * transcript store (see run-transcript.js). The shown transcript can be downloaded as JSON or as
+ * a Markdown report.
+ *
+ * @class
+ * @augments HTMLElement
+ * @property {object|null} transcript - The transcript shown.
+ * @example
+ * <run-transcript></run-transcript>
+ */
+class RunTranscript extends HTMLElement {
+  /**
+   * Creates an instance of the component and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+    this.transcript = null
+    this.open = false
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Shows the latest stored run, and renders again when the locale changes.
+   */
+  connectedCallback () {
+    this.transcript = this.transcript ?? transcriptStore.getAll()[0] ?? null
+    this.render()
+
+    window.addEventListener('locale-changed', () => {
+      this.render()
+    })
+  }
+
+  /**
+   * Shows the transcript of a run.
+   *
+   * @param {object} transcript - The transcript.
+   */
+  showTranscript (transcript) {
+    this.transcript = transcript
+    this.render()
+  }
+
+  /**
+   * Renders the transcript shown, with a menu of the stored runs and the export buttons.
+   */
+  render () {
+    const transcripts = transcriptStore.getAll()
+    const selected = transcripts.findIndex(transcript => transcript.startedAt === this.transcript?.startedAt)
+    const options = transcripts.map((transcript, index) => `
+      <option value="${index}" ${index === selected ? 'selected' : ''}>
+        ${escapeHTML(transcript.nickname)} – ${formatDate(transcript.startedAt)}
+      </option>
+    `).join('')
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          max-width: 600px;
+          margin: 20px auto;
+          color: var(--quiz-color-text, #333);
+        }
+
+        details {
+          padding: 10px 20px;
+          background-color: var(--quiz-color-surface, #f8f9fa);
+          border-radius: 10px;
+          box-shadow: 0 2px 4px var(--quiz-color-shadow, rgba(0, 0, 0, 0.1));
+        }
+
+        summary {
+          font-size: 1.1rem;
+          font-weight: bold;
+          cursor: pointer;
+        }
+
+        .controls {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 10px;
+          align-items: center;
+          margin: 10px 0;
+        }
+
+        dl {
+          display: grid;
+          grid-template-columns: auto 1fr;
+          gap: 4px 15px;
+          margin: 10px 0;
+        }
+
+        dt {
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        dd {
+          margin: 0;
+        }
+
+        ol {
+          padding-left: 20px;
+        }
+
+        li {
+          margin-bottom: 10px;
+          padding: 8px 10px;
+          background-color: var(--quiz-color-surface-raised, #ffffff);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+        }
+
+        .question {
+          font-weight: bold;
+        }
+
+        .details {
+          font-size: 0.9rem;
+          color: var(--quiz-color-text-muted, #666);
+        }
+
+        button {
+          padding: 6px 12px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface-raised, #ffffff);
+          color: var(--quiz-color-text, #333);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+          cursor: pointer;
+        }
+
+        button:hover {
+          background-color: var(--quiz-color-hover, #e2e6ea);
+        }
+      </style>
+      <details part="panel" ${this.open ? 'open' : ''}>
+        <summary data-i18n="transcript.heading"></summary>
+        ${transcripts.length > 1
+          ? `<div class="controls">
+              <label for="run-select" data-i18n="transcript.run"></label>
+              <select id="run-select" part="select">${options}</select>
+            </div>`
+          : ''}
+        ${this.transcript ? this.renderTranscript() : '<p data-i18n="transcript.noRuns"></p>'}
+        <div class="controls">
+          <button id="export-json-button" part="button" data-i18n="transcript.exportJSON" ${this.transcript ? '' : 'disabled'}></button>
+          <button id="export-markdown-button" part="button" data-i18n="transcript.exportMarkdown" ${this.transcript ? '' : 'disabled'}></button>
+        </div>
+      </details>
+    `
+    translate(this.shadowRoot)
+
+    const details = this.shadowRoot.querySelector('details')
+    details.addEventListener('toggle', () => {
+      this.open = details.open
+    })
+
+    this.shadowRoot.querySelector('#run-select')?.addEventListener('change', (event) => {
+      this.showTranscript(transcripts[event.target.value])
+    })
+    this.shadowRoot.querySelector('#export-json-button').addEventListener('click', () => {
+      this.exportTranscript('json')
+    })
+    this.shadowRoot.querySelector('#export-markdown-button').addEventListener('click', () => {
+      this.exportTranscript('md')
+    })
+  }
+
+  /**
+   * Renders the summary of the run and its attempts.
+   *
+   * @returns {string} The HTML of the transcript.
+   */
+  renderTranscript () {
+    const { transcript } = this
+    const model = scoringModels.resolve(transcript.scoringModel)
+    const attempts = transcript.questions.map(attempt => {
+      const lifelines = lifelineLabels(attempt.lifelines)
+      return `
+        <li part="row">
+          <div class="question">${escapeHTML(String(attempt.question.question ?? attempt.question.id ?? ''))}</div>
+          <div>${t('transcript.answer')}: ${escapeHTML(describeAnswer(attempt.answer, attempt.question))}</div>
+          <div>${RESULT_ICONS[attempt.result]} ${t(`transcript.results.${attempt.result}`)}${attempt.message ? ` – ${escapeHTML(attempt.message)}` : ''}</div>
+          <div class="details">
+            ${t('transcript.time')}: ${formatTime(attempt.timeSpent)}${lifelines ? ` · ${t('transcript.lifelines')}: ${lifelines}` : ''}
+          </div>
+        </li>
+      `
+    }).join('')
+
+    return `
+      <dl>
+        <dt>${t('transcript.player')}</dt>
+        <dd>${escapeHTML(transcript.nickname)}</dd>
+        <dt>${t('transcript.mode')}</dt>
+        <dd>${t(`highScore.${transcript.mode}`)}</dd>
+        <dt>${t('transcript.timing')}</dt>
+        <dd>${describeTiming(resolveTiming(transcript.timing))}</dd>
+        <dt>${t('transcript.scoring')}</dt>
+        <dd>${t(model.label)}</dd>
+        <dt>${t('transcript.started')}</dt>
+        <dd>${formatDate(transcript.startedAt)}</dd>
+        <dt>${t('transcript.outcome')}</dt>
+        <dd>${t(`transcript.outcomes.${transcript.outcome ?? 'inProgress'}`)}</dd>
+        ${transcript.score !== null
+          ? `<dt>${t('transcript.totalTime')}</dt><dd>${formatTime(totalTimeOf(transcript))}</dd>`
+          : ''}
+        ${transcript.score !== null && model.name !== 'time'
+          ? `<dt>${t('transcript.score')}</dt><dd>${model.format(transcript.score)}</dd>`
+          : ''}
+      </dl>
+      <ol>${attempts}</ol>
+    `
+  }
+
+  /**
+   * Downloads the transcript shown as a file.
+   *
+   * @param {string} format - Either 'json' or 'md'.
+   */
+  exportTranscript (format) {
+    if (!this.transcript) return
+
+    const content = format === 'md' ? transcriptToMarkdown(this.transcript) : transcriptToJSON(this.transcript)
+    const type = format === 'md' ? 'text/markdown' : 'application/json'
+
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `quiz-run-${new Date(this.transcript.startedAt).toISOString().slice(0, 19).replace(/:/g, '-')}.${format}`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+}
+
+customElements.define('run-transcript', RunTranscript)
@@ -0,0 +1 @@
+import './theme-switcher.js'
@@ -0,0 +1,79 @@
+import { translate } from '../../lib/i18n.js'
+import { THEMES, getTheme, setTheme } from '../../lib/theme.js'
+
+/**
+ * A custom HTML element that lets the player choose the colour theme of the quiz.
+ *
+ * The choice is remembered in localStorage, and the quiz applies it at once through the
+ * 'theme-changed' event (see theme.js).
+ *
+ * @class
+ * @augments HTMLElement
+ * @example
+ * <theme-switcher></theme-switcher>
+ */
+class ThemeSwitcher extends HTMLElement {
+  /**
+   * Creates an instance of the theme switcher and attaches a shadow DOM tree to it.
+   */
+  constructor () {
+    super()
+    this.attachShadow({ mode: 'open' })
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Renders the menu and changes the theme when another one is chosen.
+   */
+  connectedCallback () {
+    this.render()
+
+    const select = this.shadowRoot.querySelector('#theme-select')
+    select.addEventListener('change', () => {
+      setTheme(select.value)
+    })
+
+    window.addEventListener('theme-changed', () => {
+      select.value = getTheme()
+    })
+
+    window.addEventListener('locale-changed', () => {
+      translate(this.shadowRoot)
+    })
+  }
+
+  /**
+   * Renders a menu of the themes.
+   */
+  render () {
+    const options = Object.entries(THEMES).map(([theme, key]) => `
+      <option value="${theme}" data-i18n="${key}" ${theme === getTheme() ? 'selected' : ''}></option>
+    `).join('')
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          text-align: right;
+          font-size: 0.9rem;
+          color: var(--quiz-color-text, #333);
+        }
+
+        select {
+          margin-left: 5px;
+          padding: 4px;
+          font-size: 0.9rem;
+          background-color: var(--quiz-color-surface-raised, #ffffff);
+          color: var(--quiz-color-text, #333);
+          border: 1px solid var(--quiz-color-border, #ccc);
+          border-radius: 5px;
+        }
+      </style>
+      <label for="theme-select" data-i18n="theme.label"></label>
+      <select id="theme-select" part="select">${options}</select>
+    `
+    translate(this.shadowRoot)
+  }
+}
+
+customElements.define('theme-switcher', ThemeSwitcher)
@@ -0,0 +1,214 @@
+/**
+ * Evaluation of answers on the client, for quiz packs that carry their answers.
+ *
+ * A question of a pack has its correct 'answer' and may configure how answers are matched:
+ * - match: The name of the matcher, see MATCHERS. Defaults to the one that fits the question type.
+ * - accept: More accepted answers, such as synonyms, for the text matcher.
+ * - pattern: A regular expression that the whole answer must match, for the regex matcher.
+ * - flags: The flags of the pattern, defaults to 'iu'.
+ * - tolerance: How far off a numeric answer may be.
+ * - caseSensitive: Whether text answers are compared with case, defaults to false.
+ * - ignoreDiacritics: Whether text answers are compared without accents, so that 'é' matches 'e',
+ * defaults to false. Note that this also makes 'å' match 'a'.
+ *
+ * Text is always compared in Unicode normalization form NFC, so a letter typed as one character
+ * matches the same letter typed with a combining mark, such as 'å' and 'a' + ring above.
+ *
+ * The module does not use the DOM, so the mock quiz server evaluates answers with it too.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * The result of evaluating an answer. It has the 'correct' field of a response of the quiz API,
+ * but no message: whoever shows the verdict writes the message from the matcher and the details,
+ * such as verdictMessage() in question-sources/local-question-source.js.
+ *
+ * @typedef {object} Verdict
+ * @property {boolean} correct - Whether the answer is correct.
+ * @property {string} matcher - The name of the matcher that evaluated the answer.
+ * @property {object} details - What the matcher found out, e.g. { difference } for numeric answers.
+ */
+
+/**
+ * The fields of a question that give its answer away, and must not be served with it.
+ *
+ * @type {string[]}
+ */
+export const ANSWER_FIELDS = ['answer', 'accept', 'pattern', 'flags', 'match', 'caseSensitive', 'ignoreDiacritics']
+
+/**
+ * Returns a question without the fields that give its answer away.
+ *
+ * @param {object} question - The question of a quiz pack.
+ * @returns {object} A copy of the question that can be served to the player.
+ */
+export function withoutAnswer (question) {
+  return Object.fromEntries(Object.entries(question).filter(([field]) => !ANSWER_FIELDS.includes(field)))
+}
+
+/**
+ * Normalizes a text for comparison: trimmed, with whitespace collapsed, in NFC and by default
+ * in lower case.
+ *
+ * @param {*} value - The text; other values are converted to strings.
+ * @param {object} [options] - The comparison options.
+ * @param {boolean} [options.caseSensitive] - Whether to keep the case.
+ * @param {boolean} [options.ignoreDiacritics] - Whether to remove accents and other combining marks.
+ * @returns {string} The normalized text.
+ */
+export function normalizeText (value, { caseSensitive = false, ignoreDiacritics = false } = {}) {
+  let text = String(value ?? '').trim().replace(/\s+/g, ' ')
+  if (ignoreDiacritics) {
+    text = text.normalize('NFD').replace(/\p{M}/gu, '')
+  }
+  text = text.normalize('NFC')
+  return caseSensitive ? text : text.toLocaleLowerCase()
+}
+
+/**
+ * Reads a number, with either a decimal point or a decimal comma.
+ *
+ * @param {*} value - The number, or the typed text.
+ * @returns {number|null} The number, or null if the value is not a number.
+ */
+export function parseNumber (value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+
+  const normalized = String(value ?? '').trim().replace(/\s/g, '').replace('−', '-').replace(',', '.')
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(normalized)) return null
+  return Number(normalized)
+}
+
+/**
+ * The matchers, by name. Each tells whether an answer matches the answer of a question, and
+ * may give details of why not.
+ *
+ * - text: Equal to the answer or one of the accepted answers, as normalized text.
+ * - regex: The whole answer matches the pattern.
+ * - numeric: Within the tolerance of the answer.
+ * - set: The same alternatives as the answer, in any order, for multi-select questions.
+ * - sequence: The same alternatives as the answer, in the same order, for ordering questions.
+ *
+ * @type {{[name: string]: Function}}
+ */
+export const MATCHERS = {
+  /**
+   * Compares normalized texts.
+   *
+   * @param {*} answer - The submitted answer.
+   * @param {object} question - The question with its answer.
+   * @returns {{correct: boolean}} The result.
+   */
+  text: (answer, question) => {
+    const accepted = [question.answer, ...(Array.isArray(question.accept) ? question.accept : [])]
+    const given = normalizeText(answer, question)
+    return { correct: accepted.some(value => normalizeText(value, question) === given) }
+  },
+
+  /**
+   * Matches the whole answer against a regular expression.
+   *
+   * @param {*} answer - The submitted answer.
+   * @param {object} question - The question with its pattern.
+   * @returns {{correct: boolean}} The result.
+   * @throws {Error} If the pattern is not a valid regular expression.
+   */
+  regex: (answer, question) => {
+    let pattern
+    try {
+      pattern = new RegExp(`^(?:${question.pattern ?? question.answer})$`, question.flags ?? 'iu')
+    } catch (error) {
+      throw new Error(`Invalid answer pattern of question ${question.id}: ${error.message}`)
+    }
+    return { correct: pattern.test(String(answer ?? '').trim().normalize('NFC')) }
+  },
+
+  /**
+   * Compares numbers with a tolerance.
+   *
+   * @param {*} answer - The submitted answer.
+   * @param {object} question - The question with its answer and tolerance.
+   * @returns {{correct: boolean, details: object}} The result, with the difference.
+   */
+  numeric: (answer, question) => {
+    const given = parseNumber(answer)
+    const expected = parseNumber(question.answer)
+    if (given === null || expected === null) {
+      return { correct: false, details: { difference: null } }
+    }
+
+    const difference = Math.abs(given - expected)
+    // Allow for floating point rounding, so that 0.1 + 0.2 is within 0 of 0.3.
+    const correct = difference <= (Number(question.tolerance) || 0) + Number.EPSILON * Math.max(1, Math.abs(expected))
+    return { correct, details: { difference } }
+  },
+
+  /**
+   * Compares sets of alternatives.
+   *
+   * @param {*} answer - The submitted alternatives.
+   * @param {object} question - The question with the correct alternatives.
+   * @returns {{correct: boolean, details: object}} The result, with how many were missed and how many were wrong.
+   */
+  set: (answer, question) => {
+    const given = new Set((Array.isArray(answer) ? answer : [answer]).map(value => normalizeText(value)))
+    const expected = new Set((Array.isArray(question.answer) ? question.answer : [question.answer]).map(value => normalizeText(value)))
+
+    const missing = [...expected].filter(value => !given.has(value)).length
+    const extra = [...given].filter(value => !expected.has(value)).length
+    return { correct: missing === 0 && extra === 0, details: { missing, extra } }
+  },
+
+  /**
+   * Compares sequences of alternatives.
+   *
+   * @param {*} answer - The submitted alternatives, in order.
+   * @param {object} question - The question with the alternatives in the correct order.
+   * @returns {{correct: boolean, details: object}} The result, with how many are in the right place.
+   */
+  sequence: (answer, question) => {
+    const given = (Array.isArray(answer) ? answer : [answer]).map(value => normalizeText(value))
+    const expected = (Array.isArray(question.answer) ? question.answer : [question.answer]).map(value => normalizeText(value))
+
+    const inPlace = expected.filter((value, position) => given[position] === value).length
+    return {
+      correct: given.length === expected.length && inPlace === expected.length,
+      details: { inPlace, total: expected.length }
+    }
+  }
+}
+
+/**
+ * The matcher that fits a question when it does not name one.
+ *
+ * @param {object} question - The question.
+ * @returns {string} The name of the matcher.
+ */
+export function defaultMatcher (question) {
+  switch (question.type) {
+    case 'numeric': return 'numeric'
+    case 'multi-select': return 'set'
+    case 'ordering': return 'sequence'
+    default: return question.pattern !== undefined ? 'regex' : 'text'
+  }
+}
+
+/**
+ * Evaluates an answer to a question.
+ *
+ * @param {object} question - The question, with its answer and matching options.
+ * @param {*} answer - The submitted answer, as produced by the question type.
+ * @returns {Verdict} The verdict.
+ * @throws {Error} If the question names an unknown matcher or has an invalid pattern.
+ */
+export function evaluateAnswer (question, answer) {
+  const matcher = question.match ?? defaultMatcher(question)
+  if (!MATCHERS[matcher]) {
+    throw new Error(`Unknown answer matcher '${matcher}'.`)
+  }
+
+  const { correct, details = {} } = MATCHERS[matcher](answer, question)
+  return { correct, matcher, details }
+}
@@ -0,0 +1,13 @@
+import { formatNumber } from './i18n.js'
+
+/**
+ * Formats a time in milliseconds as seconds with decimals for the current locale, e.g. 12345 as
+ * '12.35 s' in English and '12,35 s' in Swedish.
+ *
+ * @param {number} ms - The time in milliseconds.
+ * @param {number} [decimals] - The number of decimals, defaults to 2.
+ * @returns {string} The formatted time.
+ */
+export function formatTime (ms, decimals = 2) {
+  return `${formatNumber(ms / 1000, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })} s`
+}
@@ -0,0 +1,177 @@
+/**
+ * The storage of the game in progress, so that it can be resumed after a page reload.
+ *
+ * The session is kept in sessionStorage, which belongs to a single tab and survives reloads
+ * but not closing the tab.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * The current version of the stored session.
+ *
+ * @type {number}
+ */
+export const SESSION_VERSION = 1
+
+/**
+ * A game in progress.
+ *
+ * @typedef {object} GameSession
+ * @property {number} version - The version of the stored data.
+ * @property {number} savedAt - When the session was saved, in milliseconds since the epoch.
+ * @property {string} nickname - The nickname of the player.
+ * @property {string} sourceId - The id of the question source the game is played from.
+ * @property {string} [mode] - The game mode, 'ranked' or 'practice'; ranked if missing.
+ * @property {number|null} [lives] - The lives left in a practice run.
+ * @property {string[]} [lifelines] - The lifelines used so far in the run.
+ * @property {number} questionsAnswered - How many questions have been answered correctly.
+ * @property {number} accumulatedTime - The time spent on the finished questions in milliseconds.
+ * @property {object|null} question - The payload of the question being answered, or null between questions.
+ * @property {object} [timing] - The timing of the run, see timing-policies.js; a time limit per question if missing.
+ * @property {number} [timeBank] - The seconds left over from the last question, carried over to the next one.
+ * @property {number|null} duration - The time limit of the current question in seconds, including extra time, or null if it has none.
+ * @property {number} [carriedOver] - The seconds carried over to the current question from the one before.
+ * @property {number} [extraTime] - The seconds added to the current question with the extra time lifeline.
+ * @property {string[]} [hiddenAlternatives] - The alternatives of the current question hidden with the 50/50 lifeline.
+ * @property {number} elapsed - The time spent on the current question in milliseconds when the session was saved.
+ * @property {boolean} paused - Whether the clock of the current question was stopped when the session was saved.
+ * @property {string|null} nextURL - The URL of the next question to fetch when no question is being answered.
+ * @property {object} [transcript] - The transcript of the run so far, see run-transcript.js.
+ */
+
+/**
+ * The rules for the time that passes while the page is closed, by name. Each returns the time
+ * spent on the current question when the game is resumed.
+ *
+ * - strict: The time away counts against the question, as if the player had kept looking at it.
+ * It may run out before the game is resumed. Paused questions do not count the time away.
+ * - lenient: The clock stops while the page is closed.
+ *
+ * @type {{[rule: string]: Function}}
+ */
+export const FAIRNESS_RULES = {
+  /**
+   * Counts the time away, unless the question was paused.
+   *
+   * @param {GameSession} session - The stored session.
+   * @param {number} awayTime - The milliseconds since the session was saved.
+   * @returns {number} The time spent on the question in milliseconds.
+   */
+  strict: (session, awayTime) => session.paused ? session.elapsed : session.elapsed + awayTime,
+
+  /**
+   * Ignores the time away.
+   *
+   * @param {GameSession} session - The stored session.
+   * @returns {number} The time spent on the question in milliseconds.
+   */
+  lenient: (session) => session.elapsed
+}
+
+/**
+ * Returns the time spent on the current question of a session when it is resumed.
+ *
+ * @param {GameSession} session - The stored session.
+ * @param {string} rule - The name of the fairness rule, see FAIRNESS_RULES.
+ * @param {number} [now] - The current time in milliseconds since the epoch.
+ * @returns {number} The time spent on the question in milliseconds, never more than its time limit, if it has one.
+ * @throws {Error} If the rule is unknown.
+ */
+export function resumedElapsed (session, rule, now = Date.now()) {
+  if (!FAIRNESS_RULES[rule]) {
+    throw new Error(`Unknown fairness rule '${rule}'.`)
+  }
+
+  const awayTime = Math.max(0, now - session.savedAt)
+  const elapsed = FAIRNESS_RULES[rule](session, awayTime)
+  return session.duration === null ? elapsed : Math.min(elapsed, session.duration * 1000)
+}
+
+/**
+ * Tells whether stored data is a session that can be resumed.
+ *
+ * @param {object} session - The parsed data.
+ * @returns {boolean} True if the session is valid.
+ */
+function isValidSession (session) {
+  return Boolean(session) &&
+    session.version === SESSION_VERSION &&
+    typeof session.nickname === 'string' && session.nickname !== '' &&
+    typeof session.sourceId === 'string' &&
+    Number.isFinite(session.savedAt) &&
+    Number.isFinite(session.accumulatedTime) &&
+    (session.question !== null
+      ? typeof session.question === 'object' && (session.duration === null || Number.isFinite(session.duration)) &&
+        Number.isFinite(session.elapsed)
+      : typeof session.nextURL === 'string')
+}
+
+/**
+ * A store of the game in progress, kept in Web Storage.
+ *
+ * @class
+ */
+export class GameSessionStore {
+  /**
+   * Creates an instance of the store.
+   *
+   * @param {object} [options] - The store options.
+   * @param {Storage} [options.storage] - The storage to use, defaults to sessionStorage.
+   * @param {string} [options.key] - The storage key, defaults to 'quizSession'.
+   */
+  constructor ({ storage = window.sessionStorage, key = 'quizSession' } = {}) {
+    this.storage = storage
+    this.key = key
+  }
+
+  /**
+   * Saves the game in progress, replacing the one saved before.
+   *
+   * @param {object} session - The session, without version and savedAt.
+   */
+  save (session) {
+    this.storage.setItem(this.key, JSON.stringify({
+      ...session,
+      version: SESSION_VERSION,
+      savedAt: Date.now()
+    }))
+  }
+
+  /**
+   * Loads the saved game. A session that cannot be resumed is removed.
+   *
+   * @returns {GameSession|null} The session, or null if there is none.
+   */
+  load () {
+    const raw = this.storage.getItem(this.key)
+    if (raw === null) return null
+
+    try {
+      const session = JSON.parse(raw)
+      if (isValidSession(session)) {
+        return session
+      }
+    } catch (error) {
+      console.error('Could not read the saved game.', error)
+    }
+
+    this.clear()
+    return null
+  }
+
+  /**
+   * Removes the saved game.
+   */
+  clear () {
+    this.storage.removeItem(this.key)
+  }
+}
+
+/**
+ * The game session store of the application.
+ *
+ * @type {GameSessionStore}
+ */
+export const gameSessionStore = new GameSessionStore()
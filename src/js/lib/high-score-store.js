@@ -0,0 +1,363 @@
+/**
+ * The storage of the high scores, which owns the data in localStorage.
+ *
+ * The data is stored as { version, entries } under the 'highScores' key. Older formats are
+ * migrated when they are loaded, and data that cannot be parsed is moved aside to
+ * 'highScores.corrupt' so that the game can go on with an empty list.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { scoringModelOf } from './scoring-models.js'
+import { timingKey, timingOf } from './timing-policies.js'
+
+/**
+ * The current version of the stored data.
+ *
+ * @type {number}
+ */
+export const SCHEMA_VERSION = 6
+
+/**
+ * A high score entry.
+ *
+ * @typedef {object} HighScoreEntry
+ * @property {string} nickname - The nickname of the player.
+ * @property {number} score - The score of the run, in the unit of its scoring model: milliseconds for 'time', points for 'points'.
+ * @property {string} scoringModel - The scoring model that produced the score, see scoring-models.js.
+ * @property {number|null} totalTime - The total time of the run in milliseconds, or null if unknown.
+ * @property {number|null} timestamp - When the run ended, in milliseconds since the epoch, or null if unknown.
+ * @property {string|null} sourceId - The id of the question source the run was played from, or null if unknown.
+ * @property {number|null} questionsAnswered - How many questions were answered correctly, or null if unknown.
+ * @property {string} outcome - How the run ended: 'won', 'wrong', 'timeout' or 'unknown'.
+ * @property {string} mode - The game mode: 'ranked', where one mistake ends the run, or 'practice', with lives.
+ * @property {string[]} lifelines - The lifelines used during the run, see lifelines.js; empty for an unassisted run.
+ * @property {string} timingPolicy - The timing policy of the run, see timing-policies.js.
+ * @property {number|null} timeBudget - The time budget of the quiz in seconds for the 'global-budget' policy, otherwise null.
+ */
+
+/**
+ * Migrations from each older version to the next one.
+ *
+ * @type {{[version: number]: Function}}
+ */
+const MIGRATIONS = {
+  /**
+   * Version 1 is a plain array of { nickname, score }. Scores are whole seconds, unless they
+   * are marked with unit 'ms'.
+   *
+   * @param {object[]} entries - The version 1 entries.
+   * @returns {{version: number, entries: HighScoreEntry[]}} The version 2 data.
+   */
+  1: (entries) => ({
+    version: 2,
+    entries: entries.map(entry => ({
+      nickname: entry.nickname,
+      score: entry.unit === 'ms' ? entry.score : entry.score * 1000,
+      timestamp: null,
+      sourceId: null,
+      questionsAnswered: null,
+      outcome: 'unknown'
+    }))
+  }),
+
+  /**
+   * Version 2 has no game modes; all its runs were ranked.
+   *
+   * @param {{version: number, entries: object[]}} data - The version 2 data.
+   * @returns {{version: number, entries: HighScoreEntry[]}} The version 3 data.
+   */
+  2: (data) => ({
+    version: 3,
+    entries: (data.entries ?? []).map(entry => ({ ...entry, mode: 'ranked' }))
+  }),
+
+  /**
+   * Version 3 has no lifelines; all its runs were unassisted.
+   *
+   * @param {{version: number, entries: object[]}} data - The version 3 data.
+   * @returns {{version: number, entries: HighScoreEntry[]}} The version 4 data.
+   */
+  3: (data) => ({
+    version: 4,
+    entries: (data.entries ?? []).map(entry => ({ ...entry, lifelines: [] }))
+  }),
+
+  /**
+   * Version 4 has no timing policies; all its runs had a time limit per question.
+   *
+   * @param {{version: number, entries: object[]}} data - The version 4 data.
+   * @returns {{version: number, entries: HighScoreEntry[]}} The version 5 data.
+   */
+  4: (data) => ({
+    version: 5,
+    entries: (data.entries ?? []).map(entry => ({ ...entry, timingPolicy: 'per-question', timeBudget: null }))
+  }),
+
+  /**
+   * Version 5 has no scoring models; all its scores were total times.
+   *
+   * @param {{version: number, entries: object[]}} data - The version 5 data.
+   * @returns {{version: number, entries: HighScoreEntry[]}} The version 6 data.
+   */
+  5: (data) => ({
+    version: 6,
+    entries: (data.entries ?? []).map(entry => ({ ...entry, scoringModel: 'time', totalTime: entry.score }))
+  })
+}
+
+/**
+ * Brings stored data of any known version up to the current version.
+ *
+ * @param {object|object[]} data - The parsed data.
+ * @returns {{version: number, entries: HighScoreEntry[]}} The data in the current version.
+ * @throws {Error} If the data is of an unknown format or version.
+ */
+export function migrate (data) {
+  let current = Array.isArray(data) ? data : { ...data }
+  let version = Array.isArray(data) ? 1 : data?.version
+
+  while (version !== SCHEMA_VERSION) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`Unknown high score data version '${version}'.`)
+    }
+    current = MIGRATIONS[version](current)
+    version = current.version
+  }
+
+  return current
+}
+
+/**
+ * Tells whether an entry has a nickname and a valid score.
+ *
+ * @param {object} entry - The entry to check.
+ * @returns {boolean} True if the entry is valid.
+ */
+export function isValidEntry (entry) {
+  return Boolean(entry) &&
+    typeof entry.nickname === 'string' && entry.nickname.trim() !== '' &&
+    typeof entry.score === 'number' && Number.isFinite(entry.score) && entry.score >= 0
+}
+
+/**
+ * Tells whether two entries are the same run.
+ *
+ * @param {HighScoreEntry} a - An entry.
+ * @param {HighScoreEntry} b - Another entry.
+ * @returns {boolean} True if the entries have the same nickname, score and timestamp.
+ */
+export function isSameEntry (a, b) {
+  return a.nickname === b.nickname && a.score === b.score && a.timestamp === b.timestamp
+}
+
+/**
+ * Returns the leaderboard an entry is ranked on. Runs are only ranked against runs of the same
+ * game mode, comparable timing (see timingKey() in timing-policies.js) and scoring model.
+ *
+ * @param {HighScoreEntry} entry - The entry.
+ * @returns {string} The key of the leaderboard, e.g. 'ranked|per-question|time'.
+ */
+export function leaderboardOf (entry) {
+  return [entry.mode, timingKey(timingOf(entry)), scoringModelOf(entry).name].join('|')
+}
+
+/**
+ * Compares entries by scoring model, and then by score, best first in the direction of the
+ * model: the lowest time, or the most points with the faster run first on a tie. Entries of
+ * different models are never compared by score, so that every ordering is consistent.
+ *
+ * @param {HighScoreEntry} a - An entry.
+ * @param {HighScoreEntry} b - Another entry.
+ * @returns {number} A negative number if a comes before b, positive if after.
+ */
+export function compareEntries (a, b) {
+  const model = scoringModelOf(a)
+  const otherModel = scoringModelOf(b)
+  if (model.name !== otherModel.name) {
+    return model.name < otherModel.name ? -1 : 1
+  }
+
+  if (!model.higherIsBetter) {
+    return a.score - b.score
+  }
+  return (b.score - a.score) || ((a.totalTime ?? 0) - (b.totalTime ?? 0))
+}
+
+/**
+ * A store of high score entries, kept in Web Storage.
+ *
+ * @class
+ */
+export class HighScoreStore {
+  /**
+   * Creates an instance of the store. Nothing is read until the entries are first needed.
+   *
+   * @param {object} [options] - The store options.
+   * @param {Storage} [options.storage] - The storage to use, defaults to localStorage.
+   * @param {string} [options.key] - The storage key, defaults to 'highScores'.
+   * @param {number} [options.maxEntries] - The maximum number of entries to keep, defaults to 100.
+   */
+  constructor ({ storage = window.localStorage, key = 'highScores', maxEntries = 100 } = {}) {
+    this.storage = storage
+    this.key = key
+    this.maxEntries = maxEntries
+    this.entries = null
+
+    // Read the entries again if another tab changes them.
+    window.addEventListener('storage', (event) => {
+      if (event.key === this.key) {
+        this.entries = null
+      }
+    })
+  }
+
+  /**
+   * Returns all entries, by scoring model and best score first, see compareEntries().
+   *
+   * @returns {HighScoreEntry[]} A copy of the entries.
+   */
+  getAll () {
+    return [...this.load()].sort(compareEntries)
+  }
+
+  /**
+   * Adds an entry, unless it is invalid or already stored, and saves the list.
+   *
+   * @param {object} entry - The entry to add; missing fields are filled in as unknown.
+   * @returns {HighScoreEntry|null} The added entry, or null if it was not added.
+   */
+  add (entry) {
+    const newEntry = {
+      ...entry,
+      timestamp: entry.timestamp ?? null,
+      sourceId: entry.sourceId ?? null,
+      questionsAnswered: entry.questionsAnswered ?? null,
+      outcome: entry.outcome ?? 'unknown',
+      mode: entry.mode ?? 'ranked',
+      lifelines: entry.lifelines ?? [],
+      timingPolicy: entry.timingPolicy ?? 'per-question',
+      timeBudget: entry.timeBudget ?? null,
+      scoringModel: entry.scoringModel ?? 'time',
+      totalTime: entry.totalTime ?? ((entry.scoringModel ?? 'time') === 'time' ? entry.score : null)
+    }
+
+    if (!isValidEntry(newEntry) || this.load().some(existing => isSameEntry(existing, newEntry))) {
+      return null
+    }
+
+    this.entries.push(newEntry)
+    this.save()
+    return newEntry
+  }
+
+  /**
+   * Merges entries into the store, skipping those that are already stored, and saves the list once.
+   *
+   * @param {object[]} entries - The entries to merge.
+   * @returns {{added: number, duplicates: number}} How many entries were added and how many were duplicates.
+   */
+  merge (entries) {
+    const stored = this.load()
+    let added = 0
+
+    for (const entry of entries) {
+      if (isValidEntry(entry) && !stored.some(existing => isSameEntry(existing, entry))) {
+        stored.push({ ...entry })
+        added++
+      }
+    }
+
+    if (added > 0) {
+      this.save()
+    }
+    return { added, duplicates: entries.length - added }
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear () {
+    this.entries = []
+    this.save()
+  }
+
+  /**
+   * Loads the entries from storage the first time they are needed.
+   * Migrates older data, and moves corrupt data aside instead of throwing.
+   *
+   * @returns {HighScoreEntry[]} The entries.
+   */
+  load () {
+    if (this.entries) return this.entries
+
+    const raw = this.storage.getItem(this.key)
+    this.entries = []
+    if (raw === null) return this.entries
+
+    try {
+      const parsed = JSON.parse(raw)
+      this.entries = migrate(parsed).entries.filter(isValidEntry)
+      if (parsed.version !== SCHEMA_VERSION) {
+        this.save()
+      }
+    } catch (error) {
+      console.error(`Could not read the high scores, they are kept in '${this.key}.corrupt'.`, error)
+      this.storage.setItem(`${this.key}.corrupt`, raw)
+      this.storage.removeItem(this.key)
+    }
+
+    return this.entries
+  }
+
+  /**
+   * Prunes the entries to the maximum number and saves them.
+   */
+  save () {
+    this.prune()
+    this.storage.setItem(this.key, JSON.stringify({
+      version: SCHEMA_VERSION,
+      entries: this.entries
+    }))
+  }
+
+  /**
+   * Prunes the entries to the maximum number. Half of the places go to the best scores and
+   * the rest to the most recent runs, so that both the leaderboards and the history survive.
+   * The places for the best scores are shared by the leaderboards in turn: first the best run
+   * of every leaderboard, then the second best, and so on.
+   */
+  prune () {
+    if (this.entries.length <= this.maxEntries) return
+
+    const leaderboards = new Map()
+    for (const entry of [...this.entries].sort(compareEntries)) {
+      const key = leaderboardOf(entry)
+      leaderboards.set(key, [...(leaderboards.get(key) ?? []), entry])
+    }
+
+    const places = Math.ceil(this.maxEntries / 2)
+    const best = []
+    for (let rank = 0; best.length < places; rank++) {
+      for (const entries of leaderboards.values()) {
+        if (rank < entries.length && best.length < places) {
+          best.push(entries[rank])
+        }
+      }
+    }
+
+    const recent = this.entries
+      .filter(entry => !best.includes(entry))
+      .sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0))
+      .slice(0, this.maxEntries - best.length)
+
+    this.entries = this.entries.filter(entry => best.includes(entry) || recent.includes(entry))
+  }
+}
+
+/**
+ * The high score store of the application.
+ *
+ * @type {HighScoreStore}
+ */
+export const highScoreStore = new HighScoreStore()
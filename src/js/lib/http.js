@@ -0,0 +1,145 @@
+/**
+ * A small network layer on top of fetch, with request timeouts and bounded retries.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * An error for a request that did not produce a usable response.
+ *
+ * The 'kind' tells what went wrong:
+ * - 'timeout' - No complete response before the timeout.
+ * - 'network' - The request never reached the server, e.g. a dropped connection.
+ * - 'server' - The server responded with an unexpected status code.
+ * - 'malformed' - The response was not the JSON that was expected.
+ *
+ * @class
+ * @augments Error
+ * @property {string} kind - What went wrong.
+ * @property {number|null} status - The status code of the response, if there was one.
+ */
+export class RequestError extends Error {
+  /**
+   * Creates an instance of the request error.
+   *
+   * @param {string} message - The error message.
+   * @param {object} details - The error details.
+   * @param {string} details.kind - What went wrong.
+   * @param {number} [details.status] - The status code of the response.
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor (message, { kind, status = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'RequestError'
+    this.kind = kind
+    this.status = status
+  }
+
+  /**
+   * Whether the request may succeed if it is sent again.
+   *
+   * @type {boolean}
+   */
+  get retryable () {
+    return this.kind === 'timeout' || this.kind === 'network' || (this.kind === 'server' && this.status >= 500)
+  }
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @param {number} ms - The number of milliseconds to wait.
+ * @returns {Promise<void>} A promise that resolves after the wait.
+ */
+function wait (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Sends a single request and parses the JSON response. The timeout covers the whole response,
+ * so a body that stalls after the headers aborts the request as well.
+ *
+ * @param {string} url - The URL to request.
+ * @param {object} options - The request options.
+ * @param {string} options.method - The HTTP method.
+ * @param {object} [options.body] - A body to send as JSON.
+ * @param {number} options.timeout - Milliseconds to wait for the complete response before aborting.
+ * @returns {Promise<{status: number, ok: boolean, data: object|null}>} A promise that resolves with the response.
+ * @throws {RequestError} If the request times out, fails or the response is not JSON.
+ */
+async function send (url, { method, body, timeout }) {
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    let response
+    let text
+    try {
+      response = await fetch(url, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      })
+      text = await response.text()
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new RequestError(`No response within ${timeout / 1000} seconds.`, { kind: 'timeout', cause: error })
+      }
+      throw new RequestError('Could not reach the server.', { kind: 'network', cause: error })
+    }
+
+    let data = null
+    try {
+      data = text ? JSON.parse(text) : null
+    } catch (error) {
+      if (response.ok) {
+        throw new RequestError('The server responded with malformed data.', { kind: 'malformed', status: response.status, cause: error })
+      }
+    }
+
+    return { status: response.status, ok: response.ok, data }
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Sends a request and parses the JSON response.
+ *
+ * Requests time out after 'timeout' milliseconds. Failed GET requests are sent again up to
+ * 'retries' times when the failure may be temporary; other methods are never retried since
+ * they may already have reached the server.
+ *
+ * Responses with an error status are resolved, not rejected, so that the caller can tell
+ * expected statuses (such as a wrong answer) from errors.
+ *
+ * @param {string} url - The URL to request.
+ * @param {object} [options] - The request options.
+ * @param {string} [options.method] - The HTTP method, defaults to 'GET'.
+ * @param {object} [options.body] - A body to send as JSON.
+ * @param {number} [options.timeout] - Milliseconds to wait for each response, defaults to 8000.
+ * @param {number} [options.retries] - How many times to retry a failed GET request, defaults to 2.
+ * @param {number} [options.retryDelay] - Milliseconds to wait before the first retry, doubled for each retry.
+ * @returns {Promise<{status: number, ok: boolean, data: object|null}>} A promise that resolves with the response.
+ * @throws {RequestError} If no usable response could be had.
+ */
+export async function requestJson (url, { method = 'GET', body, timeout = 8000, retries = 2, retryDelay = 500 } = {}) {
+  const attempts = method === 'GET' ? retries + 1 : 1
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await send(url, { method, body, timeout })
+      if (response.status >= 500) {
+        throw new RequestError(`The server responded with status ${response.status}.`, { kind: 'server', status: response.status })
+      }
+      return response
+    } catch (error) {
+      if (attempt >= attempts || !error.retryable) {
+        throw error
+      }
+      await wait(retryDelay * 2 ** (attempt - 1))
+    }
+  }
+}
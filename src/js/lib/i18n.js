@@ -0,0 +1,256 @@
+/**
+ * Translation of the user interface, with a message catalog per locale in src/locales/.
+ *
+ * Messages are looked up by dotted keys, such as 'timer.timeLeft', and may contain placeholders:
+ * - {name} - The 'name' parameter; numbers are formatted for the locale.
+ * - {name, time} - A number of milliseconds, formatted as seconds like formatTime().
+ *
+ * A message that depends on a number is an object of plural forms, chosen by the 'count'
+ * parameter with Intl.PluralRules, e.g. { "one": "{count} second", "other": "{count} seconds" }.
+ * Messages missing from a catalog fall back to English.
+ *
+ * Elements show translated text by naming the message in a 'data-i18n' attribute, and attributes
+ * by naming it in 'data-i18n-title', 'data-i18n-aria-label' or 'data-i18n-placeholder'. The
+ * parameters go in 'data-i18n-params' as JSON. translate() fills them in, so components call it
+ * after rendering and again on the 'locale-changed' event, which is dispatched on window when
+ * the player chooses another locale. The choice is kept in localStorage.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import en from '../../locales/en.json'
+import sv from '../../locales/sv.json'
+
+/**
+ * A message to be translated later, such as a validation error found by a module that does not
+ * know the locale. It is shown with t(message.key, message.params).
+ *
+ * @typedef {object} Message
+ * @property {string} key - The dotted key of the message.
+ * @property {object} [params] - The parameters of the message.
+ */
+
+/**
+ * The message catalogs, by locale.
+ *
+ * @type {{[locale: string]: object}}
+ */
+export const CATALOGS = { en, sv }
+
+/**
+ * The locales, with their names in their own language, for the locale switcher.
+ *
+ * @type {{[locale: string]: string}}
+ */
+export const LOCALES = {
+  en: 'English',
+  sv: 'Svenska'
+}
+
+/**
+ * The locale used when neither the player nor the browser prefers a supported one.
+ *
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en'
+
+/**
+ * The localStorage key of the chosen locale.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'locale'
+
+/**
+ * The attributes that can be translated, besides the text.
+ *
+ * @type {string[]}
+ */
+const ATTRIBUTES = ['title', 'aria-label', 'placeholder']
+
+/**
+ * Finds the locale to start with: the one the player chose, or else the first of the browser's
+ * preferred languages that has a catalog.
+ *
+ * @returns {string} The locale.
+ */
+function initialLocale () {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (CATALOGS[stored]) return stored
+  } catch (error) {
+    console.error('Could not read the chosen locale.', error)
+  }
+
+  const preferred = (navigator.languages ?? [navigator.language])
+    .map(language => String(language).toLowerCase().split('-')[0])
+    .find(language => CATALOGS[language])
+  return preferred ?? DEFAULT_LOCALE
+}
+
+let locale = initialLocale()
+
+/**
+ * Returns the current locale.
+ *
+ * @returns {string} The locale, e.g. 'en'.
+ */
+export function getLocale () {
+  return locale
+}
+
+/**
+ * Changes the locale, remembers the choice, and translates the page.
+ *
+ * @param {string} newLocale - The locale, one of those in LOCALES.
+ * @returns {boolean} True if the locale was changed, false if it is unknown or already current.
+ * @fires CustomEvent#locale-changed - Dispatched on window with the 'locale' in the detail.
+ */
+export function setLocale (newLocale) {
+  if (!CATALOGS[newLocale] || newLocale === locale) return false
+
+  locale = newLocale
+  try {
+    localStorage.setItem(STORAGE_KEY, locale)
+  } catch (error) {
+    console.error('Could not save the chosen locale.', error)
+  }
+
+  applyToDocument()
+  window.dispatchEvent(new CustomEvent('locale-changed', { detail: { locale } }))
+  return true
+}
+
+/**
+ * Looks up a message in a catalog.
+ *
+ * @param {object} catalog - The catalog.
+ * @param {string} key - The dotted key of the message.
+ * @returns {string|object|undefined} The message, its plural forms, or undefined if it is missing.
+ */
+function lookup (catalog, key) {
+  const message = key.split('.').reduce((node, part) => node?.[part], catalog)
+  return typeof message === 'string' || typeof message?.other === 'string' ? message : undefined
+}
+
+/**
+ * Formats a number for the current locale.
+ *
+ * @param {number} value - The number.
+ * @param {Intl.NumberFormatOptions} [options] - The options of Intl.NumberFormat.
+ * @returns {string} The formatted number.
+ */
+export function formatNumber (value, options) {
+  return new Intl.NumberFormat(locale, options).format(value)
+}
+
+/**
+ * Formats a date for the current locale.
+ *
+ * @param {Date|number} date - The date, or a timestamp in milliseconds.
+ * @param {Intl.DateTimeFormatOptions} [options] - The options of Intl.DateTimeFormat, defaults to the date and the time.
+ * @returns {string} The formatted date.
+ */
+export function formatDate (date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Intl.DateTimeFormat(locale, options).format(date)
+}
+
+/**
+ * Formats a parameter of a message.
+ *
+ * @param {*} value - The value of the parameter.
+ * @param {string} [format] - The format in the placeholder, 'time' for milliseconds.
+ * @returns {string} The formatted value.
+ */
+function formatParam (value, format) {
+  if (format === 'time') {
+    return `${formatNumber(value / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} s`
+  }
+  return typeof value === 'number' ? formatNumber(value) : String(value)
+}
+
+/**
+ * Translates a message into the current locale.
+ *
+ * @param {string} key - The dotted key of the message.
+ * @param {object} [params] - The values of the placeholders, and the 'count' that chooses the plural form.
+ * @returns {string} The translated message, or the key if there is no such message.
+ */
+export function t (key, params = {}) {
+  let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key)
+  if (message === undefined) {
+    console.error(`No message '${key}' in the catalogs.`)
+    return key
+  }
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(locale).select(Number(params.count))
+    message = message[form] ?? message.other
+  }
+
+  return message.replace(/\{(\w+)(?:,\s*(\w+))?\}/g, (placeholder, name, format) =>
+    name in params ? formatParam(params[name], format) : placeholder)
+}
+
+/**
+ * Shows a translated message in an element, and marks the element so that translate() shows
+ * it in another locale later.
+ *
+ * @param {HTMLElement} element - The element.
+ * @param {string} key - The dotted key of the message.
+ * @param {object} [params] - The parameters of the message.
+ * @param {string} [attribute] - The attribute to set, one of 'title', 'aria-label' and 'placeholder', instead of the text.
+ */
+export function localize (element, key, params = {}, attribute = null) {
+  element.setAttribute(attribute ? `data-i18n-${attribute}` : 'data-i18n', key)
+  if (Object.keys(params).length > 0) {
+    element.setAttribute('data-i18n-params', JSON.stringify(params))
+  } else {
+    element.removeAttribute('data-i18n-params')
+  }
+  translateElement(element)
+}
+
+/**
+ * Shows the messages an element is marked with in the current locale.
+ *
+ * @param {Element} element - The element.
+ */
+function translateElement (element) {
+  let params = {}
+  try {
+    params = JSON.parse(element.getAttribute('data-i18n-params') ?? '{}')
+  } catch (error) {
+    console.error('Invalid data-i18n-params.', error)
+  }
+
+  if (element.hasAttribute('data-i18n')) {
+    element.textContent = t(element.getAttribute('data-i18n'), params)
+  }
+  for (const attribute of ATTRIBUTES) {
+    const key = element.getAttribute(`data-i18n-${attribute}`)
+    if (key) {
+      element.setAttribute(attribute, t(key, params))
+    }
+  }
+}
+
+/**
+ * Shows the messages of all marked elements in a document or shadow root in the current locale.
+ *
+ * @param {Document|ShadowRoot|Element} root - The root to translate.
+ */
+export function translate (root) {
+  const selector = ['[data-i18n]', ...ATTRIBUTES.map(attribute => `[data-i18n-${attribute}]`)].join(', ')
+  root.querySelectorAll(selector).forEach(translateElement)
+}
+
+/**
+ * Sets the language of the page and translates its marked elements.
+ */
+function applyToDocument () {
+  document.documentElement.lang = locale
+  translate(document)
+}
+
+applyToDocument()
@@ -0,0 +1,116 @@
+/**
+ * Views and statistics over the high score entries, for the leaderboard.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { compareEntries, isSameEntry } from './high-score-store.js'
+
+/**
+ * Returns the best entries.
+ *
+ * @param {object[]} entries - The entries.
+ * @param {number} count - How many entries to return.
+ * @returns {object[]} The best entries, best first.
+ */
+export function topEntries (entries, count) {
+  return [...entries].sort(compareEntries).slice(0, count)
+}
+
+/**
+ * Returns the entries of runs that ended on the same local day as a date.
+ *
+ * @param {object[]} entries - The entries.
+ * @param {Date} [date] - The day, defaults to today.
+ * @returns {object[]} The entries of the day, best first.
+ */
+export function entriesOfDay (entries, date = new Date()) {
+  const day = date.toDateString()
+  return entries
+    .filter(entry => entry.timestamp !== null && new Date(entry.timestamp).toDateString() === day)
+    .sort(compareEntries)
+}
+
+/**
+ * Returns the nicknames that have entries, in alphabetical order.
+ *
+ * @param {object[]} entries - The entries.
+ * @returns {string[]} The nicknames.
+ */
+export function nicknames (entries) {
+  return [...new Set(entries.map(entry => entry.nickname))].sort((a, b) => a.localeCompare(b))
+}
+
+/**
+ * Returns the history of a player with their personal best and average score.
+ *
+ * @param {object[]} entries - The entries, all of the same scoring model.
+ * @param {string} nickname - The nickname of the player.
+ * @returns {{entries: object[], best: object|null, average: number|null}} The runs of the player, most recent first, with the best entry and the average score in the unit of the scoring model.
+ */
+export function playerHistory (entries, nickname) {
+  const runs = entries
+    .filter(entry => entry.nickname === nickname)
+    .sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0))
+
+  return {
+    entries: runs,
+    best: topEntries(runs, 1)[0] ?? null,
+    average: runs.length > 0 ? runs.reduce((sum, entry) => sum + entry.score, 0) / runs.length : null
+  }
+}
+
+/**
+ * Computes aggregate statistics over all runs.
+ *
+ * Completion rate and questions per run only count runs whose outcome is known, and the
+ * average time only counts completed runs whose time is known.
+ *
+ * @param {object[]} entries - The entries.
+ * @returns {{runs: number, players: number, completionRate: number|null, averageTime: number|null, averageQuestions: number|null}} The statistics; rates are between 0 and 1 and times are in milliseconds.
+ */
+export function aggregateStats (entries) {
+  const known = entries.filter(entry => entry.outcome !== 'unknown')
+  const won = known.filter(entry => entry.outcome === 'won')
+  const answered = entries.filter(entry => entry.questionsAnswered !== null)
+
+  /**
+   * Averages a list of numbers.
+   *
+   * @param {number[]} values - The numbers.
+   * @returns {number|null} The average, or null for an empty list.
+   */
+  const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+
+  return {
+    runs: entries.length,
+    players: nicknames(entries).length,
+    completionRate: known.length > 0 ? won.length / known.length : null,
+    averageTime: average(won.filter(entry => Number.isFinite(entry.totalTime)).map(entry => entry.totalTime)),
+    averageQuestions: average(answered.map(entry => entry.questionsAnswered))
+  }
+}
+
+/**
+ * Tells whether a new entry beats all earlier entries, or the earlier entries of the same player.
+ * A first entry, or the first run of a player, is neither.
+ *
+ * @param {object[]} entries - All entries, including the new one.
+ * @param {object} newEntry - The new entry.
+ * @returns {string|null} 'record' if it is the best of all, 'personal-best' if it is the best of the player, otherwise null.
+ */
+export function classifyNewEntry (entries, newEntry) {
+  const others = entries.filter(entry => !isSameEntry(entry, newEntry))
+  const earlierRuns = others.filter(entry => entry.nickname === newEntry.nickname)
+  /**
+   * Tells whether the new entry is better than an entry.
+   *
+   * @param {object} entry - The entry to compare with.
+   * @returns {boolean} True if the new entry is better.
+   */
+  const beats = (entry) => compareEntries(newEntry, entry) < 0
+
+  if (others.length > 0 && others.every(beats)) return 'record'
+  if (earlierRuns.length > 0 && earlierRuns.every(beats)) return 'personal-best'
+  return null
+}
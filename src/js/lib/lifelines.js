@@ -0,0 +1,59 @@
+/**
+ * The lifelines a player can use once per run, and the logic of the 50/50 lifeline.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * The seconds the extra time lifeline adds.
+ *
+ * @type {number}
+ */
+export const EXTRA_TIME = 15
+
+/**
+ * The lifelines, by name, with the message keys of the label of their button and of a
+ * description.
+ *
+ * - fifty-fifty: Hides two wrong alternatives of a multiple-choice question.
+ * - extra-time: Adds EXTRA_TIME seconds to the running question.
+ * - skip: Moves on to the next question without answering.
+ *
+ * @type {{[name: string]: {label: string, description: string}}}
+ */
+export const LIFELINES = {
+  'fifty-fifty': { label: 'lifelines.fiftyFifty', description: 'lifelines.fiftyFiftyDescription' },
+  'extra-time': { label: 'lifelines.extraTime', description: 'lifelines.extraTimeDescription' },
+  skip: { label: 'lifelines.skip', description: 'lifelines.skipDescription' }
+}
+
+/**
+ * The parameters of the messages of the lifelines: the 'count' of seconds the extra time adds.
+ *
+ * @type {{count: number}}
+ */
+export const LIFELINE_PARAMS = { count: EXTRA_TIME }
+
+/**
+ * Picks the wrong alternatives that the 50/50 lifeline hides.
+ *
+ * Two wrong alternatives are hidden, but at least one is always left next to the correct one,
+ * so a question with three alternatives loses one and a question with two loses none.
+ *
+ * @param {{[key: string]: string}} alternatives - The alternatives of the question.
+ * @param {string} correctKey - The key of the correct alternative.
+ * @param {Function} [random] - Returns a random number in [0, 1), defaults to Math.random.
+ * @returns {string[]} The keys of the alternatives to hide.
+ */
+export function pickHiddenAlternatives (alternatives, correctKey, random = Math.random) {
+  const wrong = Object.keys(alternatives).filter(key => key !== correctKey)
+  const count = Math.min(2, wrong.length - 1)
+
+  const hidden = []
+  while (hidden.length < count) {
+    const [key] = wrong.splice(Math.floor(random() * wrong.length), 1)
+    hidden.push(key)
+  }
+  return hidden
+}
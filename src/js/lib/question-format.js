@@ -0,0 +1,159 @@
+/**
+ * The rules for well-formed questions and quiz packs, shared by the quiz question, which checks
+ * the questions it is served, and the quiz pack editor, which checks the questions it writes.
+ *
+ * The problems are messages of the 'format' section of the catalogs (see i18n.js), so that the
+ * editor can show them in the current locale.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { timingErrors } from './timing-policies.js'
+import { scoringModels } from './scoring-models.js'
+
+/**
+ * The built-in question types whose questions need a list of alternatives.
+ *
+ * @type {string[]}
+ */
+export const TYPES_WITH_ALTERNATIVES = ['multiple-choice', 'multi-select', 'ordering']
+
+/**
+ * Finds what is wrong with a question payload.
+ *
+ * @param {object} question - The question.
+ * @param {object} [options] - The rules to apply.
+ * @param {boolean} [options.served] - Whether the question is served to be answered, so it needs a 'nextURL'. Defaults to true.
+ * @param {string[]} [options.types] - The names of the known question types, if the type should be checked.
+ * @returns {import('./i18n.js').Message[]} The problems, empty if the question is well-formed.
+ */
+export function questionFormatErrors (question, { served = true, types } = {}) {
+  if (!question || typeof question !== 'object') {
+    return [{ key: 'format.questionMissing' }]
+  }
+
+  const errors = []
+  if (typeof question.question !== 'string' || question.question.trim() === '') {
+    errors.push({ key: 'format.noText' })
+  }
+  if (served && (typeof question.nextURL !== 'string' || question.nextURL === '')) {
+    errors.push({ key: 'format.noNextURL' })
+  }
+  if (question.limit !== undefined && !(Number(question.limit) > 0)) {
+    errors.push({ key: 'format.invalidLimit' })
+  }
+  if (question.type !== undefined && types && !types.includes(question.type)) {
+    errors.push({ key: 'format.unknownType', params: { type: String(question.type) } })
+  }
+
+  if (question.alternatives !== undefined) {
+    const alternatives = question.alternatives && typeof question.alternatives === 'object' && !Array.isArray(question.alternatives)
+      ? Object.values(question.alternatives)
+      : null
+    if (!alternatives || alternatives.length < 2 || alternatives.length > 10) {
+      errors.push({ key: 'format.alternativeCount' })
+    } else if (alternatives.some(alternative => typeof alternative === 'string' ? alternative.trim() === '' : typeof alternative?.src !== 'string')) {
+      errors.push({ key: 'format.emptyAlternative' })
+    }
+  } else if (TYPES_WITH_ALTERNATIVES.includes(question.type)) {
+    errors.push({ key: 'format.needsAlternatives' })
+  }
+
+  return errors
+}
+
+/**
+ * Finds what is wrong with a question of a quiz pack, including its answer.
+ *
+ * @param {object} question - The question, with its answer.
+ * @param {object} [options] - The rules to apply.
+ * @param {string[]} [options.types] - The names of the known question types, if the type should be checked.
+ * @returns {import('./i18n.js').Message[]} The problems, empty if the question is well-formed.
+ */
+export function packQuestionErrors (question, { types } = {}) {
+  const errors = questionFormatErrors(question, { served: false, types })
+  if (!question || typeof question !== 'object') return errors
+
+  const keys = Object.keys(question.alternatives && typeof question.alternatives === 'object' ? question.alternatives : {})
+  const answer = question.answer
+  const type = question.type ?? (keys.length >= 2 && keys.length <= 10 ? 'multiple-choice' : 'text')
+
+  switch (type) {
+    case 'multiple-choice':
+      if (!keys.includes(answer)) errors.push({ key: 'format.chooseCorrect' })
+      break
+    case 'multi-select':
+      if (!Array.isArray(answer) || answer.length === 0) {
+        errors.push({ key: 'format.chooseSomeCorrect' })
+      } else if (answer.some(key => !keys.includes(key))) {
+        errors.push({ key: 'format.unknownAlternatives' })
+      }
+      break
+    case 'ordering':
+      if (!Array.isArray(answer) || answer.length !== keys.length || keys.some(key => !answer.includes(key))) {
+        errors.push({ key: 'format.incompleteOrder' })
+      }
+      break
+    case 'numeric':
+      if (typeof answer !== 'number' || !Number.isFinite(answer)) errors.push({ key: 'format.answerNotNumber' })
+      if (question.tolerance !== undefined && !(Number(question.tolerance) >= 0)) errors.push({ key: 'format.negativeTolerance' })
+      break
+    case 'true-false':
+      if (!['true', 'false'].includes(String(answer))) errors.push({ key: 'format.answerNotBoolean' })
+      break
+    default:
+      if (answer === undefined || String(answer).trim() === '') errors.push({ key: 'format.noAnswer' })
+  }
+
+  if (question.pattern !== undefined) {
+    try {
+      RegExp(question.pattern, question.flags ?? 'iu')
+    } catch (error) {
+      errors.push({ key: 'format.invalidPattern', params: { reason: error.message } })
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Finds what is wrong with a quiz pack.
+ *
+ * @param {object} pack - The quiz pack.
+ * @param {object} [options] - The rules to apply.
+ * @param {string[]} [options.types] - The names of the known question types, if the types should be checked.
+ * @returns {import('./i18n.js').Message[]} The problems, empty if the pack is well-formed. The problems of a question
+ * also have the 'question' number, from 1.
+ */
+export function packErrors (pack, { types } = {}) {
+  if (!pack || typeof pack !== 'object' || !Array.isArray(pack.questions)) {
+    return [{ key: 'format.noQuestionList' }]
+  }
+
+  const errors = []
+  if (typeof pack.id !== 'string' || !/^[\w-]+$/.test(pack.id)) {
+    errors.push({ key: 'format.invalidPackId' })
+  }
+  if (typeof pack.title !== 'string' || pack.title.trim() === '') {
+    errors.push({ key: 'format.noTitle' })
+  }
+  if (pack.questions.length === 0) {
+    errors.push({ key: 'format.noQuestions' })
+  }
+  if (pack.timing !== undefined) {
+    errors.push(...timingErrors(pack.timing))
+  }
+  if (pack.scoring !== undefined && !scoringModels.get(pack.scoring)) {
+    errors.push({ key: 'format.unknownScoringModel', params: { models: scoringModels.names.join(', ') } })
+  }
+
+  const ids = pack.questions.map(question => question?.id)
+  pack.questions.forEach((question, index) => {
+    const questionErrors = packQuestionErrors(question, { types })
+    if (question?.id !== undefined && ids.indexOf(question.id) !== index) {
+      questionErrors.push({ key: 'format.duplicateId', params: { id: String(question.id) } })
+    }
+    errors.push(...questionErrors.map(error => ({ ...error, question: index + 1 })))
+  })
+  return errors
+}
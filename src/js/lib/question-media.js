@@ -0,0 +1,126 @@
+/**
+ * The media fields of a question payload.
+ *
+ * Besides its text, a question may have:
+ * - image: The URL of an image, or { src, alt }.
+ * - audio: The URL of an audio clip, or { src, description }.
+ * - code: A code snippet, or { source, language }.
+ *
+ * An alternative may be an image instead of a text: { src, alt }.
+ *
+ * Media URLs may be absolute, relative to the question, or data: URLs of images and audio.
+ * Other schemes are dropped.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * Resolves a media URL and checks that it is safe to load.
+ *
+ * @param {string} url - The URL, possibly relative.
+ * @param {string} [baseURL] - The URL that relative URLs are relative to, defaults to the document.
+ * @returns {string|null} The absolute URL, or null if it is invalid or of an unsafe scheme.
+ */
+export function resolveMediaURL (url, baseURL = document.baseURI) {
+  if (typeof url !== 'string' || url.trim() === '') return null
+
+  let resolved
+  try {
+    resolved = new URL(url.trim(), new URL(baseURL, document.baseURI))
+  } catch {
+    return null
+  }
+
+  if (['http:', 'https:', 'blob:'].includes(resolved.protocol)) {
+    return resolved.href
+  }
+  if (resolved.protocol === 'data:' && /^data:(image|audio)\//i.test(resolved.href)) {
+    return resolved.href
+  }
+  return null
+}
+
+/**
+ * Reads the image of a question or an alternative.
+ *
+ * @param {string|object} value - The URL of the image, or { src, alt }.
+ * @param {string} [fallbackAlt] - The alt text if none is given.
+ * @returns {{src: string, alt: string}|null} The image, or null if there is none or its URL is unsafe.
+ */
+export function toImage (value, fallbackAlt = 'Image') {
+  const src = resolveMediaURL(typeof value === 'string' ? value : value?.src)
+  if (!src) return null
+
+  return { src, alt: typeof value?.alt === 'string' ? value.alt : fallbackAlt }
+}
+
+/**
+ * Reads the audio clip of a question.
+ *
+ * @param {string|object} value - The URL of the clip, or { src, description }.
+ * @param {string} [fallbackDescription] - The description if none is given.
+ * @returns {{src: string, description: string}|null} The clip, or null if there is none or its URL is unsafe.
+ */
+export function toAudio (value, fallbackDescription = 'Audio clip for the question') {
+  const src = resolveMediaURL(typeof value === 'string' ? value : value?.src)
+  if (!src) return null
+
+  return { src, description: typeof value?.description === 'string' ? value.description : fallbackDescription }
+}
+
+/**
+ * Reads the code snippet of a question.
+ *
+ * @param {string|object} value - The code, or { source, language }.
+ * @returns {{source: string, language: string}|null} The snippet, or null if there is none.
+ */
+export function toCode (value) {
+  const source = typeof value === 'string' ? value : value?.source
+  if (typeof source !== 'string' || source === '') return null
+
+  const language = typeof value?.language === 'string' ? value.language.replace(/[^\w+-]/g, '') : ''
+  return { source, language }
+}
+
+/**
+ * Tells whether a question has media that must load before it is timed.
+ *
+ * @param {object} question - The question payload.
+ * @returns {boolean} True if the question or one of its alternatives has an image or audio.
+ */
+export function hasLoadingMedia (question) {
+  return Boolean(question?.image || question?.audio) ||
+    Object.values(question?.alternatives ?? {}).some(alternative => typeof alternative === 'object' && alternative !== null)
+}
+
+/**
+ * Makes the media URLs of a question absolute, relative to the URL it was fetched from, so that
+ * a server can refer to its own media with relative URLs.
+ *
+ * @param {object} question - The question payload.
+ * @param {string} baseURL - The URL the question was fetched from.
+ * @returns {object} A copy of the payload with absolute media URLs.
+ */
+export function resolveMediaURLs (question, baseURL) {
+  /**
+   * Resolves the URL of a media field.
+   *
+   * @param {string|object} value - The URL, or an object with 'src'.
+   * @returns {string|object} The value with an absolute URL, or the value itself if it has no URL.
+   */
+  const resolve = (value) => {
+    if (typeof value === 'string') return resolveMediaURL(value, baseURL) ?? value
+    if (typeof value?.src === 'string') return { ...value, src: resolveMediaURL(value.src, baseURL) ?? value.src }
+    return value
+  }
+
+  const resolved = { ...question }
+  if (question.image) resolved.image = resolve(question.image)
+  if (question.audio) resolved.audio = resolve(question.audio)
+  if (question.alternatives && typeof question.alternatives === 'object') {
+    resolved.alternatives = Object.fromEntries(Object.entries(question.alternatives).map(([key, alternative]) =>
+      [key, typeof alternative === 'object' ? resolve(alternative) : alternative]))
+  }
+  return resolved
+}
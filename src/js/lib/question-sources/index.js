@@ -0,0 +1,94 @@
+/**
+ * Question sources serve the questions of a quiz and check the answers.
+ *
+ * Every source implements the same interface, so the quiz application does not need to
+ * know where the questions come from. Sources reject with a RequestError from '../http.js'
+ * when a question or an answer cannot be transferred, which is never the case for a wrong answer.
+ *
+ * @typedef {object} QuestionSource
+ * @property {string} id - An identifier of the source, used when recording scores.
+ * @property {{policy: string, budget: number}|null} [timing] - Optional. The timing policy the quiz is meant to be played with, see timing-policies.js. The player may choose another one on the start screen.
+ * @property {string|null} [scoring] - Optional. The name of the scoring model the runs of the quiz are ranked by, see scoring-models.js.
+ * @property {function(): Promise<object>} getFirstQuestion - Gets the first question.
+ * @property {function(object, string): Promise<object>} submitAnswer - Submits an answer to a question and resolves with the response, which has 'correct' set to whether the answer was right and a 'nextURL' if the quiz continues.
+ * @property {function(string): Promise<object>} getNextQuestion - Gets the question at a 'nextURL'.
+ * @property {function(object): Promise<(string|null)>} [getAnswerKey] - Optional. Resolves with the accepted answer of a question, the key of the correct alternative for multiple-choice questions, or null if it is not known. Used by the 50/50 lifeline.
+ * @property {function(object): (string|null)} [getSkipURL] - Optional. Returns the URL of the question after the given one, so that a practice run can skip a question, or null if there is none. Sources that cannot tell, such as the REST API which only reveals the next question after a correct answer, leave it out.
+ */
+import { RestQuestionSource } from './rest-question-source.js'
+import { LocalQuestionSource } from './local-question-source.js'
+import samplePack from '../../../quiz-packs/sample.json'
+import questionTypesPack from '../../../quiz-packs/question-types.json'
+
+export { RestQuestionSource, LocalQuestionSource }
+
+/**
+ * An error for a source configuration that names an unknown source type or quiz pack.
+ *
+ * @class
+ * @augments Error
+ * @property {string} key - The message key of the reason, in the 'errors' section of the catalogs.
+ * @property {object} params - The parameters of the message.
+ */
+export class ConfigurationError extends Error {
+  /**
+   * Creates an instance of the configuration error.
+   *
+   * @param {string} key - The message key of the reason.
+   * @param {object} [params] - The parameters of the message.
+   */
+  constructor (key, params = {}) {
+    super(key)
+    this.name = 'ConfigurationError'
+    this.key = key
+    this.params = params
+  }
+}
+
+/**
+ * The URL of the first question of the courselab quiz.
+ *
+ * @type {string}
+ */
+export const DEFAULT_QUESTION_URL = 'https://courselab.lnu.se/quiz/question/1'
+
+/**
+ * The quiz packs bundled with the application, by id.
+ *
+ * @type {{[id: string]: object}}
+ */
+export const quizPacks = {
+  [samplePack.id]: samplePack,
+  [questionTypesPack.id]: questionTypesPack
+}
+
+/**
+ * Creates a question source from a plain configuration, such as the attributes of the
+ * quiz application.
+ *
+ * @param {object} [config] - The source configuration.
+ * @param {string} [config.type] - Either 'rest' (default) or 'local'.
+ * @param {string} [config.url] - The URL of the first question, for REST sources.
+ * @param {string} [config.answerKeyURL] - The URL of the answer keys, for REST sources that serve them, see RestQuestionSource.
+ * @param {string|object} [config.pack] - The id of a bundled quiz pack, or a quiz pack, for local sources.
+ * @returns {QuestionSource} The question source.
+ * @throws {ConfigurationError} If the type or the quiz pack is unknown.
+ */
+export function createQuestionSource ({ type = 'rest', url, pack, answerKeyURL } = {}) {
+  switch (type) {
+    case 'rest':
+      return new RestQuestionSource({ url: url || DEFAULT_QUESTION_URL, answerKeyURL })
+    case 'local': {
+      if (pack && typeof pack === 'object') {
+        return new LocalQuestionSource({ pack })
+      }
+      const id = pack || samplePack.id
+      if (!Object.hasOwn(quizPacks, id)) {
+        throw new ConfigurationError('errors.unknownQuizPack', { pack: String(id) })
+      }
+      return new LocalQuestionSource({ pack: quizPacks[id] })
+    }
+    default:
+      throw new ConfigurationError('errors.unknownSourceType', { type: String(type) })
+  }
+}
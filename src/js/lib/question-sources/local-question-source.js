@@ -0,0 +1,179 @@
+import { evaluateAnswer, withoutAnswer } from '../answer-evaluator.js'
+import { t, getLocale } from '../i18n.js'
+
+/**
+ * Writes the message of a verdict in the current locale, from what the matcher found out.
+ * The quiz pack editor shows the verdicts of its preview with it too.
+ *
+ * @param {import('../answer-evaluator.js').Verdict} verdict - The verdict.
+ * @returns {string} The message.
+ */
+export function verdictMessage ({ correct, matcher, details }) {
+  if (correct) return t('verdict.correct')
+
+  let explanation = ''
+  if (matcher === 'numeric' && details.difference === null) {
+    explanation = t('verdict.notANumber')
+  } else if (matcher === 'set') {
+    const parts = []
+    if (details.missing > 0) parts.push(t('verdict.missed', { count: details.missing }))
+    if (details.extra > 0) parts.push(t('verdict.extra', { count: details.extra }))
+    explanation = t('verdict.set', { parts: new Intl.ListFormat(getLocale()).format(parts) })
+  } else if (matcher === 'sequence') {
+    explanation = t('verdict.sequence', details)
+  }
+  return [t('verdict.wrong'), explanation].filter(Boolean).join(' ')
+}
+
+/**
+ * A question source that runs a quiz pack entirely in the browser.
+ *
+ * A quiz pack is a JSON document with an 'id', a 'title' and a list of 'questions'. Each
+ * question has the same fields as the REST API serves ('id', 'question', 'limit' and
+ * optionally 'alternatives') plus the 'answer' that is accepted as correct. The answer is
+ * never handed to the components, and the questions are linked together through 'local:'
+ * URLs so that the rest of the application can follow 'nextURL' just like with the REST API.
+ *
+ * The 'answer' of a multi-select or ordering question is a list of alternative keys, and of a
+ * numeric question a number. How answers are matched can be configured per question, see
+ * answer-evaluator.js.
+ *
+ * A pack may set the timing policy it is meant to be played with in 'timing', e.g.
+ * { "policy": "global-budget", "budget": 90 }, see timing-policies.js, and the scoring model
+ * its runs are ranked by in 'scoring', e.g. "points", see scoring-models.js.
+ *
+ * Questions may have media, see question-media.js. Relative media URLs in a bundled pack are
+ * relative to the page, so the media of a pack is best kept inline as data: URLs.
+ *
+ * @class
+ * @property {string} id - An identifier of the source, used when recording scores.
+ * @property {object} pack - The quiz pack the questions are served from.
+ * @property {object|null} timing - The timing policy of the quiz pack, or null if it has none.
+ * @property {string|null} scoring - The name of the scoring model of the quiz pack, or null if it has none.
+ */
+export class LocalQuestionSource {
+  /**
+   * Creates an instance of the local question source.
+   *
+   * @param {object} options - The source options.
+   * @param {object} options.pack - The quiz pack to serve.
+   */
+  constructor ({ pack } = {}) {
+    if (!pack || !Array.isArray(pack.questions) || pack.questions.length === 0) {
+      throw new TypeError('A local question source needs a quiz pack with at least one question.')
+    }
+
+    this.pack = pack
+    this.id = `pack:${pack.id}`
+    this.timing = pack.timing ?? null
+    this.scoring = pack.scoring ?? null
+  }
+
+  /**
+   * Gets the first question of the quiz pack.
+   *
+   * @returns {Promise<object>} A promise that resolves with the question payload.
+   */
+  async getFirstQuestion () {
+    return this.getNextQuestion(this.#url('question', 0))
+  }
+
+  /**
+   * Checks an answer against the answer of the quiz pack with the answer evaluator.
+   *
+   * Responds the way the REST API does: a correct answer gets the 'nextURL' of the next
+   * question, unless it was the last one, and a wrong answer gets 'correct' set to false.
+   * The response is the verdict of the evaluator, so it also tells how the answer was matched,
+   * with its message in the current locale.
+   *
+   * @param {object} question - The question being answered.
+   * @param {string} question.nextURL - The URL the answer is posted to.
+   * @param {string|string[]|number} answer - The submitted answer, see the question types of the quiz question.
+   * @returns {Promise<object>} A promise that resolves with the response payload, a Verdict with the 'nextURL' of the next question.
+   * @throws {Error} If the question has an invalid answer configuration.
+   */
+  async submitAnswer (question, answer) {
+    const index = this.#indexOf(question.nextURL, 'answer')
+    const evaluated = evaluateAnswer(this.pack.questions[index], answer)
+    const verdict = { ...evaluated, message: verdictMessage(evaluated) }
+
+    if (!verdict.correct || index + 1 >= this.pack.questions.length) {
+      return verdict
+    }
+
+    return {
+      ...verdict,
+      nextURL: this.#url('question', index + 1)
+    }
+  }
+
+  /**
+   * Gets the question at the given 'local:' URL.
+   *
+   * @param {string} url - The URL of the question.
+   * @returns {Promise<object>} A promise that resolves with the question payload.
+   */
+  async getNextQuestion (url) {
+    const index = this.#indexOf(url, 'question')
+    const question = withoutAnswer(this.pack.questions[index])
+
+    return {
+      ...question,
+      id: question.id ?? index + 1,
+      nextURL: this.#url('answer', index)
+    }
+  }
+
+  /**
+   * Looks up the answer of a question in the quiz pack.
+   *
+   * @param {object} question - The question.
+   * @param {string} question.nextURL - The URL the answer is posted to.
+   * @returns {Promise<string>} A promise that resolves with the accepted answer.
+   */
+  async getAnswerKey (question) {
+    return String(this.pack.questions[this.#indexOf(question.nextURL, 'answer')].answer)
+  }
+
+  /**
+   * Returns the URL of the question after the given one, for skipping a question in practice.
+   *
+   * @param {object} question - The question to skip.
+   * @param {string} question.nextURL - The URL the answer is posted to.
+   * @returns {string|null} The URL of the next question, or null if it is the last one.
+   */
+  getSkipURL (question) {
+    const index = this.#indexOf(question.nextURL, 'answer')
+    return index + 1 < this.pack.questions.length ? this.#url('question', index + 1) : null
+  }
+
+  /**
+   * Builds a 'local:' URL for a question of the pack.
+   *
+   * @param {string} kind - Either 'question' or 'answer'.
+   * @param {number} index - The position of the question in the pack.
+   * @returns {string} The URL.
+   */
+  #url (kind, index) {
+    return `local:${this.pack.id}/${kind}/${index + 1}`
+  }
+
+  /**
+   * Resolves a 'local:' URL to the position of a question in the pack.
+   *
+   * @param {string} url - The URL to resolve.
+   * @param {string} kind - The kind of URL that is expected, 'question' or 'answer'.
+   * @returns {number} The position of the question in the pack.
+   * @throws {Error} If the URL does not point to a question of this pack.
+   */
+  #indexOf (url, kind) {
+    const match = /^local:([^/]+)\/(question|answer)\/(\d+)$/.exec(url)
+    const index = match ? parseInt(match[3]) - 1 : -1
+
+    if (!match || match[1] !== String(this.pack.id) || match[2] !== kind || !this.pack.questions[index]) {
+      throw new Error(`Unknown ${kind} URL '${url}' for quiz pack '${this.pack.id}'.`)
+    }
+
+    return index
+  }
+}
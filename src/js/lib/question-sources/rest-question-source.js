@@ -0,0 +1,122 @@
+import { requestJson, RequestError } from '../http.js'
+import { resolveMediaURLs } from '../question-media.js'
+import { t } from '../i18n.js'
+
+/**
+ * A question source that talks to a RESTful quiz API, such as the one on courselab.
+ *
+ * The first question is fetched from the start URL. Every question carries a 'nextURL'
+ * that the answer is posted to, and a correct answer responds with the 'nextURL' of the
+ * next question. A wrong answer is answered with status 400.
+ *
+ * Servers that reveal the answers, such as the mock quiz server, can serve the 50/50 lifeline.
+ * Their answer key URL contains '{id}', which is replaced with the id of the question, and
+ * responds with { answer }.
+ *
+ * Media URLs in a question may be relative to the URL of the question.
+ *
+ * @class
+ * @property {string} id - An identifier of the source, used when recording scores.
+ * @property {string} startURL - The URL of the first question.
+ */
+export class RestQuestionSource {
+  /**
+   * Creates an instance of the REST question source.
+   *
+   * @param {object} options - The source options.
+   * @param {string} options.url - The URL of the first question.
+   * @param {string} [options.id] - An identifier of the source, defaults to the origin of the URL.
+   * @param {number} [options.timeout] - Milliseconds to wait for each response.
+   * @param {number} [options.retries] - How many times to retry fetching a question.
+   * @param {string} [options.answerKeyURL] - The URL of the answer key of a question, with '{id}' in place of the question id.
+   */
+  constructor ({ url, id, timeout, retries, answerKeyURL } = {}) {
+    if (!url) {
+      throw new TypeError('A REST question source needs the URL of the first question.')
+    }
+
+    this.startURL = url
+    this.id = id || new URL(url, window.location.href).host
+    this.requestOptions = { timeout, retries }
+    this.answerKeyURL = answerKeyURL || null
+  }
+
+  /**
+   * Fetches the first question of the quiz.
+   *
+   * @returns {Promise<object>} A promise that resolves with the question payload.
+   */
+  async getFirstQuestion () {
+    return this.getNextQuestion(this.startURL)
+  }
+
+  /**
+   * Posts an answer to the 'nextURL' of the question.
+   *
+   * @param {object} question - The question being answered.
+   * @param {string} question.nextURL - The URL to post the answer to.
+   * @param {string} answer - The answer to submit.
+   * @returns {Promise<object>} A promise that resolves with the response payload, with 'correct' set to false if the answer was wrong.
+   * @throws {RequestError} If the answer could not be submitted.
+   */
+  async submitAnswer (question, answer) {
+    const { status, ok, data } = await requestJson(question.nextURL, {
+      ...this.requestOptions,
+      method: 'POST',
+      body: { answer }
+    })
+
+    if (status === 400) {
+      return { ...data, message: data?.message || t('verdict.wrong'), correct: false }
+    }
+    if (!ok) {
+      throw new RequestError(`The server responded with status ${status}.`, { kind: 'server', status })
+    }
+
+    return { ...data, correct: true }
+  }
+
+  /**
+   * Fetches the answer of a question from the answer key URL.
+   *
+   * @param {object} question - The question.
+   * @param {number|string} question.id - The id of the question.
+   * @returns {Promise<string|null>} A promise that resolves with the accepted answer, or null if the source has no answer key URL.
+   * @throws {RequestError} If the answer key could not be fetched.
+   */
+  async getAnswerKey (question) {
+    if (!this.answerKeyURL) return null
+
+    const url = this.answerKeyURL.replace('{id}', encodeURIComponent(question.id))
+    const { status, ok, data } = await requestJson(url, this.requestOptions)
+
+    if (!ok) {
+      throw new RequestError(`The server responded with status ${status}.`, { kind: 'server', status })
+    }
+    if (!data || data.answer === undefined || data.answer === null) {
+      throw new RequestError('The answer key has no answer.', { kind: 'malformed' })
+    }
+
+    return String(data.answer)
+  }
+
+  /**
+   * Fetches the question at the given URL.
+   *
+   * @param {string} url - The URL of the question.
+   * @returns {Promise<object>} A promise that resolves with the question payload, with absolute media URLs.
+   * @throws {RequestError} If the question could not be fetched.
+   */
+  async getNextQuestion (url) {
+    const { status, ok, data } = await requestJson(url, this.requestOptions)
+
+    if (!ok) {
+      throw new RequestError(`The server responded with status ${status}.`, { kind: 'server', status })
+    }
+    if (!data || typeof data.question !== 'string' || !data.nextURL) {
+      throw new RequestError('The server responded with something that is not a question.', { kind: 'malformed', status })
+    }
+
+    return resolveMediaURLs(data, url)
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Safe rendering of untrusted text into HTML.
+ *
+ * Everything is escaped, and question texts may use a small markup subset on top of that:
+ * - **bold** or __bold__
+ * - *italics* or _italics_
+ * - `inline code`
+ * - fenced code blocks, between lines of ``` with an optional language name
+ *
+ * Blank lines separate paragraphs and single line breaks are kept. No other HTML is ever produced,
+ * so the result can be assigned to innerHTML.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * The characters that must be escaped in HTML text and attribute values.
+ *
+ * @type {{[char: string]: string}}
+ */
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+/**
+ * Escapes text for use in HTML, both as content and in quoted attribute values.
+ *
+ * @param {*} text - The text to escape; other values are converted to strings.
+ * @returns {string} The escaped text.
+ */
+export function escapeHTML (text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ENTITIES[char])
+}
+
+/**
+ * Renders bold and italics in escaped text.
+ *
+ * Underscores only count at word boundaries, so identifiers such as snake_case_names are left alone.
+ *
+ * @param {string} escaped - The escaped text.
+ * @returns {string} The HTML.
+ */
+function renderEmphasis (escaped) {
+  return escaped
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/\b__(?=\S)([\s\S]*?\S)__\b/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/\b_(?=\S)([\s\S]*?\S)_\b/g, '<em>$1</em>')
+}
+
+/**
+ * Marks the place of inline code while bold and italics are rendered. It is a character from
+ * the Unicode private use area, which is removed from the text beforehand.
+ *
+ * @type {string}
+ */
+const PLACEHOLDER = '\uE000'
+
+/**
+ * Renders a paragraph with inline code, bold and italics. Markup inside inline code is kept as
+ * text, while inline code may itself be bold or in italics.
+ *
+ * @param {string} text - The text of the paragraph.
+ * @returns {string} The HTML of the paragraph.
+ */
+function renderParagraph (text) {
+  const codes = []
+  const withPlaceholders = text
+    .replaceAll(PLACEHOLDER, '')
+    .replace(/`([^`\n]+)`/g, (match, code) => {
+      codes.push(code)
+      return `${PLACEHOLDER}${codes.length - 1}${PLACEHOLDER}`
+    })
+
+  const html = renderEmphasis(escapeHTML(withPlaceholders))
+    .replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => `<code>${escapeHTML(codes[index])}</code>`)
+
+  return `<p>${html.replace(/\n/g, '<br>')}</p>`
+}
+
+/**
+ * Renders untrusted text with the markup subset into safe HTML.
+ *
+ * @param {*} text - The text to render; other values are converted to strings.
+ * @returns {string} The HTML.
+ */
+export function renderRichText (text) {
+  const source = String(text ?? '').replace(/\r\n?/g, '\n')
+  const blocks = []
+  const fence = /^```[ \t]*([\w+-]*)[ \t]*\n([\s\S]*?)\n?^```[ \t]*$/gm
+  let position = 0
+
+  /**
+   * Renders the paragraphs of the text between code blocks.
+   *
+   * @param {string} part - The text.
+   */
+  const addParagraphs = (part) => {
+    part.split(/\n[ \t]*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .forEach(paragraph => blocks.push(renderParagraph(paragraph)))
+  }
+
+  for (const match of source.matchAll(fence)) {
+    addParagraphs(source.slice(position, match.index))
+    const [, language, code] = match
+    const languageClass = language ? ` class="language-${escapeHTML(language)}"` : ''
+    blocks.push(`<pre><code${languageClass}>${escapeHTML(code)}</code></pre>`)
+    position = match.index + match[0].length
+  }
+  addParagraphs(source.slice(position))
+
+  return blocks.join('')
+}
@@ -0,0 +1,115 @@
+/**
+ * The summary of a finished run, shown after the game: how far the player got, where the time
+ * went, and how the run compares with the player's personal best and the other runs.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { compareEntries, isSameEntry, leaderboardOf } from './high-score-store.js'
+
+/**
+ * An attempt at a question, as shown in the summary.
+ *
+ * @typedef {object} SummaryAttempt
+ * @property {number} number - The position of the attempt in the run, from 1.
+ * @property {string} text - The text of the question.
+ * @property {string} result - What happened, see RESULTS in run-transcript.js.
+ * @property {number} timeSpent - The time spent on the question in milliseconds.
+ */
+
+/**
+ * The summary of a run.
+ *
+ * @typedef {object} RunSummary
+ * @property {number} questionsReached - How many different questions the player was shown.
+ * @property {number} correctAnswers - How many questions were answered correctly.
+ * @property {SummaryAttempt[]} attempts - The attempts, in the order they were made.
+ * @property {SummaryAttempt|null} fastest - The answered question that took the least time.
+ * @property {SummaryAttempt|null} slowest - The question that took the most time, timeouts included.
+ * @property {number|null} score - The score of the run in the unit of its scoring model, or null if the run was not recorded.
+ * @property {{previous: number, difference: number}|null} personalBest - The player's earlier
+ * best score in the same category, timing policy and scoring model, and how much higher (positive)
+ * or lower (negative) the score of this run was, or null if it is the player's first run or the run was not recorded.
+ * @property {{position: number, of: number}|null} rank - The place of the run among all runs of
+ * its category, timing policy and scoring model, or null if the run was not recorded.
+ */
+
+/**
+ * Returns what identifies a question in a run, so that retries count as one question.
+ *
+ * @param {object} question - The question payload.
+ * @returns {*} The id of the question, or the question itself if it has none.
+ */
+function questionIdentity (question) {
+  return question.id ?? question.question ?? question
+}
+
+/**
+ * Summarizes a finished run.
+ *
+ * @param {object} transcript - The transcript of the run, see run-transcript.js.
+ * @param {object[]} entries - All high score entries, including the one of the run.
+ * @param {object|null} entry - The high score entry of the run, or null if it was not recorded.
+ * @returns {RunSummary} The summary.
+ */
+export function summarizeRun (transcript, entries, entry) {
+  const attempts = transcript.questions.map((attempt, index) => ({
+    number: index + 1,
+    text: String(attempt.question.question ?? attempt.question.id ?? ''),
+    result: attempt.result,
+    timeSpent: attempt.timeSpent
+  }))
+
+  const answered = attempts.filter(attempt => ['correct', 'wrong'].includes(attempt.result))
+  const timed = attempts.filter(attempt => attempt.result !== 'skipped')
+
+  return {
+    questionsReached: new Set(transcript.questions.map(attempt => questionIdentity(attempt.question))).size,
+    correctAnswers: attempts.filter(attempt => attempt.result === 'correct').length,
+    attempts,
+    fastest: answered.reduce((best, attempt) => !best || attempt.timeSpent < best.timeSpent ? attempt : best, null),
+    slowest: timed.reduce((worst, attempt) => !worst || attempt.timeSpent > worst.timeSpent ? attempt : worst, null),
+    score: entry ? entry.score : null,
+    personalBest: entry ? comparePersonalBest(entries, entry) : null,
+    rank: entry ? rankOf(entries, entry) : null
+  }
+}
+
+/**
+ * Tells whether two entries are on the same leaderboard: the same game mode and scoring model,
+ * and a comparable timing policy.
+ *
+ * @param {object} a - An entry.
+ * @param {object} b - Another entry.
+ * @returns {boolean} True if the runs can be compared.
+ */
+function isComparable (a, b) {
+  return leaderboardOf(a) === leaderboardOf(b)
+}
+
+/**
+ * Compares an entry with the best earlier entry of the same player in the same category.
+ *
+ * @param {object[]} entries - All entries.
+ * @param {object} entry - The entry of the run.
+ * @returns {{previous: number, difference: number}|null} The earlier best score and the difference in the unit of the scoring model, or null if there is no earlier run.
+ */
+function comparePersonalBest (entries, entry) {
+  const [best] = entries
+    .filter(other => other.nickname === entry.nickname && isComparable(other, entry) && !isSameEntry(other, entry))
+    .sort(compareEntries)
+  return best ? { previous: best.score, difference: entry.score - best.score } : null
+}
+
+/**
+ * Finds the place of an entry among the entries of its category, best first.
+ *
+ * @param {object[]} entries - All entries.
+ * @param {object} entry - The entry of the run.
+ * @returns {{position: number, of: number}|null} The place from 1, and the number of entries, or null if the entry is not among them.
+ */
+function rankOf (entries, entry) {
+  const category = entries.filter(other => isComparable(other, entry)).sort(compareEntries)
+  const index = category.findIndex(other => isSameEntry(other, entry))
+  return index === -1 ? null : { position: index + 1, of: category.length }
+}
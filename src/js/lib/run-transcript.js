@@ -0,0 +1,367 @@
+/**
+ * Transcripts of quiz runs: every question of a run, the answer the player gave, the verdict of
+ * the question source and the time it took, and how the run ended. Quiz authors use them to find
+ * the questions players fail or run out of time on.
+ *
+ * The transcripts of the latest runs are kept in localStorage, and a transcript can be exported
+ * as JSON or as a Markdown report.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { t, formatDate } from './i18n.js'
+import { formatTime } from './format-time.js'
+import { LIFELINES, LIFELINE_PARAMS } from './lifelines.js'
+import { describeTiming, resolveTiming } from './timing-policies.js'
+import { scoringModels } from './scoring-models.js'
+
+/**
+ * The current version of a stored or exported transcript.
+ *
+ * @type {number}
+ */
+export const TRANSCRIPT_VERSION = 1
+
+/**
+ * What happened to a question in a run.
+ *
+ * - correct: The answer was right.
+ * - wrong: The answer was wrong.
+ * - timeout: The time ran out before an answer was given.
+ * - skipped: The player skipped the question with the skip lifeline, or after a practice mistake.
+ *
+ * @type {string[]}
+ */
+export const RESULTS = ['correct', 'wrong', 'timeout', 'skipped']
+
+/**
+ * How a run may end: won, lost on a wrong answer or a timeout, or quit before the end.
+ *
+ * @type {string[]}
+ */
+export const OUTCOMES = ['won', 'wrong', 'timeout', 'quit']
+
+/**
+ * An attempt at a question. A question retried in a practice run has one attempt per try.
+ *
+ * @typedef {object} TranscriptQuestion
+ * @property {object} question - The question payload, as served by the question source.
+ * @property {*} answer - The answer submitted, or null if none was.
+ * @property {string} result - What happened, one of RESULTS.
+ * @property {string|null} message - The message from the question source about the answer.
+ * @property {number} timeSpent - The time spent on the question in milliseconds.
+ * @property {number|null} [timeLimit] - The time the question had in seconds, or null if it was not timed.
+ * @property {string[]} lifelines - The lifelines used on the question.
+ * @property {number} answeredAt - When the attempt ended, in milliseconds since the epoch.
+ */
+
+/**
+ * The transcript of a run.
+ *
+ * @typedef {object} RunTranscript
+ * @property {number} version - The version of the data.
+ * @property {string} nickname - The nickname of the player.
+ * @property {string|null} sourceId - The id of the question source the run was played from.
+ * @property {string} mode - The game mode, 'ranked' or 'practice'.
+ * @property {{policy: string, budget: number}} [timing] - The timing of the run, see timing-policies.js; a time limit per question if missing.
+ * @property {string} [scoringModel] - The scoring model of the run, see scoring-models.js; 'time' if missing.
+ * @property {number} startedAt - When the run started, in milliseconds since the epoch.
+ * @property {number|null} endedAt - When the run ended, or null while it is in progress.
+ * @property {string|null} outcome - How the run ended, one of OUTCOMES, or null while it is in progress.
+ * @property {number|null} score - The score the run was ranked by, in the unit of its scoring model, or null while it is in progress.
+ * @property {number|null} [totalTime] - The total time of the run in milliseconds, or null while it is in progress.
+ * @property {TranscriptQuestion[]} questions - The questions of the run, in the order they were shown.
+ */
+
+/**
+ * Starts the transcript of a run.
+ *
+ * @param {object} run - The run.
+ * @param {string} run.nickname - The nickname of the player.
+ * @param {string|null} run.sourceId - The id of the question source.
+ * @param {string} run.mode - The game mode.
+ * @param {object} [run.timing] - The timing of the run, see timing-policies.js.
+ * @param {string} [run.scoringModel] - The scoring model of the run, see scoring-models.js.
+ * @returns {RunTranscript} The transcript, without questions.
+ */
+export function createTranscript ({ nickname, sourceId, mode, timing, scoringModel }) {
+  return {
+    version: TRANSCRIPT_VERSION,
+    nickname,
+    sourceId: sourceId ?? null,
+    mode,
+    timing: resolveTiming(timing),
+    scoringModel: scoringModels.resolve(scoringModel).name,
+    startedAt: Date.now(),
+    endedAt: null,
+    outcome: null,
+    score: null,
+    totalTime: null,
+    questions: []
+  }
+}
+
+/**
+ * Adds an attempt at a question to a transcript. The lifelines used on it are those of the run
+ * that no earlier attempt has claimed.
+ *
+ * @param {RunTranscript} transcript - The transcript.
+ * @param {object} attempt - The attempt.
+ * @param {object} attempt.question - The question payload.
+ * @param {*} [attempt.answer] - The answer submitted.
+ * @param {string} attempt.result - What happened, one of RESULTS.
+ * @param {string} [attempt.message] - The message from the question source.
+ * @param {number} attempt.timeSpent - The time spent on the question in milliseconds.
+ * @param {number|null} [attempt.timeLimit] - The time the question had in seconds, or null if it was not timed.
+ * @param {string[]} lifelinesUsed - All lifelines used in the run so far.
+ * @returns {TranscriptQuestion} The recorded attempt.
+ */
+export function recordQuestion (transcript, { question, answer = null, result, message = null, timeSpent, timeLimit = null }, lifelinesUsed) {
+  const claimed = transcript.questions.reduce((count, attempt) => count + attempt.lifelines.length, 0)
+  const attempt = {
+    question,
+    answer,
+    result,
+    message: message ?? null,
+    timeSpent,
+    timeLimit,
+    lifelines: lifelinesUsed.slice(claimed),
+    answeredAt: Date.now()
+  }
+
+  transcript.questions.push(attempt)
+  return attempt
+}
+
+/**
+ * Records how a run ended.
+ *
+ * @param {RunTranscript} transcript - The transcript.
+ * @param {string} outcome - How the run ended, one of OUTCOMES.
+ * @param {object} result - The result of the run.
+ * @param {number} result.score - The score of the run in the unit of its scoring model.
+ * @param {number} result.totalTime - The total time of the run in milliseconds.
+ * @returns {RunTranscript} The transcript.
+ */
+export function finishTranscript (transcript, outcome, { score, totalTime }) {
+  transcript.outcome = outcome
+  transcript.score = score
+  transcript.totalTime = totalTime
+  transcript.endedAt = Date.now()
+  return transcript
+}
+
+/**
+ * Returns the total time of a finished run. Transcripts from before scoring models were
+ * scored by time, so their score is the total time.
+ *
+ * @param {RunTranscript} transcript - The transcript.
+ * @returns {number|null} The total time in milliseconds, or null while the run is in progress.
+ */
+export function totalTimeOf (transcript) {
+  return transcript.totalTime ?? transcript.score
+}
+
+/**
+ * Tells whether stored data is a transcript.
+ *
+ * @param {object} transcript - The parsed data.
+ * @returns {boolean} True if the transcript is valid.
+ */
+export function isValidTranscript (transcript) {
+  return Boolean(transcript) &&
+    transcript.version === TRANSCRIPT_VERSION &&
+    typeof transcript.nickname === 'string' &&
+    Number.isFinite(transcript.startedAt) &&
+    Array.isArray(transcript.questions) &&
+    transcript.questions.every(attempt => Boolean(attempt) && typeof attempt.question === 'object' &&
+      RESULTS.includes(attempt.result) && Number.isFinite(attempt.timeSpent) && Array.isArray(attempt.lifelines))
+}
+
+/**
+ * Exports a transcript as a JSON document.
+ *
+ * @param {RunTranscript} transcript - The transcript.
+ * @returns {string} The JSON document.
+ */
+export function transcriptToJSON (transcript) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    ...transcript
+  }, null, 2)
+}
+
+/**
+ * Describes an alternative in words: its text, or the description of its image.
+ *
+ * @param {string|object} alternative - The alternative.
+ * @returns {string} The description.
+ */
+function describeAlternative (alternative) {
+  return typeof alternative === 'string' ? alternative : alternative?.alt ?? alternative?.src ?? ''
+}
+
+/**
+ * Describes an answer in words. Keys of alternatives are followed by the alternative.
+ *
+ * @param {*} answer - The answer.
+ * @param {object} question - The question payload.
+ * @returns {string} The description.
+ */
+export function describeAnswer (answer, question) {
+  if (answer === null || answer === undefined || answer === '') return '–'
+
+  const alternatives = question?.alternatives ?? {}
+  /**
+   * Describes one value of the answer.
+   *
+   * @param {*} value - The value, possibly the key of an alternative.
+   * @returns {string} The description.
+   */
+  const describe = value => Object.hasOwn(alternatives, value)
+    ? `${value} (${describeAlternative(alternatives[value])})`
+    : String(value)
+  return Array.isArray(answer) ? answer.map(describe).join(', ') : describe(answer)
+}
+
+/**
+ * Names the lifelines of an attempt in the current locale.
+ *
+ * @param {string[]} lifelines - The names of the lifelines.
+ * @returns {string} Their labels, separated by commas.
+ */
+export function lifelineLabels (lifelines) {
+  return lifelines.map(name => Object.hasOwn(LIFELINES, name) ? t(LIFELINES[name].label, LIFELINE_PARAMS) : name).join(', ')
+}
+
+/**
+ * Puts text on a single Markdown line, so that line breaks in it do not break the list.
+ *
+ * @param {*} text - The text.
+ * @returns {string} The text on one line.
+ */
+function oneLine (text) {
+  return String(text).replace(/\s*\n\s*/g, ' ')
+}
+
+/**
+ * Exports a transcript as a Markdown report in the current locale, with a section per attempt.
+ *
+ * @param {RunTranscript} transcript - The transcript.
+ * @returns {string} The Markdown document.
+ */
+export function transcriptToMarkdown (transcript) {
+  const lines = [
+    `# ${t('transcript.reportHeading', { nickname: transcript.nickname })}`,
+    '',
+    `- ${t('transcript.source')}: ${transcript.sourceId ?? '–'}`,
+    `- ${t('transcript.mode')}: ${t(`highScore.${transcript.mode}`)}`,
+    `- ${t('transcript.timing')}: ${describeTiming(resolveTiming(transcript.timing))}`,
+    `- ${t('transcript.scoring')}: ${t(scoringModels.resolve(transcript.scoringModel).label)}`,
+    `- ${t('transcript.started')}: ${formatDate(transcript.startedAt)}`,
+    `- ${t('transcript.outcome')}: ${t(`transcript.outcomes.${transcript.outcome ?? 'inProgress'}`)}`
+  ]
+  if (transcript.score !== null) {
+    const model = scoringModels.resolve(transcript.scoringModel)
+    lines.push(`- ${t('transcript.totalTime')}: ${formatTime(totalTimeOf(transcript))}`)
+    if (model.name !== 'time') {
+      lines.push(`- ${t('transcript.score')}: ${model.format(transcript.score)}`)
+    }
+  }
+
+  transcript.questions.forEach((attempt, index) => {
+    const { question } = attempt
+    lines.push('', `## ${index + 1}. ${oneLine(question.question ?? question.id ?? '')}`, '')
+    if (question.alternatives) {
+      const alternatives = Object.entries(question.alternatives)
+        .map(([key, value]) => `${key}: ${describeAlternative(value)}`)
+      lines.push(`- ${t('transcript.alternatives')}: ${oneLine(alternatives.join('; '))}`)
+    }
+    lines.push(
+      `- ${t('transcript.answer')}: ${oneLine(describeAnswer(attempt.answer, question))}`,
+      `- ${t('transcript.result')}: ${t(`transcript.results.${attempt.result}`)}`
+    )
+    if (attempt.message) {
+      lines.push(`- ${t('transcript.message')}: ${oneLine(attempt.message)}`)
+    }
+    lines.push(`- ${t('transcript.time')}: ${formatTime(attempt.timeSpent)}`)
+    if (attempt.lifelines.length > 0) {
+      lines.push(`- ${t('transcript.lifelines')}: ${lifelineLabels(attempt.lifelines)}`)
+    }
+  })
+
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * A store of the transcripts of the latest runs, kept in Web Storage.
+ *
+ * @class
+ */
+export class TranscriptStore {
+  /**
+   * Creates an instance of the store.
+   *
+   * @param {object} [options] - The store options.
+   * @param {Storage} [options.storage] - The storage to use, defaults to localStorage.
+   * @param {string} [options.key] - The storage key, defaults to 'runTranscripts'.
+   * @param {number} [options.maxTranscripts] - The number of runs to keep, defaults to 20.
+   */
+  constructor ({ storage = window.localStorage, key = 'runTranscripts', maxTranscripts = 20 } = {}) {
+    this.storage = storage
+    this.key = key
+    this.maxTranscripts = maxTranscripts
+  }
+
+  /**
+   * Returns the stored transcripts, the latest run first.
+   *
+   * @returns {RunTranscript[]} The transcripts.
+   */
+  getAll () {
+    const raw = this.storage.getItem(this.key)
+    if (raw === null) return []
+
+    try {
+      const parsed = JSON.parse(raw)
+      return (Array.isArray(parsed) ? parsed : []).filter(isValidTranscript)
+    } catch (error) {
+      console.error('Could not read the run transcripts.', error)
+      return []
+    }
+  }
+
+  /**
+   * Adds the transcript of a finished run, dropping the oldest ones beyond the maximum.
+   * Storage errors, such as a full quota, are logged and do not stop the game.
+   *
+   * @param {RunTranscript} transcript - The transcript.
+   * @returns {boolean} True if the transcript was saved.
+   */
+  add (transcript) {
+    if (!isValidTranscript(transcript)) return false
+
+    const transcripts = [transcript, ...this.getAll()].slice(0, this.maxTranscripts)
+    try {
+      this.storage.setItem(this.key, JSON.stringify(transcripts))
+      return true
+    } catch (error) {
+      console.error('Could not save the run transcript.', error)
+      return false
+    }
+  }
+
+  /**
+   * Removes all transcripts.
+   */
+  clear () {
+    this.storage.removeItem(this.key)
+  }
+}
+
+/**
+ * The transcript store of the application.
+ *
+ * @type {TranscriptStore}
+ */
+export const transcriptStore = new TranscriptStore()
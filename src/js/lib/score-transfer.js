@@ -0,0 +1,330 @@
+/**
+ * Export and import of high score entries as JSON and CSV files.
+ *
+ * Problems with an import are reported as messages of the 'transfer' section of the catalogs
+ * (see i18n.js), which the leaderboard shows in the current locale.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { SCHEMA_VERSION, migrate } from './high-score-store.js'
+import { LIFELINES } from './lifelines.js'
+import { TIMING_POLICIES } from './timing-policies.js'
+import { scoringModels } from './scoring-models.js'
+
+/**
+ * The columns of an exported CSV file, in order.
+ *
+ * @type {string[]}
+ */
+export const CSV_COLUMNS = ['nickname', 'score', 'timestamp', 'sourceId', 'questionsAnswered', 'outcome', 'mode', 'lifelines', 'timingPolicy', 'timeBudget', 'scoringModel', 'totalTime']
+
+/**
+ * The outcomes an entry may have.
+ *
+ * @type {string[]}
+ */
+const OUTCOMES = ['won', 'wrong', 'timeout', 'unknown']
+
+/**
+ * The game modes an entry may have.
+ *
+ * @type {string[]}
+ */
+const MODES = ['ranked', 'practice']
+
+/**
+ * An error for a file or an entry that cannot be imported.
+ *
+ * @class
+ * @augments Error
+ * @property {string} key - The message key of the reason, in the 'transfer' section of the catalogs.
+ * @property {object} params - The parameters of the message.
+ */
+export class ImportError extends Error {
+  /**
+   * Creates an instance of the import error.
+   *
+   * @param {string} key - The message key of the reason.
+   * @param {object} [params] - The parameters of the message.
+   * @param {object} [options] - The error options.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor (key, params = {}, { cause } = {}) {
+    super(key, { cause })
+    this.name = 'ImportError'
+    this.key = key
+    this.params = params
+  }
+
+  /**
+   * The reason as a message to translate.
+   *
+   * @type {import('./i18n.js').Message}
+   */
+  get reason () {
+    return { key: this.key, params: this.params }
+  }
+}
+
+/**
+ * Exports entries as a JSON document in the storage format, so it can be imported again.
+ *
+ * @param {object[]} entries - The entries to export.
+ * @returns {string} The JSON document.
+ */
+export function toJSON (entries) {
+  return JSON.stringify({
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2)
+}
+
+/**
+ * Quotes a CSV field if it contains a separator, a quote or a line break.
+ *
+ * @param {*} value - The value of the field.
+ * @returns {string} The field.
+ */
+function csvField (value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Exports entries as CSV with a header row. Timestamps are written as ISO dates, and the
+ * lifelines of a run are separated by semicolons.
+ *
+ * @param {object[]} entries - The entries to export.
+ * @returns {string} The CSV document.
+ */
+export function toCSV (entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    if (column === 'timestamp' && entry.timestamp !== null) {
+      return csvField(new Date(entry.timestamp).toISOString())
+    }
+    if (column === 'lifelines') {
+      return csvField(entry.lifelines.join(';'))
+    }
+    return csvField(entry[column])
+  }).join(','))
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n'
+}
+
+/**
+ * Splits CSV text into rows of fields, following RFC 4180 quoting.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows.
+ */
+function parseCSVRows (text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''))
+}
+
+/**
+ * Checks an imported entry and converts it to the storage format.
+ *
+ * @param {object} raw - The imported entry, with string or typed values.
+ * @returns {object} The entry.
+ * @throws {ImportError} With the reason if the entry is invalid.
+ */
+export function normalizeEntry (raw) {
+  const nickname = typeof raw.nickname === 'string' ? raw.nickname.trim() : ''
+  if (!nickname) {
+    throw new ImportError('transfer.missingNickname')
+  }
+
+  const score = typeof raw.score === 'number' ? raw.score : Number(raw.score)
+  if (raw.score === '' || !Number.isFinite(score) || score < 0) {
+    throw new ImportError('transfer.invalidScore', { value: String(raw.score) })
+  }
+
+  let timestamp = null
+  if (raw.timestamp !== null && raw.timestamp !== undefined && raw.timestamp !== '') {
+    timestamp = typeof raw.timestamp === 'number' ? raw.timestamp : Date.parse(raw.timestamp)
+    if (!Number.isFinite(timestamp)) {
+      throw new ImportError('transfer.invalidTimestamp', { value: String(raw.timestamp) })
+    }
+  }
+
+  let questionsAnswered = null
+  if (raw.questionsAnswered !== null && raw.questionsAnswered !== undefined && raw.questionsAnswered !== '') {
+    questionsAnswered = Number(raw.questionsAnswered)
+    if (!Number.isInteger(questionsAnswered) || questionsAnswered < 0) {
+      throw new ImportError('transfer.invalidQuestionsAnswered', { value: String(raw.questionsAnswered) })
+    }
+  }
+
+  const outcome = raw.outcome || 'unknown'
+  if (!OUTCOMES.includes(outcome)) {
+    throw new ImportError('transfer.unknownOutcome', { value: String(outcome) })
+  }
+
+  const mode = raw.mode || 'ranked'
+  if (!MODES.includes(mode)) {
+    throw new ImportError('transfer.unknownMode', { value: String(mode) })
+  }
+
+  const lifelines = Array.isArray(raw.lifelines)
+    ? raw.lifelines
+    : String(raw.lifelines ?? '').split(';').map(name => name.trim()).filter(Boolean)
+  const unknownLifeline = lifelines.find(name => !Object.hasOwn(LIFELINES, name))
+  if (unknownLifeline !== undefined) {
+    throw new ImportError('transfer.unknownLifeline', { value: String(unknownLifeline) })
+  }
+
+  const timingPolicy = raw.timingPolicy || 'per-question'
+  if (!Object.hasOwn(TIMING_POLICIES, timingPolicy)) {
+    throw new ImportError('transfer.unknownTimingPolicy', { value: String(timingPolicy) })
+  }
+
+  let timeBudget = null
+  if (timingPolicy === 'global-budget') {
+    timeBudget = Number(raw.timeBudget)
+    if (!(timeBudget > 0)) {
+      throw new ImportError('transfer.invalidTimeBudget', { value: String(raw.timeBudget) })
+    }
+  }
+
+  const scoringModel = raw.scoringModel || 'time'
+  if (!scoringModels.get(scoringModel)) {
+    throw new ImportError('transfer.unknownScoringModel', { value: String(scoringModel) })
+  }
+
+  let totalTime = scoringModel === 'time' ? score : null
+  if (raw.totalTime !== null && raw.totalTime !== undefined && raw.totalTime !== '') {
+    totalTime = Number(raw.totalTime)
+    if (!Number.isFinite(totalTime) || totalTime < 0) {
+      throw new ImportError('transfer.invalidTotalTime', { value: String(raw.totalTime) })
+    }
+  }
+
+  return {
+    nickname,
+    score,
+    timestamp,
+    sourceId: raw.sourceId || null,
+    questionsAnswered,
+    outcome,
+    mode,
+    lifelines,
+    timingPolicy,
+    timeBudget,
+    scoringModel,
+    totalTime
+  }
+}
+
+/**
+ * Reads the raw entries of an exported JSON document, in any version the store can migrate.
+ *
+ * @param {string} text - The JSON text.
+ * @returns {object[]} The raw entries.
+ * @throws {ImportError} If the document has no list of entries.
+ */
+function rawEntriesFromJSON (text) {
+  const data = JSON.parse(text)
+  // Check every entry of the current version; older versions are converted by the migrations.
+  const entries = Array.isArray(data) || data?.version !== SCHEMA_VERSION
+    ? migrate(data).entries
+    : data.entries ?? []
+
+  if (!Array.isArray(entries)) {
+    throw new ImportError('transfer.noEntryList')
+  }
+
+  return entries
+}
+
+/**
+ * Reads the raw entries of an exported CSV document. The header row decides the column order.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {object[]} The raw entries.
+ * @throws {ImportError} If the header row lacks a required column.
+ */
+function rawEntriesFromCSV (text) {
+  const [header = [], ...rows] = parseCSVRows(text)
+  const columns = header.map(column => column.trim())
+
+  for (const required of ['nickname', 'score']) {
+    if (!columns.includes(required)) {
+      throw new ImportError('transfer.missingColumn', { column: required })
+    }
+  }
+
+  return rows.map(fields => Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? ''])))
+}
+
+/**
+ * Parses an exported file and checks every entry in it.
+ *
+ * @param {string} text - The content of the file.
+ * @param {string} [filename] - The name of the file; '.csv' files are read as CSV, all others as JSON unless they do not look like JSON.
+ * @returns {{entries: object[], rejected: {row: number, reason: import('./i18n.js').Message}[]}} The valid entries, and the rows that were rejected with the reason. Rows are counted from 1; for CSV the header is row 1.
+ * @throws {ImportError} If the file cannot be read at all.
+ */
+export function parseImport (text, filename = '') {
+  const trimmed = text.trim()
+  const isCSV = filename.toLowerCase().endsWith('.csv') || !/^[[{]/.test(trimmed)
+
+  let rawEntries
+  try {
+    rawEntries = isCSV ? rawEntriesFromCSV(trimmed) : rawEntriesFromJSON(trimmed)
+  } catch (error) {
+    if (error instanceof ImportError) throw error
+    throw new ImportError(error instanceof SyntaxError ? 'transfer.notJSON' : 'transfer.unreadable', {}, { cause: error })
+  }
+
+  const entries = []
+  const rejected = []
+  rawEntries.forEach((raw, index) => {
+    try {
+      entries.push(normalizeEntry(raw ?? {}))
+    } catch (error) {
+      if (!(error instanceof ImportError)) throw error
+      rejected.push({ row: isCSV ? index + 2 : index + 1, reason: error.reason })
+    }
+  })
+
+  return { entries, rejected }
+}
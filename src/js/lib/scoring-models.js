@@ -0,0 +1,227 @@
+/**
+ * Scoring models turn a finished run into the score it is ranked by on the leaderboard.
+ *
+ * Two models are built in: 'time', the total time of the run where lower is better, and
+ * 'points', where correct answers earn points with a speed bonus and a streak multiplier, and
+ * lifelines and timeouts cost points. Other models can be registered on the registry. Every high
+ * score entry names the model that scored it, so that it is sorted and shown the right way.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { t } from './i18n.js'
+import { formatTime } from './format-time.js'
+
+/**
+ * A finished run, as scoring models see it.
+ *
+ * @typedef {object} ScoredRun
+ * @property {object[]} attempts - The attempts at questions, see TranscriptQuestion in run-transcript.js.
+ * @property {number} totalTime - The total time of the run in milliseconds.
+ * @property {string} outcome - How the run ended: 'won', 'wrong', 'timeout' or 'quit'.
+ */
+
+/**
+ * A scoring model.
+ *
+ * @typedef {object} ScoringModel
+ * @property {string} name - The name of the model, as recorded in high score entries.
+ * @property {string} label - The message key of the name shown to players.
+ * @property {boolean} higherIsBetter - Whether a higher score ranks higher.
+ * @property {function(ScoredRun): number} score - Scores a run; the score must be a finite number of at least 0.
+ * @property {function(number): string} format - Formats a score in the current locale.
+ */
+
+/**
+ * The rules of the points model.
+ *
+ * - correct: The points for a correct answer.
+ * - speedBonus: The most bonus points for a correct answer, earned in full for an instant answer
+ * and in proportion to the time left otherwise. Untimed questions earn no bonus.
+ * - streakStep: How much the multiplier grows with each correct answer in a row after the first.
+ * - maxMultiplier: The highest streak multiplier.
+ * - lifelinePenalty: The points lost for each lifeline used.
+ * - timeoutPenalty: The points lost when the time runs out.
+ *
+ * @type {{correct: number, speedBonus: number, streakStep: number, maxMultiplier: number, lifelinePenalty: number, timeoutPenalty: number}}
+ */
+export const POINTS = {
+  correct: 100,
+  speedBonus: 50,
+  streakStep: 0.25,
+  maxMultiplier: 2,
+  lifelinePenalty: 25,
+  timeoutPenalty: 50
+}
+
+/**
+ * The points of an attempt.
+ *
+ * @typedef {object} AttemptPoints
+ * @property {number} base - The points for the answer.
+ * @property {number} speedBonus - The bonus for the time left.
+ * @property {number} multiplier - The streak multiplier applied to the answer and the bonus.
+ * @property {number} penalty - The points lost for lifelines and timeouts.
+ * @property {number} points - The points earned, which may be negative.
+ */
+
+/**
+ * Scores the attempts of a run with the points model. A wrong answer, a timeout or a skipped
+ * question ends the streak.
+ *
+ * @param {object[]} attempts - The attempts, see TranscriptQuestion in run-transcript.js.
+ * @returns {{total: number, attempts: AttemptPoints[]}} The points of the run, never below 0, and of each attempt.
+ */
+export function pointsOf (attempts) {
+  let streak = 0
+  const scored = attempts.map(attempt => {
+    const penalty = attempt.lifelines.length * POINTS.lifelinePenalty +
+      (attempt.result === 'timeout' ? POINTS.timeoutPenalty : 0)
+
+    if (attempt.result !== 'correct') {
+      streak = 0
+      return { base: 0, speedBonus: 0, multiplier: 1, penalty, points: -penalty }
+    }
+
+    streak += 1
+    const limit = attempt.timeLimit ?? null
+    const speedBonus = limit
+      ? Math.round(POINTS.speedBonus * Math.max(limit - attempt.timeSpent / 1000, 0) / limit)
+      : 0
+    const multiplier = Math.min(1 + (streak - 1) * POINTS.streakStep, POINTS.maxMultiplier)
+    const points = Math.round((POINTS.correct + speedBonus) * multiplier) - penalty
+    return { base: POINTS.correct, speedBonus, multiplier, penalty, points }
+  })
+
+  return {
+    total: Math.max(scored.reduce((sum, attempt) => sum + attempt.points, 0), 0),
+    attempts: scored
+  }
+}
+
+/**
+ * The built-in scoring models.
+ *
+ * @type {ScoringModel[]}
+ */
+const BUILT_IN_MODELS = [
+  {
+    name: 'time',
+    label: 'scoring.time',
+    higherIsBetter: false,
+    /**
+     * Scores a run by its total time.
+     *
+     * @param {ScoredRun} run - The run.
+     * @returns {number} The total time in milliseconds.
+     */
+    score: (run) => run.totalTime,
+    format: formatTime
+  },
+  {
+    name: 'points',
+    label: 'scoring.points',
+    higherIsBetter: true,
+    /**
+     * Scores a run by the points of its attempts.
+     *
+     * @param {ScoredRun} run - The run.
+     * @returns {number} The points.
+     */
+    score: (run) => pointsOf(run.attempts).total,
+    /**
+     * Formats points.
+     *
+     * @param {number} points - The points.
+     * @returns {string} The formatted points.
+     */
+    format: (points) => t('scoring.pointsValue', { count: points })
+  }
+]
+
+/**
+ * The model used when none is configured, which ranks runs by time as before models existed.
+ *
+ * @type {string}
+ */
+export const DEFAULT_SCORING_MODEL = 'time'
+
+/**
+ * A registry of scoring models.
+ *
+ * @class
+ */
+export class ScoringModelRegistry {
+  /**
+   * The models, by name, in the order they were registered.
+   *
+   * @type {Map<string, ScoringModel>}
+   */
+  #models = new Map()
+
+  /**
+   * Registers a scoring model, replacing a model of the same name.
+   *
+   * @param {ScoringModel} model - The scoring model.
+   * @throws {TypeError} If the model has no name, label, score function or format function.
+   */
+  register (model) {
+    if (typeof model?.name !== 'string' || model.name === '' || typeof model.label !== 'string' ||
+      typeof model.score !== 'function' || typeof model.format !== 'function') {
+      throw new TypeError('A scoring model needs a name, a label, a score function and a format function.')
+    }
+
+    this.#models.delete(model.name)
+    this.#models.set(model.name, { ...model, higherIsBetter: Boolean(model.higherIsBetter) })
+  }
+
+  /**
+   * Returns a registered scoring model.
+   *
+   * @param {string} name - The name of the model.
+   * @returns {ScoringModel|null} The model, or null if there is none with that name.
+   */
+  get (name) {
+    return this.#models.get(name) ?? null
+  }
+
+  /**
+   * The names of the registered models.
+   *
+   * @type {string[]}
+   */
+  get names () {
+    return [...this.#models.keys()]
+  }
+
+  /**
+   * Returns the model of a name, or the default model if the name is missing or unknown.
+   *
+   * @param {string} [name] - The name of the model.
+   * @returns {ScoringModel} The model.
+   */
+  resolve (name) {
+    return this.get(name) ?? this.get(DEFAULT_SCORING_MODEL)
+  }
+}
+
+/**
+ * The scoring models of the application, with the built-in models registered.
+ *
+ * @type {ScoringModelRegistry}
+ */
+export const scoringModels = new ScoringModelRegistry()
+
+for (const model of BUILT_IN_MODELS) {
+  scoringModels.register(model)
+}
+
+/**
+ * Returns the scoring model of a high score entry.
+ *
+ * @param {object} entry - The entry.
+ * @returns {ScoringModel} The model; entries without one were scored by time.
+ */
+export function scoringModelOf (entry) {
+  return scoringModels.resolve(entry.scoringModel)
+}
@@ -0,0 +1,262 @@
+/**
+ * The design tokens and colour themes of the quiz.
+ *
+ * The components take their colours from CSS custom properties named '--quiz-color-<token>',
+ * each with its light value as the fallback, so that they look the same when no theme is applied.
+ * Custom properties are inherited into shadow roots, so a host page restyles the quiz by setting
+ * them on the quiz-application element, where they take precedence over the theme:
+ *
+ * quiz-application { --quiz-color-primary: #005a9c; }
+ *
+ * The quiz-application element applies one of the built-in THEMES through its 'theme'
+ * attribute. The 'auto' theme follows the operating system through prefers-color-scheme, and the
+ * player may choose another one with the theme switcher. The choice is kept in localStorage and
+ * announced by the 'theme-changed' event on window. The theme is also named in the
+ * 'data-quiz-theme' attribute of the document element, for the styles of the page around the quiz.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+
+/**
+ * The themes the player can choose from, with the keys of their names in the message catalogs.
+ *
+ * @type {{[theme: string]: string}}
+ */
+export const THEMES = {
+  auto: 'theme.auto',
+  light: 'theme.light',
+  dark: 'theme.dark',
+  'high-contrast': 'theme.highContrast'
+}
+
+/**
+ * The theme used when the player has not chosen one.
+ *
+ * @type {string}
+ */
+export const DEFAULT_THEME = 'auto'
+
+/**
+ * The values of the design tokens in each built-in theme. Each token becomes the custom property
+ * '--quiz-color-<token>'.
+ *
+ * @type {{[theme: string]: {[token: string]: string}}}
+ */
+export const TOKENS = {
+  light: {
+    background: 'transparent',
+    text: '#333',
+    'text-muted': '#666',
+    surface: '#f8f9fa',
+    'surface-raised': '#ffffff',
+    'surface-muted': '#f1f3f5',
+    border: '#ccc',
+    hover: '#e2e6ea',
+    highlight: '#e6f7ff',
+    focus: '#66afe9',
+    shadow: 'rgba(0, 0, 0, 0.1)',
+    primary: '#4a90e2',
+    'primary-hover': '#357ab7',
+    secondary: '#6c757d',
+    'secondary-hover': '#5a6268',
+    'button-text': '#ffffff',
+    accent: '#007bff',
+    success: '#28a745',
+    'success-hover': '#218838',
+    'success-bg': '#d4edda',
+    'success-text': '#155724',
+    'success-border': '#c3e6cb',
+    danger: '#d9534f',
+    'danger-bg': '#f8d7da',
+    'danger-text': '#721c24',
+    'danger-border': '#f5c6cb',
+    warning: '#ffc107',
+    'warning-bg': '#fff3cd',
+    'warning-text': '#856404',
+    'warning-border': '#ffeeba',
+    'info-bg': '#cce5ff',
+    'info-text': '#004085',
+    'info-border': '#b8daff'
+  },
+  dark: {
+    background: '#1b1c20',
+    text: '#e8e8e8',
+    'text-muted': '#a8adb4',
+    surface: '#24262b',
+    'surface-raised': '#2d3036',
+    'surface-muted': '#1d1f23',
+    border: '#4a4e57',
+    hover: '#3a3e45',
+    highlight: '#1f3347',
+    focus: '#66afe9',
+    shadow: 'rgba(0, 0, 0, 0.4)',
+    primary: '#3d7fcc',
+    'primary-hover': '#5b98e0',
+    secondary: '#5c636a',
+    'secondary-hover': '#70777e',
+    'button-text': '#ffffff',
+    accent: '#6ea8fe',
+    success: '#2b8a43',
+    'success-hover': '#34a150',
+    'success-bg': '#1e3a27',
+    'success-text': '#a3d9b1',
+    'success-border': '#2d5a3a',
+    danger: '#ea868f',
+    'danger-bg': '#3d1f23',
+    'danger-text': '#f1aeb5',
+    'danger-border': '#6a2c34',
+    warning: '#ffc107',
+    'warning-bg': '#3b3217',
+    'warning-text': '#ffe08a',
+    'warning-border': '#6b5a1e',
+    'info-bg': '#1a2d44',
+    'info-text': '#9ec5fe',
+    'info-border': '#2c4d75'
+  },
+  'high-contrast': {
+    background: '#000000',
+    text: '#ffffff',
+    'text-muted': '#ffffff',
+    surface: '#000000',
+    'surface-raised': '#000000',
+    'surface-muted': '#000000',
+    border: '#ffffff',
+    hover: '#333333',
+    highlight: '#00007f',
+    focus: '#ffff00',
+    shadow: 'transparent',
+    primary: '#ffff00',
+    'primary-hover': '#ffffff',
+    secondary: '#ffffff',
+    'secondary-hover': '#ffff00',
+    'button-text': '#000000',
+    accent: '#00ffff',
+    success: '#00ff00',
+    'success-hover': '#ffffff',
+    'success-bg': '#000000',
+    'success-text': '#00ff00',
+    'success-border': '#00ff00',
+    danger: '#ff8080',
+    'danger-bg': '#000000',
+    'danger-text': '#ff8080',
+    'danger-border': '#ff8080',
+    warning: '#ffff00',
+    'warning-bg': '#000000',
+    'warning-text': '#ffff00',
+    'warning-border': '#ffff00',
+    'info-bg': '#000000',
+    'info-text': '#00ffff',
+    'info-border': '#00ffff'
+  }
+}
+
+/**
+ * The localStorage key of the chosen theme.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'theme'
+
+/**
+ * Declares the custom properties of a theme.
+ *
+ * @param {string} theme - The theme, one of those in TOKENS.
+ * @returns {string} The declarations.
+ */
+function declarations (theme) {
+  return Object.entries(TOKENS[theme])
+    .map(([token, value]) => `--quiz-color-${token}: ${value};`)
+    .join('\n')
+}
+
+/**
+ * The style rules that define the tokens on a shadow host according to its 'theme' attribute,
+ * for the components that apply a theme. They also set the colours of the host itself, which the
+ * components inside it inherit. The background is transparent in the light theme, so that the
+ * page shows through as before.
+ *
+ * @type {string}
+ */
+export const THEME_STYLES = `
+  :host {
+    ${declarations('light')}
+    background-color: var(--quiz-color-background);
+    color: var(--quiz-color-text);
+    color-scheme: light;
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :host(:not([theme])), :host([theme="auto"]) {
+      ${declarations('dark')}
+      color-scheme: dark;
+    }
+  }
+
+  :host([theme="dark"]) {
+    ${declarations('dark')}
+    color-scheme: dark;
+  }
+
+  :host([theme="high-contrast"]) {
+    ${declarations('high-contrast')}
+    color-scheme: dark;
+  }
+`
+
+/**
+ * Finds the theme the player chose.
+ *
+ * @returns {string} The theme, or DEFAULT_THEME if none was chosen.
+ */
+function storedTheme () {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (THEMES[stored]) return stored
+  } catch (error) {
+    console.error('Could not read the chosen theme.', error)
+  }
+  return DEFAULT_THEME
+}
+
+let theme = storedTheme()
+
+/**
+ * Returns the current theme.
+ *
+ * @returns {string} The theme, e.g. 'auto'.
+ */
+export function getTheme () {
+  return theme
+}
+
+/**
+ * Changes the theme and remembers the choice.
+ *
+ * @param {string} newTheme - The theme, one of those in THEMES.
+ * @returns {boolean} True if the theme was changed, false if it is unknown or already current.
+ * @fires CustomEvent#theme-changed - Dispatched on window with the 'theme' in the detail.
+ */
+export function setTheme (newTheme) {
+  if (!THEMES[newTheme] || newTheme === theme) return false
+
+  theme = newTheme
+  try {
+    localStorage.setItem(STORAGE_KEY, theme)
+  } catch (error) {
+    console.error('Could not save the chosen theme.', error)
+  }
+
+  applyToDocument()
+  window.dispatchEvent(new CustomEvent('theme-changed', { detail: { theme } }))
+  return true
+}
+
+/**
+ * Names the current theme on the document element.
+ */
+function applyToDocument () {
+  document.documentElement.dataset.quizTheme = theme
+}
+
+applyToDocument()
@@ -0,0 +1,227 @@
+/**
+ * The timing policies of a run, which decide how much time the player has for each question.
+ *
+ * The policy is chosen per question source (the 'timing' of a quiz pack, or the attributes of
+ * the quiz application) and can be changed on the start screen. It is recorded with the score,
+ * and leaderboards only compare runs that used the same policy.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { t } from './i18n.js'
+
+/**
+ * The time limit of a question that has none, in seconds.
+ *
+ * @type {number}
+ */
+export const DEFAULT_QUESTION_LIMIT = 20
+
+/**
+ * The time budget of a whole quiz when none is configured, in seconds.
+ *
+ * @type {number}
+ */
+export const DEFAULT_TIME_BUDGET = 120
+
+/**
+ * The policy used when none is configured.
+ *
+ * @type {string}
+ */
+export const DEFAULT_TIMING_POLICY = 'per-question'
+
+/**
+ * What the timer knows about the run when a question is shown.
+ *
+ * @typedef {object} TimingState
+ * @property {number} limit - The time limit of the question in seconds.
+ * @property {number} extraTime - The seconds added to the question with the extra time lifeline.
+ * @property {number} budget - The time budget of the whole quiz in seconds.
+ * @property {number} timeSpent - The time spent on the earlier questions in milliseconds.
+ * @property {number} bonus - The seconds added to the run with lifelines, the current question included.
+ * @property {number} carriedOver - The seconds left over from the previous question.
+ */
+
+/**
+ * The timing policies, by name, with the message keys of their labels. Each returns the time
+ * to answer a question in seconds, or null if the question is not timed.
+ *
+ * - per-question: Each question has its own time limit, 20 seconds unless the source sets one.
+ * - global-budget: The whole quiz has one time budget, and the clock runs on from question to
+ * question. When it runs out, the run is over.
+ * - carry-over: Each question has its own time limit, and the seconds left when it is answered
+ * are added to the next question.
+ * - no-limit: The questions are not timed, but the time spent is still measured.
+ *
+ * @type {{[policy: string]: {label: string, duration: function(TimingState): (number|null)}}}
+ */
+export const TIMING_POLICIES = {
+  'per-question': {
+    label: 'timing.perQuestion',
+    /**
+     * Gives the question its own time limit.
+     *
+     * @param {TimingState} state - The state of the run.
+     * @returns {number} The seconds to answer.
+     */
+    duration: ({ limit, extraTime }) => limit + extraTime
+  },
+  'global-budget': {
+    label: 'timing.globalBudget',
+    /**
+     * Gives the question what is left of the budget of the quiz.
+     *
+     * @param {TimingState} state - The state of the run.
+     * @returns {number} The seconds to answer.
+     */
+    duration: ({ budget, timeSpent, bonus }) => Math.max(budget + bonus - timeSpent / 1000, 0)
+  },
+  'carry-over': {
+    label: 'timing.carryOver',
+    /**
+     * Gives the question its own time limit and the seconds left from the previous one.
+     *
+     * @param {TimingState} state - The state of the run.
+     * @returns {number} The seconds to answer.
+     */
+    duration: ({ limit, extraTime, carriedOver }) => limit + extraTime + carriedOver
+  },
+  'no-limit': {
+    label: 'timing.noLimit',
+    /**
+     * Does not time the question.
+     *
+     * @returns {null} No time limit.
+     */
+    duration: () => null
+  }
+}
+
+/**
+ * The timing of a run.
+ *
+ * @typedef {object} Timing
+ * @property {string} policy - The name of the policy, see TIMING_POLICIES.
+ * @property {number} budget - The time budget of the whole quiz in seconds, used by the 'global-budget' policy.
+ */
+
+/**
+ * Makes a timing from a configuration, such as a quiz pack or attributes. Unknown policies fall
+ * back to the default, and budgets that are not a positive number of seconds to the default budget.
+ *
+ * @param {object} [config] - The configuration.
+ * @param {string} [config.policy] - The name of the policy.
+ * @param {number|string} [config.budget] - The time budget of the quiz in seconds.
+ * @returns {Timing} The timing.
+ */
+export function resolveTiming ({ policy, budget } = {}) {
+  return {
+    policy: Object.hasOwn(TIMING_POLICIES, policy ?? '') ? policy : DEFAULT_TIMING_POLICY,
+    budget: Number(budget) > 0 ? Number(budget) : DEFAULT_TIME_BUDGET
+  }
+}
+
+/**
+ * Finds what is wrong with the timing of a quiz pack.
+ *
+ * @param {object} timing - The 'timing' of the pack.
+ * @returns {import('./i18n.js').Message[]} The problems, empty if the timing is valid.
+ */
+export function timingErrors (timing) {
+  if (!timing || typeof timing !== 'object') {
+    return [{ key: 'format.timingNotObject' }]
+  }
+
+  const errors = []
+  if (!Object.hasOwn(TIMING_POLICIES, timing.policy ?? '')) {
+    errors.push({ key: 'format.unknownTimingPolicy', params: { policies: Object.keys(TIMING_POLICIES).join(', ') } })
+  }
+  if (timing.budget !== undefined && !(Number(timing.budget) > 0)) {
+    errors.push({ key: 'format.invalidTimeBudget' })
+  }
+  return errors
+}
+
+/**
+ * Returns the time limit a question sets for itself.
+ *
+ * @param {object} question - The question payload.
+ * @returns {number} The time limit in seconds.
+ */
+export function questionLimit (question) {
+  return parseInt(question?.limit) || DEFAULT_QUESTION_LIMIT
+}
+
+/**
+ * Returns the time to answer a question under a timing.
+ *
+ * @param {Timing} timing - The timing of the run.
+ * @param {object} state - The state of the run; the budget comes from the timing.
+ * @param {number} state.limit - The time limit of the question in seconds.
+ * @param {number} [state.extraTime] - The seconds added to the question with the extra time lifeline.
+ * @param {number} [state.timeSpent] - The time spent on the earlier questions in milliseconds.
+ * @param {number} [state.bonus] - The seconds added to the run with lifelines.
+ * @param {number} [state.carriedOver] - The seconds left over from the previous question.
+ * @returns {number|null} The seconds to answer, or null if the question is not timed.
+ */
+export function questionDuration (timing, { limit, extraTime = 0, timeSpent = 0, bonus = 0, carriedOver = 0 }) {
+  return TIMING_POLICIES[timing.policy].duration({ limit, extraTime, budget: timing.budget, timeSpent, bonus, carriedOver })
+}
+
+/**
+ * Returns the seconds of a question that carry over to the next one.
+ *
+ * @param {Timing} timing - The timing of the run.
+ * @param {number|null} duration - The time the question had in seconds.
+ * @param {number} timeSpent - The time spent on it in milliseconds.
+ * @returns {number} The seconds left, or 0 if the policy does not carry time over.
+ */
+export function unusedTime (timing, duration, timeSpent) {
+  if (timing.policy !== 'carry-over' || duration === null) return 0
+  return Math.max(duration - timeSpent / 1000, 0)
+}
+
+/**
+ * Returns the timing fields of a high score entry.
+ *
+ * @param {Timing} timing - The timing of the run.
+ * @returns {{timingPolicy: string, timeBudget: number|null}} The policy, and the budget if the policy has one.
+ */
+export function timingFields (timing) {
+  return {
+    timingPolicy: timing.policy,
+    timeBudget: timing.policy === 'global-budget' ? timing.budget : null
+  }
+}
+
+/**
+ * Returns the timing of a high score entry.
+ *
+ * @param {object} entry - The entry.
+ * @returns {Timing} The timing.
+ */
+export function timingOf (entry) {
+  return resolveTiming({ policy: entry.timingPolicy, budget: entry.timeBudget })
+}
+
+/**
+ * Returns a key that is the same for timings whose runs can be compared: the policy, and for a
+ * global budget also its length.
+ *
+ * @param {Timing} timing - The timing.
+ * @returns {string} The key, e.g. 'per-question' or 'global-budget:120'.
+ */
+export function timingKey (timing) {
+  return timing.policy === 'global-budget' ? `${timing.policy}:${timing.budget}` : timing.policy
+}
+
+/**
+ * Describes a timing in the current locale.
+ *
+ * @param {Timing} timing - The timing.
+ * @returns {string} The description.
+ */
+export function describeTiming (timing) {
+  return t(TIMING_POLICIES[timing.policy].label, { seconds: timing.budget })
+}
@@ -0,0 +1,24 @@
+/**
+ * Tests of the evaluation of answers.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { describe, expect, it } from 'vitest'
+import { evaluateAnswer } from '../src/js/lib/answer-evaluator.js'
+
+describe('evaluateAnswer', () => {
+  it('returns the matcher and its details without a message', () => {
+    const question = { type: 'multi-select', answer: ['alt1', 'alt3'] }
+
+    expect(evaluateAnswer(question, ['alt1', 'alt2'])).toEqual({ correct: false, matcher: 'set', details: { missing: 1, extra: 1 } })
+  })
+
+  it('tells a numeric answer that is not a number', () => {
+    expect(evaluateAnswer({ type: 'numeric', answer: 20 }, 'abc')).toEqual({ correct: false, matcher: 'numeric', details: { difference: null } })
+  })
+
+  it('accepts a correct answer', () => {
+    expect(evaluateAnswer({ answer: 'GET' }, ' get ')).toEqual({ correct: true, matcher: 'text', details: {} })
+  })
+})
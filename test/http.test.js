@@ -0,0 +1,54 @@
+/**
+ * Tests of the network layer.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { RequestError, requestJson } from '../src/js/lib/http.js'
+
+/**
+ * Stubs fetch with responses that have a status of 200 and the given body.
+ *
+ * @param {function(AbortSignal): Promise<string>} readBody - Reads the body of a request, given its abort signal.
+ */
+function stubFetch (readBody) {
+  vi.stubGlobal('fetch', async (url, { signal } = {}) => ({
+    status: 200,
+    ok: true,
+    text: readBody.bind(null, signal)
+  }))
+}
+
+/**
+ * Reads a body that never arrives, until the request is aborted.
+ *
+ * @param {AbortSignal} signal - The abort signal of the request.
+ * @returns {Promise<string>} A promise that rejects when the request is aborted.
+ */
+function stalledBody (signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')))
+  })
+}
+
+describe('requestJson', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('times out when the body stalls after the headers', async () => {
+    stubFetch(stalledBody)
+
+    const request = requestJson('http://localhost/quiz/question/1', { timeout: 20, retries: 0 })
+
+    await expect(request).rejects.toThrow(RequestError)
+    await expect(request).rejects.toMatchObject({ kind: 'timeout' })
+  })
+
+  it('parses the body of a response', async () => {
+    stubFetch(async () => '{"id":1}')
+
+    await expect(requestJson('http://localhost/quiz/question/1')).resolves.toEqual({ status: 200, ok: true, data: { id: 1 } })
+  })
+})
@@ -0,0 +1,23 @@
+/**
+ * Tests of the creation of question sources from a configuration.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { describe, expect, it } from 'vitest'
+import { ConfigurationError, createQuestionSource } from '../src/js/lib/question-sources/index.js'
+
+describe('createQuestionSource', () => {
+  it('uses the sample pack for a local source without a quiz pack', () => {
+    expect(createQuestionSource({ type: 'local', pack: null }).id).toBe('pack:sample')
+  })
+
+  it.each(['nope', 'toString'])('rejects the unknown quiz pack %s', pack => {
+    expect(() => createQuestionSource({ type: 'local', pack }))
+      .toThrow(expect.objectContaining({ key: 'errors.unknownQuizPack', params: { pack } }))
+  })
+
+  it('rejects an unknown source type', () => {
+    expect(() => createQuestionSource({ type: 'bogus' })).toThrow(ConfigurationError)
+  })
+})
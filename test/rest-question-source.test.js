@@ -0,0 +1,42 @@
+/**
+ * Tests of the REST question source.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { RestQuestionSource } from '../src/js/lib/question-sources/rest-question-source.js'
+import { setLocale } from '../src/js/lib/i18n.js'
+
+/**
+ * Stubs fetch with responses that have the given status and JSON body.
+ *
+ * @param {number} status - The status code.
+ * @param {string} body - The body.
+ */
+function stubFetch (status, body) {
+  vi.stubGlobal('fetch', async () => ({ status, ok: status < 400, text: Promise.resolve.bind(Promise, body) }))
+}
+
+describe('RestQuestionSource', () => {
+  const source = new RestQuestionSource({ url: 'http://localhost/quiz/question/1' })
+  const question = { nextURL: 'http://localhost/quiz/answer/1' }
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    setLocale('en')
+  })
+
+  it('translates a wrong answer without a message', async () => {
+    stubFetch(400, '{}')
+    setLocale('sv')
+
+    await expect(source.submitAnswer(question, 'x')).resolves.toEqual({ message: 'Fel svar! :(', correct: false })
+  })
+
+  it('keeps the message of the server', async () => {
+    stubFetch(400, '{"message":"Nope"}')
+
+    await expect(source.submitAnswer(question, 'x')).resolves.toEqual({ message: 'Nope', correct: false })
+  })
+})
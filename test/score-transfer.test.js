@@ -0,0 +1,32 @@
+/**
+ * Tests of the import of high score files.
+ *
+ * @author alexandru Antonescu <aa227wr@student.lnu>
+ * @version 1.1.0
+ */
+import { describe, expect, it } from 'vitest'
+import { SCHEMA_VERSION } from '../src/js/lib/high-score-store.js'
+import { ImportError, parseImport } from '../src/js/lib/score-transfer.js'
+
+describe('parseImport', () => {
+  it('accepts the known lifelines', () => {
+    const { entries, rejected } = parseImport('nickname,score,lifelines\nbob,1000,skip;extra-time', 'scores.csv')
+
+    expect(rejected).toEqual([])
+    expect(entries[0].lifelines).toEqual(['skip', 'extra-time'])
+  })
+
+  it.each(['toString', 'constructor', '__proto__'])('rejects the prototype key %s as a lifeline', name => {
+    const { entries, rejected } = parseImport(`nickname,score,lifelines\nbob,1000,${name}`, 'scores.csv')
+
+    expect(entries).toEqual([])
+    expect(rejected).toEqual([{ row: 2, reason: { key: 'transfer.unknownLifeline', params: { value: name } } }])
+  })
+
+  it.each(['{}', '"scores"', '1'])('rejects a current version file whose entries are %s', entries => {
+    const json = `{"version":${SCHEMA_VERSION},"entries":${entries}}`
+
+    expect(() => parseImport(json, 'scores.json')).toThrow(ImportError)
+    expect(() => parseImport(json, 'scores.json')).toThrow(expect.objectContaining({ key: 'transfer.noEntryList' }))
+  })
+})
@@ -1,7 +1,19 @@
+import { fileURLToPath } from 'node:url'
+
 export default {
   root: 'src',
   build: {
     outDir: '../dist',
-    target: 'esnext'
+    target: 'esnext',
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./src/index.html', import.meta.url)),
+        editor: fileURLToPath(new URL('./src/editor.html', import.meta.url))
+      }
+    }
+  },
+  test: {
+    dir: fileURLToPath(new URL('./test', import.meta.url)),
+    environment: 'jsdom'
   }
 }